@@ -0,0 +1,111 @@
+// admin-api.js
+// Authenticated admin endpoints for inspecting and retrying queued jobs.
+// Requests must send "Authorization: Bearer <ADMIN_API_TOKEN>".
+
+import crypto from 'crypto';
+import express from 'express';
+import logger from './logger.js';
+
+export function requireAdminToken(req, res, next) {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin API disabled: ADMIN_API_TOKEN is not set' });
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const expected = Buffer.from(adminToken);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+}
+
+// Public view of a job: never expose the download token or download URLs
+function summarizeJob(job) {
+    const recording = job.data?.payload?.object || {};
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        topic: recording.topic || null,
+        uuid: recording.uuid || null,
+        meetingId: recording.id || null,
+        stage: job.progress?.stage || null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        lastError: job.lastError?.message || null
+    };
+}
+
+function describeJob(job) {
+    const recording = job.data?.payload?.object || {};
+    return {
+        ...summarizeJob(job),
+        recording: {
+            topic: recording.topic || null,
+            uuid: recording.uuid || null,
+            id: recording.id || null,
+            host_email: recording.host_email || null,
+            start_time: recording.start_time || null,
+            recording_count: recording.recording_count || null
+        },
+        hasDownloadToken: !!job.data?.downloadToken,
+        reprocess: !!job.data?.reprocess,
+        runAt: new Date(job.runAt).toISOString(),
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        files: job.progress?.files || [],
+        metadata: job.progress?.metadata || null,
+        lastError: job.lastError || null,
+        result: job.result
+    };
+}
+
+// Mounted at /jobs
+export function createJobsRouter({ jobQueue }) {
+    const router = express.Router();
+    router.use(requireAdminToken);
+
+    // GET /jobs?status=failed&type=recording.completed&limit=50
+    router.get('/', (req, res) => {
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+        const jobs = jobQueue.list({ status: req.query.status, type: req.query.type })
+            .reverse()
+            .slice(0, limit)
+            .map(summarizeJob);
+
+        res.json({ counts: jobQueue.stats(), jobs });
+    });
+
+    router.get('/:id', (req, res) => {
+        const job = jobQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(describeJob(job));
+    });
+
+    router.post('/:id/retry', (req, res) => {
+        const job = jobQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        try {
+            // A recording that already completed would be skipped as a duplicate, so force it
+            const changes = job.type === 'recording.completed' ? { reprocess: true } : {};
+            jobQueue.retry(job.id, changes);
+            logger.info(`🔁 Job ${job.id} (${job.type}) re-queued via admin API`);
+            res.status(202).json(summarizeJob(job));
+        } catch (error) {
+            res.status(409).json({ error: error.message });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,43 @@
+// audit-log.js
+// Append-only audit trail (JSON lines) for actions taken on archived recordings.
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+const DEFAULT_PATH = './data/audit.jsonl';
+
+class AuditLog {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.AUDIT_LOG_PATH || DEFAULT_PATH;
+    }
+
+    record(entry) {
+        const line = {
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, JSON.stringify(line) + '\n');
+        } catch (error) {
+            logger.error('Error writing audit log', { error: error.message });
+        }
+
+        return line;
+    }
+
+    read(filter = {}) {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .filter(entry => !filter.uuid || entry.uuid === filter.uuid)
+            .filter(entry => !filter.action || entry.action === filter.action);
+    }
+}
+
+export default AuditLog;
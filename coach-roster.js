@@ -0,0 +1,143 @@
+// coach-roster.js
+// Who counts as a coach, kept in the "Coaches" tab of the mappings sheet so a
+// new coach is a new row instead of a code change. One row per coach:
+//
+//   A Name           canonical name used in file and folder names (Jenny)
+//   B Aliases        nicknames people put in meeting topics (Jen, Jenn)
+//   C Zoom Names     display names the coach joins Zoom with (Jenny Lee, Jenny L)
+//   D Emails         the coach's own addresses
+//   E Domains        staff email domains; anyone with one of them is a coach (ivymentors.co)
+//   F Active From    YYYY-MM-DD, blank for no start
+//   G Active To      YYYY-MM-DD, blank while the coach is active
+//   H Programs       programs they coach
+//
+// Multi-value cells are comma-separated. Without the tab (or outside the
+// processor, e.g. the local analyzer) the built-in roster below is used;
+// COACH_ROSTER_FILE can point at a JSON array of coaches shaped like
+// { name, aliases, zoomNames, emails, domains, activeFrom, activeTo, programs }.
+
+import fs from 'fs';
+
+export const COACHES_RANGE = 'Coaches!A2:H';
+
+// Known coach names from ConvertNames.py, used until the Coaches tab exists
+export const DEFAULT_COACH_NAMES = [
+    'noor', 'jenny', 'aditi', 'marissa', 'rishi', 'erin',
+    'janice', 'summer', 'jamie', 'alice', 'alan', 'andrew', 'juli'
+];
+export const DEFAULT_COACH_DOMAINS = ['ivymentors.co', 'stanford.edu'];
+
+const normalize = value => String(value || '').toLowerCase().replace(/[_\s]+/g, ' ').trim();
+const firstToken = value => normalize(value).split(/[.\s_-]/)[0];
+const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+class CoachRoster {
+    constructor(coaches = [], { source = 'built-in' } = {}) {
+        this.source = source;
+        this.coaches = [];
+        this.domains = new Set();
+        this.byName = new Map();
+        this.byEmail = new Map();
+        this.duplicates = [];
+
+        coaches.forEach(coach => this.add(coach));
+    }
+
+    static defaults() {
+        return new CoachRoster(DEFAULT_COACH_NAMES.map(name => ({
+            name: name.charAt(0).toUpperCase() + name.slice(1),
+            domains: DEFAULT_COACH_DOMAINS
+        })));
+    }
+
+    // Rows of the Coaches tab (A:H)
+    static fromRows(rows) {
+        const coaches = rows
+            .filter(row => row && row[0] && String(row[0]).trim())
+            .map(([name, aliases, zoomNames, emails, domains, activeFrom, activeTo, programs]) => ({
+                name, aliases, zoomNames, emails, domains, activeFrom, activeTo, programs
+            }));
+        return new CoachRoster(coaches, { source: 'sheet' });
+    }
+
+    static fromFile(filePath) {
+        const coaches = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(coaches)) {
+            throw new Error(`COACH_ROSTER_FILE ${filePath} must contain a JSON array`);
+        }
+        return new CoachRoster(coaches, { source: filePath });
+    }
+
+    add(entry) {
+        if (!entry || !String(entry.name || '').trim()) {
+            throw new Error(`Invalid coach ${JSON.stringify(entry)}: name is required`);
+        }
+        const coach = {
+            name: String(entry.name).trim(),
+            aliases: list(entry.aliases),
+            zoomNames: list(entry.zoomNames),
+            emails: list(entry.emails).map(email => email.toLowerCase()),
+            domains: list(entry.domains).map(domain => domain.toLowerCase().replace(/^@/, '')),
+            activeFrom: entry.activeFrom ? String(entry.activeFrom).trim() : null,
+            activeTo: entry.activeTo ? String(entry.activeTo).trim() : null,
+            programs: list(entry.programs)
+        };
+        this.coaches.push(coach);
+        coach.domains.forEach(domain => this.domains.add(domain));
+
+        for (const name of [coach.name, ...coach.aliases, ...coach.zoomNames]) {
+            this.index(this.byName, normalize(name), coach);
+        }
+        for (const email of coach.emails) {
+            this.index(this.byEmail, email, coach);
+        }
+        return coach;
+    }
+
+    // First coach wins a name or email two rows claim; the loader reports the rest
+    index(map, key, coach) {
+        const existing = map.get(key);
+        if (!existing) {
+            map.set(key, coach);
+        } else if (existing !== coach) {
+            this.duplicates.push({ key, coaches: [existing.name, coach.name] });
+        }
+    }
+
+    get size() {
+        return this.coaches.length;
+    }
+
+    // Whether a coach was active on a date (anything Date.parse reads); no date means yes
+    isActive(coach, date) {
+        const time = date ? Date.parse(date) : NaN;
+        if (Number.isNaN(time)) return true;
+        const day = new Date(time).toISOString().split('T')[0];
+        return (!coach.activeFrom || day >= coach.activeFrom) && (!coach.activeTo || day <= coach.activeTo);
+    }
+
+    // The coach a name, alias or Zoom display name belongs to, trying the whole name
+    // first and then its first word ("Jenny Lee", "jenny.lee" -> Jenny)
+    findByName(name, date = null) {
+        if (!name) return null;
+        const coach = this.byName.get(normalize(name)) || this.byName.get(firstToken(name));
+        return coach && this.isActive(coach, date) ? coach : null;
+    }
+
+    findByEmail(email, date = null) {
+        if (!email) return null;
+        const coach = this.byEmail.get(String(email).toLowerCase().trim());
+        return coach && this.isActive(coach, date) ? coach : null;
+    }
+
+    // A coach's own address, or any address on a staff domain
+    isCoachEmail(email) {
+        if (!email || typeof email !== 'string') return false;
+        const address = email.toLowerCase().trim();
+        return this.byEmail.has(address) || this.domains.has(address.split('@')[1]);
+    }
+}
+
+export default CoachRoster;
@@ -0,0 +1,98 @@
+// download-scheduler.js
+// One scheduler shared by every recording the service is working on, so parallel
+// jobs can't open an unbounded number of Zoom downloads between them.
+//
+//   DOWNLOAD_CONCURRENCY                files downloading at once across all recordings (default 4)
+//   DOWNLOAD_CONCURRENCY_PER_RECORDING  files downloading at once within one recording (default 2)
+//   DOWNLOAD_MAX_BYTES_PER_SECOND       combined bandwidth cap for all downloads (default 0, no cap)
+//
+// Within a recording, the small files the metadata extraction reads (timeline,
+// transcript, chat) are started first, then the rest smallest first, so
+// identification can begin while the video is still downloading.
+
+import pLimit from 'p-limit';
+import { Transform, pipeline } from 'stream';
+
+// What extractMetadataFromAllSources reads
+export const METADATA_FILE_TYPES = ['TIMELINE', 'TRANSCRIPT', 'VTT', 'CHAT'];
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PER_RECORDING = 2;
+
+export function isMetadataFile(fileType) {
+    return METADATA_FILE_TYPES.includes(fileType);
+}
+
+// Metadata files first, then by size; unknown sizes go last
+export function downloadOrder(a, b) {
+    const priority = file => (isMetadataFile(file.file_type) ? 0 : 1);
+    const size = file => (file.file_size == null ? Infinity : file.file_size);
+    return priority(a) - priority(b) || size(a) - size(b);
+}
+
+class DownloadScheduler {
+    constructor(options = {}) {
+        this.concurrency = Number(options.concurrency || process.env.DOWNLOAD_CONCURRENCY || DEFAULT_CONCURRENCY);
+        this.perRecording = Number(options.perRecording || process.env.DOWNLOAD_CONCURRENCY_PER_RECORDING || DEFAULT_PER_RECORDING);
+        this.maxBytesPerSecond = Number(options.maxBytesPerSecond ?? process.env.DOWNLOAD_MAX_BYTES_PER_SECOND ?? 0);
+
+        this.limit = pLimit(this.concurrency);
+        // Bandwidth is handed out as consecutive time slots on one shared timeline
+        this.nextSlotAt = 0;
+    }
+
+    // Run a single download under the global limit only (e.g. a late transcript)
+    run(task) {
+        return this.limit(task);
+    }
+
+    // Run task(file) for each file under both limits, in download order.
+    // Resolves to the settled outcomes, in the order the files were given.
+    scheduleRecording(files, task) {
+        const recordingLimit = pLimit(this.perRecording);
+        const ordered = files.map((file, index) => ({ file, index })).sort((a, b) => downloadOrder(a.file, b.file));
+
+        const promises = new Array(files.length);
+        for (const { file, index } of ordered) {
+            promises[index] = recordingLimit(() => this.limit(() => task(file, index)));
+        }
+        return promises;
+    }
+
+    get activeCount() {
+        return this.limit.activeCount;
+    }
+
+    get pendingCount() {
+        return this.limit.pendingCount;
+    }
+
+    // Wait until `bytes` more may pass without exceeding the cap
+    async reserve(bytes) {
+        if (!this.maxBytesPerSecond) return;
+
+        const now = Date.now();
+        const startAt = Math.max(this.nextSlotAt, now);
+        this.nextSlotAt = startAt + (bytes / this.maxBytesPerSecond) * 1000;
+        if (startAt > now) {
+            await new Promise(resolve => setTimeout(resolve, startAt - now));
+        }
+    }
+
+    // Pace a download stream to the shared cap; without a cap the stream is returned as is
+    throttle(stream) {
+        if (!this.maxBytesPerSecond) return stream;
+
+        const scheduler = this;
+        const paced = new Transform({
+            transform(chunk, encoding, callback) {
+                scheduler.reserve(chunk.length).then(() => callback(null, chunk), callback);
+            }
+        });
+        // Errors on the source (e.g. a dropped connection) reach whoever reads the paced stream
+        pipeline(stream, paced, () => {});
+        return paced;
+    }
+}
+
+export default DownloadScheduler;
@@ -0,0 +1,426 @@
+// drive-storage.js
+// Google Drive storage backend. Folder and file ids are Drive ids; the root is DRIVE_ROOT_FOLDER_ID.
+//
+// Large files go through Drive's resumable upload protocol in DRIVE_UPLOAD_CHUNK_SIZE
+// chunks (default 8 MiB, rounded down to a multiple of 256 KiB). The session URI and
+// last confirmed byte are persisted (see upload-sessions.js), so a retry resumes
+// where the previous attempt stopped instead of re-downloading the whole file.
+
+import axios from 'axios';
+import logger from './logger.js';
+import UploadSessionStore from './upload-sessions.js';
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const SHORTCUT_MIME_TYPE = 'application/vnd.google-apps.shortcut';
+
+const UPLOAD_URL = 'https://www.googleapis.com/upload/drive/v3/files';
+const CHUNK_GRANULARITY = 256 * 1024;
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const CHUNK_ATTEMPTS = 3;
+
+function normalizeChunkSize(value) {
+    const size = Number(value) || DEFAULT_CHUNK_SIZE;
+    return Math.max(CHUNK_GRANULARITY, Math.floor(size / CHUNK_GRANULARITY) * CHUNK_GRANULARITY);
+}
+
+class DriveStorage {
+    constructor({ drive, auth, rootFolderId, chunkSize, uploadUrl, sessions } = {}) {
+        if (!drive) {
+            throw new Error('DriveStorage needs an authenticated Drive client');
+        }
+        this.name = 'drive';
+        this.drive = drive;
+        this.auth = auth;
+        this.rootFolderId = rootFolderId || process.env.DRIVE_ROOT_FOLDER_ID;
+        this.chunkSize = normalizeChunkSize(chunkSize || process.env.DRIVE_UPLOAD_CHUNK_SIZE);
+        this.uploadUrl = uploadUrl || UPLOAD_URL;
+        this.sessions = sessions || new UploadSessionStore();
+    }
+
+    async init() {
+        if (!this.rootFolderId) {
+            throw new Error('DRIVE_ROOT_FOLDER_ID is not set');
+        }
+
+        // Check storage quota
+        try {
+            const about = await this.drive.about.get({
+                fields: 'storageQuota, user'
+            });
+
+            logger.info(`📊 Drive Storage Info`);
+            logger.info(`Authenticated as: ${about.data.user.emailAddress}`);
+
+            const quota = about.data.storageQuota;
+            if (quota.limit && quota.limit !== '-1') {
+                const usedGB = (parseInt(quota.usage) / 1073741824).toFixed(2);
+                const limitGB = (parseInt(quota.limit) / 1073741824).toFixed(2);
+                logger.info(`Storage: ${usedGB} GB / ${limitGB} GB used`);
+
+                if (parseInt(quota.usage) >= parseInt(quota.limit) * 0.9) {
+                    logger.warn(`⚠️  WARNING: Storage is ${((parseInt(quota.usage) / parseInt(quota.limit)) * 100).toFixed(1)}% full!`);
+                }
+            } else {
+                logger.info(`Storage: Using organization pool (22TB available)`);
+            }
+        } catch (error) {
+            logger.warn('Could not check storage quota', { error: error.message });
+        }
+    }
+
+    async findFolder(parentId, folderName) {
+        const query = `name='${folderName.replace(/'/g, "\\'")}' and '${parentId}' in parents and mimeType='${FOLDER_MIME_TYPE}' and trashed=false`;
+
+        const response = await this.drive.files.list({
+            q: query,
+            fields: 'files(id)',
+            pageSize: 1
+        });
+
+        if (response.data.files && response.data.files.length > 0) {
+            return response.data.files[0].id;
+        }
+        return null;
+    }
+
+    async createFolder(parentId, folderName) {
+        const folder = await this.drive.files.create({
+            resource: {
+                name: folderName,
+                mimeType: FOLDER_MIME_TYPE,
+                parents: [parentId]
+            },
+            fields: 'id'
+        });
+        return folder.data.id;
+    }
+
+    async uploadFile(stream, fileName, folderId, mimeType) {
+        const response = await this.drive.files.create({
+            resource: {
+                name: fileName,
+                parents: [folderId]
+            },
+            media: {
+                mimeType: mimeType,
+                body: stream
+            },
+            fields: 'id, webViewLink, name'
+        });
+        return response.data;
+    }
+
+    // Resumable, chunked upload of a file of known size. openStream(offset) must resolve
+    // to { stream, offset } where offset is the byte the returned stream actually starts at
+    // (0 if the source ignored the requested range).
+    async uploadFileResumable({ fileName, folderId, mimeType, totalBytes, openStream, onProgress }) {
+        if (!this.auth) {
+            throw new Error('Resumable uploads need the Google auth client');
+        }
+
+        const key = UploadSessionStore.keyFor(folderId, fileName, totalBytes);
+        let session = this.sessions.get(key);
+
+        if (session) {
+            const status = await this.queryUploadSession(session);
+            if (status.done) {
+                this.sessions.remove(key);
+                return status.file;
+            }
+            if (status.expired) {
+                logger.warn(`Upload session for ${fileName} expired, starting over`);
+                this.sessions.remove(key);
+                session = null;
+            } else {
+                session.confirmedBytes = status.confirmedBytes;
+            }
+        }
+
+        if (!session) {
+            session = {
+                key,
+                sessionUri: await this.startUploadSession(fileName, folderId, mimeType, totalBytes),
+                fileName,
+                folderId,
+                mimeType,
+                totalBytes,
+                confirmedBytes: 0,
+                createdAt: new Date().toISOString()
+            };
+        }
+        this.sessions.save(session);
+
+        const resumedFrom = session.confirmedBytes;
+        if (resumedFrom > 0) {
+            logger.info(`↩️  Resuming upload of ${fileName} at byte ${resumedFrom} of ${totalBytes}`);
+        }
+
+        const reportProgress = () => {
+            if (onProgress) onProgress({ bytesUploaded: session.confirmedBytes, totalBytes, resumedFrom });
+        };
+        reportProgress();
+
+        const source = await openStream(session.confirmedBytes);
+        let skip = session.confirmedBytes - source.offset;
+        let parts = [];
+        let pendingLength = 0;
+
+        // Drive may persist less than a full chunk; whatever it didn't confirm is sent again
+        const sendChunk = async (buffer) => {
+            const result = await this.uploadChunk(session, buffer);
+            if (!result.done) {
+                const accepted = result.confirmedBytes - session.confirmedBytes;
+                session.confirmedBytes = result.confirmedBytes;
+                this.sessions.save(session);
+                reportProgress();
+                return { ...result, rest: buffer.subarray(accepted) };
+            }
+            return result;
+        };
+
+        try {
+            for await (let data of source.stream) {
+                if (skip > 0) {
+                    if (data.length <= skip) {
+                        skip -= data.length;
+                        continue;
+                    }
+                    data = data.subarray(skip);
+                    skip = 0;
+                }
+                parts.push(data);
+                pendingLength += data.length;
+
+                // The final chunk is sent after the stream ends, so Drive only finalizes complete files
+                while (pendingLength >= this.chunkSize && session.confirmedBytes + this.chunkSize < totalBytes) {
+                    const buffer = Buffer.concat(parts, pendingLength);
+                    const result = await sendChunk(buffer.subarray(0, this.chunkSize));
+                    const rest = Buffer.concat([result.rest, buffer.subarray(this.chunkSize)]);
+                    parts = [rest];
+                    pendingLength = rest.length;
+                }
+            }
+        } finally {
+            source.stream.destroy();
+        }
+
+        let buffer = Buffer.concat(parts, pendingLength);
+        if (session.confirmedBytes + buffer.length !== totalBytes) {
+            throw new Error(`Source for ${fileName} ended at byte ${session.confirmedBytes + buffer.length}, expected ${totalBytes}`);
+        }
+
+        for (let stalled = 0; stalled < CHUNK_ATTEMPTS; ) {
+            const before = session.confirmedBytes;
+            const result = await sendChunk(buffer);
+            if (result.done) {
+                this.sessions.remove(key);
+                session.confirmedBytes = totalBytes;
+                reportProgress();
+                return result.file;
+            }
+            buffer = result.rest;
+            stalled = session.confirmedBytes === before ? stalled + 1 : 0;
+        }
+        throw new Error(`Drive stopped accepting data for ${fileName} at byte ${session.confirmedBytes}`);
+    }
+
+    async startUploadSession(fileName, folderId, mimeType, totalBytes) {
+        const response = await axios.post(
+            `${this.uploadUrl}?uploadType=resumable&fields=id,name,webViewLink&supportsAllDrives=true`,
+            { name: fileName, parents: [folderId] },
+            {
+                headers: {
+                    ...(await this.auth.getRequestHeaders()),
+                    'Content-Type': 'application/json; charset=UTF-8',
+                    'X-Upload-Content-Type': mimeType,
+                    'X-Upload-Content-Length': String(totalBytes)
+                }
+            }
+        );
+        if (!response.headers.location) {
+            throw new Error('Drive did not return a resumable upload session URI');
+        }
+        return response.headers.location;
+    }
+
+    // 308 carries the confirmed range, 200/201 means the file is complete
+    parseUploadResponse(response) {
+        if (response.status === 200 || response.status === 201) {
+            return { done: true, file: response.data };
+        }
+        if (response.status === 308) {
+            const match = /bytes=0-(\d+)/.exec(response.headers.range || '');
+            return { done: false, confirmedBytes: match ? Number(match[1]) + 1 : 0 };
+        }
+        if (response.status === 404 || response.status === 410) {
+            return { expired: true };
+        }
+        throw new Error(`Drive upload failed: HTTP ${response.status}`);
+    }
+
+    async queryUploadSession(session) {
+        const response = await axios.put(session.sessionUri, null, {
+            headers: {
+                ...(await this.auth.getRequestHeaders()),
+                'Content-Length': '0',
+                'Content-Range': `bytes */${session.totalBytes}`
+            },
+            maxRedirects: 0,
+            validateStatus: status => status < 500
+        });
+        return this.parseUploadResponse(response);
+    }
+
+    async uploadChunk(session, chunk) {
+        const start = session.confirmedBytes;
+        const end = start + chunk.length - 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await axios.put(session.sessionUri, chunk, {
+                    headers: {
+                        ...(await this.auth.getRequestHeaders()),
+                        'Content-Length': String(chunk.length),
+                        'Content-Range': `bytes ${start}-${end}/${session.totalBytes}`
+                    },
+                    maxRedirects: 0,
+                    maxBodyLength: Infinity,
+                    timeout: 300000,
+                    validateStatus: status => status < 500
+                });
+                const result = this.parseUploadResponse(response);
+                if (result.expired) {
+                    this.sessions.remove(session.key);
+                    throw new Error(`Upload session for ${session.fileName} expired`);
+                }
+                return result;
+            } catch (error) {
+                if (attempt >= CHUNK_ATTEMPTS || /expired/.test(error.message)) {
+                    throw error;
+                }
+                logger.warn(`Chunk ${start}-${end} of ${session.fileName} failed, retrying`, { attempt, error: error.message });
+                await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+
+                // Part of the chunk may have landed before the failure
+                const status = await this.queryUploadSession(session).catch(() => null);
+                if (status && (status.done || status.confirmedBytes > start)) {
+                    return status;
+                }
+            }
+        }
+    }
+
+    async copyFile(fileId, targetFolderId, fileName) {
+        const response = await this.drive.files.copy({
+            fileId: fileId,
+            resource: {
+                name: fileName,
+                parents: [targetFolderId]
+            },
+            fields: 'id, webViewLink'
+        });
+        return response.data;
+    }
+
+    async moveFile(fileId, fromFolderId, toFolderId) {
+        const response = await this.drive.files.update({
+            fileId: fileId,
+            addParents: toFolderId,
+            removeParents: fromFolderId,
+            fields: 'id, parents'
+        });
+        return response.data;
+    }
+
+    async createShortcut(targetFileId, folderId, name) {
+        const response = await this.drive.files.create({
+            resource: {
+                name: name,
+                mimeType: SHORTCUT_MIME_TYPE,
+                parents: [folderId],
+                shortcutDetails: { targetId: targetFileId }
+            },
+            fields: 'id, webViewLink'
+        });
+        return response.data;
+    }
+
+    async deleteFile(fileId, { permanent = false } = {}) {
+        if (permanent) {
+            await this.drive.files.delete({ fileId: fileId });
+        } else {
+            await this.drive.files.update({ fileId: fileId, resource: { trashed: true } });
+        }
+    }
+
+    // Trashing or deleting a Drive folder takes its contents with it
+    async deleteFolder(folderId, options = {}) {
+        await this.deleteFile(folderId, options);
+    }
+
+    async listFolder(folderId) {
+        const entries = [];
+        let pageToken;
+        do {
+            const response = await this.drive.files.list({
+                q: `'${folderId}' in parents and trashed=false`,
+                fields: 'nextPageToken, files(id, name, mimeType, size, md5Checksum, createdTime)',
+                pageSize: 1000,
+                pageToken
+            });
+            for (const file of response.data.files || []) {
+                entries.push({
+                    id: file.id,
+                    name: file.name,
+                    isFolder: file.mimeType === FOLDER_MIME_TYPE,
+                    isShortcut: file.mimeType === SHORTCUT_MIME_TYPE,
+                    size: file.size ? Number(file.size) : 0,
+                    md5Checksum: file.md5Checksum || null,
+                    createdTime: file.createdTime || null
+                });
+            }
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+        return entries;
+    }
+
+    async getFileInfo(fileId) {
+        const response = await this.drive.files.get({
+            fileId: fileId,
+            fields: 'id, name, size, md5Checksum'
+        });
+        const file = response.data;
+        return {
+            id: file.id,
+            name: file.name,
+            size: file.size != null ? Number(file.size) : null,
+            md5Checksum: file.md5Checksum || null
+        };
+    }
+
+    async readFile(fileId) {
+        const response = await this.drive.files.get(
+            { fileId: fileId, alt: 'media' },
+            { responseType: 'text' }
+        );
+        return String(response.data);
+    }
+
+    async checkWritable() {
+        const response = await this.drive.files.get({
+            fileId: this.rootFolderId,
+            fields: 'id, name, trashed, capabilities(canAddChildren)',
+            supportsAllDrives: true
+        });
+        const folder = response.data;
+        if (folder.trashed) {
+            throw new Error(`DRIVE_ROOT_FOLDER_ID ${folder.id} is in the trash`);
+        }
+        if (!folder.capabilities?.canAddChildren) {
+            throw new Error(`DRIVE_ROOT_FOLDER_ID ${folder.id} is not writable`);
+        }
+        return { folderName: folder.name, writable: true };
+    }
+}
+
+export default DriveStorage;
@@ -0,0 +1,150 @@
+// event-archive.js
+// Append-only archive of every verified webhook (headers + body) as daily JSONL files.
+// download_token is redacted from the archived body and kept in a separate
+// tokens.jsonl (mode 0600) so the archive itself can be shared or inspected safely.
+//
+// Deliveries that fail signature verification are not archived: anyone who knows
+// the webhook URL could fill the disk with them. A short line per rejection (no
+// body) goes to rejected.jsonl instead, which stops growing at
+// EVENT_ARCHIVE_REJECTED_MAX_BYTES (default 1 MB).
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+const DEFAULT_DIR = './data/events';
+const DEFAULT_REJECTED_MAX_BYTES = 1024 * 1024;
+
+// Headers that never go into the archive
+const REDACTED_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+class EventArchive {
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.EVENT_ARCHIVE_DIR || DEFAULT_DIR;
+        this.tokensPath = path.join(this.dir, 'tokens.jsonl');
+        this.rejectedPath = path.join(this.dir, 'rejected.jsonl');
+        this.rejectedMaxBytes = options.rejectedMaxBytes ??
+            (parseInt(process.env.EVENT_ARCHIVE_REJECTED_MAX_BYTES, 10) || DEFAULT_REJECTED_MAX_BYTES);
+        this.rejectedDropped = 0;
+    }
+
+    fileForDate(date) {
+        return path.join(this.dir, `events-${date}.jsonl`);
+    }
+
+    // A delivery whose signature checked out
+    append({ headers = {}, body = {} }) {
+        const receivedAt = new Date().toISOString();
+        const id = crypto.randomUUID();
+
+        const archivedHeaders = {};
+        for (const [name, value] of Object.entries(headers)) {
+            archivedHeaders[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+        }
+
+        const archivedBody = { ...body };
+        const downloadToken = body.download_token;
+        if (downloadToken) {
+            archivedBody.download_token = '[REDACTED]';
+        }
+
+        const entry = {
+            id,
+            receivedAt,
+            event: body.event || null,
+            eventTs: body.event_ts || null,
+            meetingId: body.payload?.object?.id || null,
+            uuid: body.payload?.object?.uuid || null,
+            headers: archivedHeaders,
+            body: archivedBody
+        };
+
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.appendFileSync(this.fileForDate(receivedAt.split('T')[0]), JSON.stringify(entry) + '\n');
+
+            if (downloadToken) {
+                fs.appendFileSync(this.tokensPath, JSON.stringify({ id, downloadToken }) + '\n', { mode: 0o600 });
+            }
+        } catch (error) {
+            logger.error('Error archiving webhook event', { error: error.message });
+        }
+
+        return entry;
+    }
+
+    // A delivery that failed verification, for forensics: who sent what kind of request,
+    // never its body, and nothing once rejected.jsonl reaches its size limit
+    recordRejected({ headers = {}, body = {}, reason = null, ip = null }) {
+        const entry = {
+            receivedAt: new Date().toISOString(),
+            reason,
+            ip,
+            userAgent: String(headers['user-agent'] || '').slice(0, 200),
+            event: typeof body.event === 'string' ? body.event.slice(0, 100) : null,
+            bodyBytes: Buffer.byteLength(JSON.stringify(body))
+        };
+        const line = JSON.stringify(entry) + '\n';
+
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            const size = fs.existsSync(this.rejectedPath) ? fs.statSync(this.rejectedPath).size : 0;
+            if (size + Buffer.byteLength(line) > this.rejectedMaxBytes) {
+                if (this.rejectedDropped++ === 0) {
+                    logger.warn('Rejected webhook log is full, further rejections are not recorded', {
+                        path: this.rejectedPath,
+                        maxBytes: this.rejectedMaxBytes
+                    });
+                }
+                return null;
+            }
+            fs.appendFileSync(this.rejectedPath, line);
+        } catch (error) {
+            logger.error('Error recording rejected webhook', { error: error.message });
+        }
+        return entry;
+    }
+
+    // filter: { from, to (YYYY-MM-DD, inclusive), event, meetingId }
+    read(filter = {}) {
+        if (!fs.existsSync(this.dir)) return [];
+
+        const files = fs.readdirSync(this.dir)
+            .filter(name => /^events-\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+            .filter(name => {
+                const date = name.slice('events-'.length, -'.jsonl'.length);
+                return (!filter.from || date >= filter.from) && (!filter.to || date <= filter.to);
+            })
+            .sort();
+
+        const entries = [];
+        for (const name of files) {
+            const lines = fs.readFileSync(path.join(this.dir, name), 'utf8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    logger.warn(`Skipping unreadable line in ${name}`, { error: error.message });
+                }
+            }
+        }
+
+        return entries
+            .filter(entry => !filter.event || entry.event === filter.event)
+            .filter(entry => !filter.meetingId || String(entry.meetingId) === String(filter.meetingId));
+    }
+
+    getDownloadToken(id) {
+        if (!fs.existsSync(this.tokensPath)) return null;
+
+        const lines = fs.readFileSync(this.tokensPath, 'utf8').split('\n').filter(Boolean);
+        for (const line of lines) {
+            const record = JSON.parse(line);
+            if (record.id === id) return record.downloadToken;
+        }
+        return null;
+    }
+}
+
+export default EventArchive;
@@ -0,0 +1,233 @@
+// evidence-scorer.js
+// Decides coach, student and week from every finding about them instead of
+// letting whichever source has the highest fixed score overwrite the rest.
+//
+// Each finding is a piece of evidence: a value, how much it counts on its own
+// (0-1, the scores metadata extraction has always used), the source it came from
+// (topic, host, timeline, transcript, chat, mappings, metadata) and the rule that
+// produced it. Findings for the same value are one candidate, so "Alex" in the
+// topic also counts for "Alex Smith" from the timeline when no other candidate
+// has that name.
+//
+// A candidate's support combines its sources as independent evidence,
+// 1 - (1 - a)(1 - b)..., taking the strongest finding of each source once, so
+// two sources that agree beat either alone. The winner's confidence is then cut
+// by the support of the best candidate it disagrees with. A decisive finding (a
+// Siraj topic, an Ivylevel session) settles a field by itself.
+//
+// trace() records every candidate with the rules behind it, plus what was
+// rejected and why; it is stored with the session and shown in Manual_Review.
+
+import { nameTokens } from './student-matcher.js';
+
+const FIELDS = ['coach', 'student', 'week'];
+
+// Where each field lives on the metadata object (confidence and sources use the field name)
+const METADATA_FIELDS = { coach: 'coach', student: 'student', week: 'weekNumber' };
+
+// What the student mappings count for once they name the student: students sometimes
+// see another coach, and the week since their start date misses breaks
+export const MAPPINGS_WEIGHTS = { assignedCoach: 0.8, calculatedWeek: 0.6 };
+
+const CONFLICT_PENALTY = 0.5;
+const MAX_CONFIDENCE = 0.99;
+
+const round = value => Math.round(value * 100) / 100;
+const identify = item => [item.value, item.as, item.weight, item.source, item.rule, item.decisive].join('|');
+
+// What makes two values the same candidate: the week number, or the words of a name
+function keyOf(field, value) {
+    if (field === 'week') {
+        const week = parseInt(value, 10);
+        return Number.isNaN(week) ? null : String(week);
+    }
+    return nameTokens(value).join(' ') || null;
+}
+
+// A name that is part of exactly one longer candidate ("Alex" of "Alex Smith") supports it
+function foldPartialNames(groups) {
+    const ordered = [...groups].sort((a, b) => a.tokens.length - b.tokens.length);
+    for (const group of ordered) {
+        const containers = groups.filter(other => other !== group &&
+            other.tokens.length > group.tokens.length &&
+            group.tokens.every(token => other.tokens.includes(token)));
+        if (containers.length === 1) {
+            containers[0].items.push(...group.items);
+            groups.splice(groups.indexOf(group), 1);
+        }
+    }
+    return groups;
+}
+
+function toCandidate(items) {
+    const strongest = items.reduce((best, item) => (item.weight > best.weight ? item : best));
+    const bySource = new Map();
+    for (const item of items) {
+        bySource.set(item.source, Math.max(bySource.get(item.source) || 0, item.weight));
+    }
+    const support = 1 - [...bySource.values()].reduce((doubt, weight) => doubt * (1 - weight), 1);
+    return {
+        value: strongest.as || strongest.value,
+        support: round(Math.min(MAX_CONFIDENCE, support)),
+        strongest: strongest.weight,
+        sources: [...bySource.entries()].sort((a, b) => b[1] - a[1]).map(([source]) => source),
+        evidence: items
+    };
+}
+
+class EvidenceScorer {
+    constructor() {
+        this.evidence = { coach: [], student: [], week: [] };
+        this.rejected = { coach: [], student: [], week: [] };
+    }
+
+    // Evidence as stored in a trace, e.g. to add a late transcript to what a recording was filed with
+    static fromTrace(trace) {
+        const scorer = new EvidenceScorer();
+        for (const field of FIELDS) {
+            const decision = trace && trace[field];
+            if (!decision) continue;
+            for (const candidate of decision.candidates || []) {
+                for (const item of candidate.evidence || []) {
+                    scorer.evidence[field].push({ ...item, value: item.value ?? candidate.value });
+                }
+            }
+            scorer.rejected[field].push(...(decision.rejected || []));
+        }
+        return scorer;
+    }
+
+    // A finding: field ('coach', 'student' or 'week') is value, counting weight (0-1) on its own
+    add(field, value, weight, source, rule, { decisive = false } = {}) {
+        if (value === null || value === undefined || value === '' || !(weight > 0)) return false;
+        if (!keyOf(field, value)) return false;
+        this.evidence[field].push({ value, weight: round(weight), source, rule, ...(decisive ? { decisive } : {}) });
+        return true;
+    }
+
+    // A finding that settles the field by itself; the others stay in the trace, overruled
+    decide(field, value, weight, source, rule) {
+        return this.add(field, value, weight, source, rule, { decisive: true });
+    }
+
+    // A finding that was thrown out, kept so the trace shows why
+    reject(field, value, source, rule, reason) {
+        if (!value) return;
+        this.rejected[field].push({ value, source, rule, reason });
+    }
+
+    // Values the callback names the same (e.g. every spelling a Mappings row confirms) count as one candidate
+    canonicalize(field, canonical) {
+        for (const item of this.evidence[field]) {
+            const name = canonical(item.value);
+            if (name && name !== item.value) item.as = name;
+        }
+    }
+
+    // Everything another scorer found; a source still counts once per candidate
+    merge(other) {
+        for (const field of FIELDS) {
+            const seen = new Set(this.evidence[field].map(identify));
+            this.evidence[field].push(...other.evidence[field].filter(item => !seen.has(identify(item))));
+            this.rejected[field].push(...other.rejected[field]);
+        }
+        return this;
+    }
+
+    // Candidates for a field, best first
+    candidates(field) {
+        let groups = [];
+        for (const item of this.evidence[field]) {
+            const key = keyOf(field, item.as || item.value);
+            const group = groups.find(existing => existing.key === key);
+            if (group) {
+                group.items.push(item);
+            } else {
+                groups.push({ key, tokens: key.split(' '), items: [item] });
+            }
+        }
+        if (field !== 'week') groups = foldPartialNames(groups);
+
+        const order = item => this.evidence[field].indexOf(item);
+        return groups
+            .map(group => toCandidate(group.items))
+            .sort((a, b) => b.support - a.support ||
+                b.strongest - a.strongest ||
+                Math.min(...a.evidence.map(order)) - Math.min(...b.evidence.map(order)));
+    }
+
+    // The value for a field with its confidence, the sources behind it and every candidate considered
+    resolve(field) {
+        const candidates = this.candidates(field);
+        const decisive = candidates.find(candidate => candidate.evidence.some(item => item.decisive));
+        const winner = decisive || candidates[0] || null;
+        const rival = winner && candidates.find(candidate => candidate !== winner);
+
+        let confidence = 0;
+        if (decisive) {
+            confidence = Math.max(...decisive.evidence.filter(item => item.decisive).map(item => item.weight));
+        } else if (winner) {
+            confidence = round(winner.support * (1 - CONFLICT_PENALTY * (rival ? rival.support : 0)));
+        }
+
+        return {
+            value: winner ? winner.value : null,
+            confidence,
+            source: winner ? winner.sources.join('+') : null,
+            decidedBy: decisive ? 'decisive' : winner ? 'combined' : null,
+            conflict: rival && !decisive ? { value: rival.value, support: rival.support } : null,
+            candidates: candidates.map(({ value, support, sources, evidence }) => ({
+                value,
+                support,
+                sources,
+                evidence: evidence.map(({ value: found, ...item }) => (found === value ? item : { value: found, ...item }))
+            })),
+            rejected: [...this.rejected[field]]
+        };
+    }
+
+    trace() {
+        return Object.fromEntries(FIELDS.map(field => [field, this.resolve(field)]));
+    }
+
+    // Write the decisions onto a metadata object (coach, student, weekNumber, confidence, sources, trace)
+    apply(metadata) {
+        const trace = this.trace();
+        metadata.confidence = metadata.confidence || {};
+        metadata.sources = metadata.sources || {};
+        for (const field of FIELDS) {
+            metadata[METADATA_FIELDS[field]] = trace[field].value;
+            metadata.confidence[field] = trace[field].confidence;
+            metadata.sources[field] = trace[field].source;
+        }
+        metadata.trace = trace;
+        return metadata;
+    }
+}
+
+// "Alex Smith 0.52 (timeline:other_participant 0.9) vs Alex Jones 0.85 (transcript:student_introduction 0.85)"
+export function describeDecision(decision) {
+    if (!decision || !decision.value) return 'none';
+    const describe = candidate => `${candidate.value} ${candidate.support} (${candidate.evidence
+        .map(item => `${item.source}:${item.rule} ${item.weight}${item.value !== undefined ? ` "${item.value}"` : ''}`)
+        .join(', ')})`;
+    const [winner, ...others] = decision.decidedBy === 'decisive'
+        ? [decision.candidates.find(candidate => candidate.value === decision.value), ...decision.candidates.filter(candidate => candidate.value !== decision.value)]
+        : decision.candidates;
+    let text = `${decision.value} ${decision.confidence}: ${describe(winner)}`;
+    if (others.length > 0) {
+        text += ` ${decision.decidedBy === 'decisive' ? 'overruled' : 'vs'} ${others.map(describe).join(' | ')}`;
+    }
+    if (decision.rejected.length > 0) {
+        text += `; rejected ${decision.rejected.map(item => `${item.value} (${item.reason})`).join(', ')}`;
+    }
+    return text;
+}
+
+// One line per field, for a sheet cell
+export function describeTrace(trace) {
+    if (!trace) return '';
+    return FIELDS.map(field => `${field}: ${describeDecision(trace[field])}`).join('\n');
+}
+
+export default EvidenceScorer;
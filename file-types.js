@@ -0,0 +1,135 @@
+// file-types.js
+// What each Zoom recording file becomes in the archive: the suffix of its
+// standardized name, its extension and its MIME type, looked up by Zoom's
+// file_type and recording_type.
+//
+//   FILE_TYPES_CONFIG   JSON file with extra entries, e.g.
+//                       [{ "fileType": "MP4", "recordingType": "host_video", "suffix": "_Video_Host", "extension": ".mp4", "mimeType": "video/mp4" }]
+//                       An entry with the same fileType + recordingType as a built-in one replaces it;
+//                       leave recordingType out for the fallback of a whole file_type.
+//
+// Files Zoom adds later that nobody has configured are still archived, named
+// after their file_type with Zoom's own file_extension.
+
+import fs from 'fs';
+
+// recordingType null is the entry for any recording_type without its own
+export const DEFAULT_FILE_TYPES = [
+    { fileType: 'MP4', recordingType: null, suffix: '_Video', extension: '.mp4', mimeType: 'video/mp4' },
+    // Zoom's default layout keeps the plain _Video name archived files already have
+    { fileType: 'MP4', recordingType: 'shared_screen_with_speaker_view', suffix: '_Video', extension: '.mp4', mimeType: 'video/mp4' },
+    { fileType: 'MP4', recordingType: 'shared_screen_with_speaker_view(CC)', suffix: '_Video_CC', extension: '.mp4', mimeType: 'video/mp4' },
+    { fileType: 'MP4', recordingType: 'shared_screen_with_gallery_view', suffix: '_Video_ScreenGallery', extension: '.mp4', mimeType: 'video/mp4' },
+    { fileType: 'MP4', recordingType: 'active_speaker', suffix: '_Video_ActiveSpeaker', extension: '.mp4', mimeType: 'video/mp4' },
+    { fileType: 'MP4', recordingType: 'gallery_view', suffix: '_Video_Gallery', extension: '.mp4', mimeType: 'video/mp4' },
+    { fileType: 'MP4', recordingType: 'speaker_view', suffix: '_Video_Speaker', extension: '.mp4', mimeType: 'video/mp4' },
+    { fileType: 'MP4', recordingType: 'shared_screen', suffix: '_Video_Screen', extension: '.mp4', mimeType: 'video/mp4' },
+    { fileType: 'M4A', recordingType: null, suffix: '_Audio', extension: '.m4a', mimeType: 'audio/mp4' },
+    { fileType: 'TRANSCRIPT', recordingType: null, suffix: '_Transcript', extension: '.vtt', mimeType: 'text/vtt' },
+    { fileType: 'VTT', recordingType: null, suffix: '_Transcript', extension: '.vtt', mimeType: 'text/vtt' },
+    { fileType: 'CC', recordingType: null, suffix: '_Captions', extension: '.vtt', mimeType: 'text/vtt' },
+    { fileType: 'CHAT', recordingType: null, suffix: '_Chat', extension: '.txt', mimeType: 'text/plain' },
+    { fileType: 'TIMELINE', recordingType: null, suffix: '_Timeline', extension: '.json', mimeType: 'application/json' },
+    { fileType: 'CSV', recordingType: null, suffix: '_Report', extension: '.csv', mimeType: 'text/csv' },
+    { fileType: 'CSV', recordingType: 'poll', suffix: '_Poll', extension: '.csv', mimeType: 'text/csv' },
+    { fileType: 'CSV', recordingType: 'q_and_a', suffix: '_QA', extension: '.csv', mimeType: 'text/csv' },
+    { fileType: 'SUMMARY', recordingType: null, suffix: '_Summary', extension: '.json', mimeType: 'application/json' }
+];
+
+const EXTENSION_MIME_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4a': 'audio/mp4',
+    '.vtt': 'text/vtt',
+    '.txt': 'text/plain',
+    '.json': 'application/json',
+    '.csv': 'text/csv'
+};
+
+const entryKey = (fileType, recordingType) => `${String(fileType).toUpperCase()}|${recordingType || ''}`;
+
+function titleCase(value) {
+    return String(value).toLowerCase().replace(/(^|_)([a-z0-9])/g, (match, separator, letter) => letter.toUpperCase());
+}
+
+class FileTypeRegistry {
+    constructor(options = {}) {
+        this.entries = new Map();
+        for (const entry of DEFAULT_FILE_TYPES) {
+            this.register(entry);
+        }
+
+        const configPath = options.configPath ?? process.env.FILE_TYPES_CONFIG;
+        if (configPath) {
+            const configured = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            if (!Array.isArray(configured)) {
+                throw new Error(`FILE_TYPES_CONFIG ${configPath} must contain a JSON array`);
+            }
+            configured.forEach(entry => this.register(entry));
+        }
+        (options.entries || []).forEach(entry => this.register(entry));
+    }
+
+    register(entry) {
+        if (!entry || !entry.fileType || typeof entry.suffix !== 'string' || !entry.extension) {
+            throw new Error(`Invalid file type entry ${JSON.stringify(entry)}: fileType, suffix and extension are required`);
+        }
+        const extension = entry.extension.startsWith('.') ? entry.extension.toLowerCase() : `.${entry.extension.toLowerCase()}`;
+        this.entries.set(entryKey(entry.fileType, entry.recordingType), {
+            fileType: String(entry.fileType).toUpperCase(),
+            recordingType: entry.recordingType || null,
+            suffix: entry.suffix,
+            extension,
+            mimeType: entry.mimeType || EXTENSION_MIME_TYPES[extension] || 'application/octet-stream'
+        });
+    }
+
+    // The entry for a Zoom recording file ({ file_type, recording_type, file_extension }),
+    // falling back to its file_type, then to a name built from the file_type itself
+    resolve(file) {
+        const fileType = String(file.file_type || file.fileType || 'FILE').toUpperCase();
+        const recordingType = file.recording_type || file.recordingType || null;
+
+        const entry = (recordingType && this.entries.get(entryKey(fileType, recordingType))) ||
+            this.entries.get(entryKey(fileType, null));
+        if (entry) return entry;
+
+        const extension = `.${String(file.file_extension || file.fileExtension || 'bin').toLowerCase()}`;
+        return {
+            fileType,
+            recordingType,
+            suffix: `_${titleCase(fileType)}`,
+            extension,
+            mimeType: EXTENSION_MIME_TYPES[extension] || 'application/octet-stream',
+            unknown: true
+        };
+    }
+
+    // "_Video_ActiveSpeaker.mp4"; the second and later files of a recording that resolve
+    // to the same name get a counter ("_Video_2.mp4") so nothing is overwritten
+    fileNameSuffix(file, variant = 0) {
+        const { suffix, extension } = this.resolve(file);
+        return `${suffix}${variant > 0 ? `_${variant + 1}` : ''}${extension}`;
+    }
+
+    // Name in the temp folder, e.g. MP4_active_speaker.mp4
+    tempFileName(file, variant = 0) {
+        const { fileType, extension } = this.resolve(file);
+        const recordingType = file.recording_type || file.recordingType;
+        const type = recordingType ? `${fileType}_${recordingType.replace(/[^a-zA-Z0-9_-]/g, '')}` : fileType;
+        return `${type}${variant > 0 ? `_${variant + 1}` : ''}${extension}`;
+    }
+
+    // Key under which a filed file's link is kept (processedFiles): "mp4" for the file_type's
+    // default layout, "mp4_active_speaker" or "mp4_2" for the others
+    linkKey(file, variant = 0) {
+        const entry = this.resolve(file);
+        const parts = [entry.fileType.toLowerCase()];
+        if (entry.recordingType && entry.suffix !== this.resolve({ file_type: entry.fileType }).suffix) {
+            parts.push(entry.recordingType.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+        }
+        if (variant > 0) parts.push(variant + 1);
+        return parts.join('_');
+    }
+}
+
+export default FileTypeRegistry;
@@ -2,21 +2,129 @@ import dotenv from 'dotenv';
 import express from 'express';
 import crypto from 'crypto';
 import RecordingProcessor from './recording-processor.js';  // Note the .js extension
+import WebhookVerifier from './webhook-verifier.js';
+import JobQueue from './job-queue.js';
+import RecordingLedger from './recording-ledger.js';
+import { createJobsRouter } from './admin-api.js';
+import EventArchive from './event-archive.js';
+import logger from './logger.js';
+import ReadinessChecker from './readiness.js';
+import TempSweeper from './temp-sweeper.js';
+import ZoomCleanup, { ZOOM_CLEANUP_JOB } from './zoom-cleanup.js';
+import { register as metricsRegister, webhooksReceived, registerJobQueueMetrics } from './metrics.js';
 
 dotenv.config();
 
 const app = express();
-app.use(express.json());
+// Keep the raw body around so the Zoom signature can be checked byte-for-byte
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 // Initialize the recording processor
 const recordingProcessor = new RecordingProcessor();
+const webhookVerifier = new WebhookVerifier();
+const jobQueue = new JobQueue();
+const eventArchive = new EventArchive();
+registerJobQueueMetrics(jobQueue);
+const readinessChecker = new ReadinessChecker({ recordingProcessor, jobQueue });
+const tempSweeper = new TempSweeper({ recordingProcessor });
+const zoomCleanup = new ZoomCleanup({ recordingProcessor, jobQueue });
+
+let shuttingDown = false;
+
+// Workers for queued webhook events
+jobQueue.registerHandler('recording.completed', async (job) => {
+  const { payload, downloadToken, reprocess, eventTs } = job.data;
+  const result = await recordingProcessor.processWebhookPayload(payload, downloadToken, {
+    reprocess,
+    eventTs,
+    onProgress: (progress) => jobQueue.updateProgress(job, progress)
+  });
+  logger.info('✅ Recording processed successfully', { jobId: job.id, result });
+  const recordingKey = result?.uuid || RecordingLedger.keyFor(payload.object || payload);
+  await tempSweeper.sweepRecording(recordingKey);
+  zoomCleanup.scheduleRecording(recordingKey);
+  return result;
+});
+
+jobQueue.registerHandler('recording.transcript_completed', async (job) => {
+  const { payload, downloadToken } = job.data;
+  const result = await recordingProcessor.processTranscriptCompleted(payload, downloadToken);
+  logger.info('✅ Transcript attached', { jobId: job.id, result });
+  await tempSweeper.sweepRecording(result?.uuid);
+  return result;
+});
+
+// Delayed removal from Zoom cloud storage (ZOOM_CLEANUP_POLICY)
+jobQueue.registerHandler(ZOOM_CLEANUP_JOB, async (job) => {
+  const result = await zoomCleanup.runJob(job.data.uuid);
+  logger.info('✅ Zoom cloud cleanup checked', { jobId: job.id, result });
+  return result;
+});
+
+function hasOpenRecordingJob(recordingKey) {
+  return RecordingLedger.hasOpenJob(jobQueue.list(), recordingKey);
+}
+
+const LIFECYCLE_EVENTS = ['recording.trashed', 'recording.deleted', 'recording.recovered'];
+
+for (const lifecycleEvent of LIFECYCLE_EVENTS) {
+  jobQueue.registerHandler(lifecycleEvent, async (job) => {
+    const result = await recordingProcessor.handleRecordingLifecycleEvent(lifecycleEvent, job.data.payload);
+    logger.info(`✅ ${lifecycleEvent} handled`, { jobId: job.id, result });
+    return result;
+  });
+}
 
 app.post('/zoom-webhook', async (req, res) => {
+  const countWebhook = (outcome) => webhooksReceived.inc({ event: req.body?.event || 'unknown', outcome });
+
+  // While shutting down, make Zoom retry the delivery against the next instance
+  if (shuttingDown) {
+    countWebhook('shutting_down');
+    return res.status(503).send('Service shutting down');
+  }
+
+  // Verify x-zm-signature / x-zm-request-timestamp before trusting anything in the body
+  if (!webhookVerifier.hasSecret()) {
+    logger.error('SECRET_TOKEN is not set in environment variables');
+    countWebhook('error');
+    return res.status(500).json({ error: 'Server configuration error: SECRET_TOKEN missing' });
+  }
+
+  const verification = webhookVerifier.verify(req.headers, req.rawBody);
+
+  if (!verification.valid) {
+    // Only a short, size-capped record: unsigned requests must not be able to fill the disk
+    eventArchive.recordRejected({
+      headers: req.headers,
+      body: req.body || {},
+      reason: verification.reason,
+      ip: req.ip
+    });
+    logger.warn('webhook_verification_failed', {
+      reason: verification.reason,
+      ageSeconds: verification.ageSeconds,
+      event: req.body?.event,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    // Don't label by an unverified event name (unbounded label values)
+    webhooksReceived.inc({ event: 'unverified', outcome: 'rejected' });
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  // Archive verified deliveries so events can be replayed later
+  eventArchive.append({ headers: req.headers, body: req.body || {} });
+
   const event = req.body.event;
   const payload = req.body.payload;
   const download_token = req.body.download_token; // Extract download_token from webhook
 
-  console.log('Webhook received:', {
+  logger.info('Webhook received', {
     event: event,
     payload: {
       ...payload,
@@ -31,16 +139,12 @@ app.post('/zoom-webhook', async (req, res) => {
 
   // Handle Zoom webhook validation
   if (event === 'endpoint.url_validation') {
-    const secretToken = process.env.SECRET_TOKEN || process.env.WEBHOOK_SECRET;
-    if (!secretToken) {
-      console.error('SECRET_TOKEN is not set in environment variables');
-      return res.status(500).json({ error: 'Server configuration error: SECRET_TOKEN missing' });
-    }
     const plainToken = payload.plainToken;
-    const hash = crypto.createHmac('sha256', secretToken)
+    const hash = crypto.createHmac('sha256', webhookVerifier.secretToken)
       .update(plainToken)
       .digest('hex');
-    console.log('Validation response:', { plainToken, encryptedToken: hash });
+    logger.info('Validation response', { plainToken, encryptedToken: hash });
+    countWebhook('validated');
     return res.json({
       plainToken: plainToken,
       encryptedToken: hash
@@ -49,7 +153,7 @@ app.post('/zoom-webhook', async (req, res) => {
 
   // Handle recording completed event
   if (event === 'recording.completed') {
-    console.log('Recording completed:', {
+    logger.info('Recording completed', {
       topic: payload.object?.topic,
       id: payload.object?.id,
       uuid: payload.object?.uuid,
@@ -58,31 +162,115 @@ app.post('/zoom-webhook', async (req, res) => {
       has_download_token: !!download_token
     });
     
-    // Process the recording asynchronously with download_token
-    recordingProcessor.processWebhookPayload(payload, download_token)
-      .then(result => {
-        console.log('✅ Recording processed successfully:', result);
-      })
-      .catch(error => {
-        console.error('❌ Error processing recording:', error.message);
-        console.error('Stack:', error.stack);
+    // Zoom retries deliveries; drop repeats of the same recording/event
+    const recordingKey = RecordingLedger.keyFor(payload.object || {});
+    if (recordingKey) {
+      const decision = recordingProcessor.ledger.registerEvent(recordingKey, req.body.event_ts, {
+        meetingId: payload.object?.id || null,
+        topic: payload.object?.topic
+      }, { jobPending: hasOpenRecordingJob(recordingKey) });
+      if (!decision.accept) {
+        logger.info(`⏭️  Ignoring recording.completed for ${recordingKey}: ${decision.reason}`);
+        countWebhook('duplicate');
+        return res.status(200).send('Webhook processed');
+      }
+    }
+
+    // Persist the job before acknowledging so a restart can't lose it
+    try {
+      const job = jobQueue.enqueue('recording.completed', {
+        payload,
+        downloadToken: download_token || null,
+        eventTs: req.body.event_ts || null
       });
+      logger.info(`✓ Queued recording job ${job.id}`, { uuid: recordingKey });
+    } catch (error) {
+      logger.error('❌ Error queueing recording', { uuid: recordingKey, error: error.message });
+      if (recordingKey) {
+        recordingProcessor.ledger.releaseEvent(recordingKey, req.body.event_ts, error);
+      }
+      // Non-2xx makes Zoom retry the delivery
+      countWebhook('error');
+      return res.status(500).send('Failed to queue recording');
+    }
     
     // Respond to Zoom immediately (important!)
+    countWebhook('queued');
+    return res.status(200).send('Webhook processed');
+  }
+
+  // Handle late transcript (arrives after recording.completed)
+  if (event === 'recording.transcript_completed') {
+    logger.info('Transcript completed', {
+      topic: payload.object?.topic,
+      uuid: payload.object?.uuid,
+      has_download_token: !!download_token
+    });
+
+    try {
+      // Extra attempts: the recording itself may still be downloading when the transcript arrives
+      const job = jobQueue.enqueue('recording.transcript_completed', {
+        payload,
+        downloadToken: download_token || null,
+        eventTs: req.body.event_ts || null
+      }, { maxAttempts: Math.max(jobQueue.maxAttempts, 6) });
+      logger.info(`✓ Queued transcript job ${job.id}`);
+    } catch (error) {
+      logger.error('❌ Error queueing transcript', { error: error.message });
+      countWebhook('error');
+      return res.status(500).send('Failed to queue transcript');
+    }
+
+    countWebhook('queued');
+    return res.status(200).send('Webhook processed');
+  }
+
+  // Propagate trash/delete/recover to the archive
+  if (LIFECYCLE_EVENTS.includes(event)) {
+    logger.info(`Recording ${event.split('.')[1]}`, {
+      topic: payload.object?.topic,
+      uuid: payload.object?.uuid,
+      operator: payload.operator
+    });
+
+    try {
+      const job = jobQueue.enqueue(event, {
+        payload,
+        eventTs: req.body.event_ts || null
+      });
+      logger.info(`✓ Queued ${event} job ${job.id}`);
+    } catch (error) {
+      logger.error(`❌ Error queueing ${event}`, { error: error.message });
+      countWebhook('error');
+      return res.status(500).send(`Failed to queue ${event}`);
+    }
+
+    countWebhook('queued');
     return res.status(200).send('Webhook processed');
   }
 
   // Log other events for debugging
   if (event) {
-    console.log(`Received event: ${event}`);
+    logger.info(`Received event: ${event}`);
   }
 
   // Default response for other events
+  countWebhook('ignored');
   res.status(200).send('Webhook processed');
 });
 
 // Add a health check endpoint
-app.get('/health', (req, res) => {
+// /health?deep=true probes Zoom, storage and Sheets (cached briefly) and returns 503 when not ready
+app.get('/health', async (req, res) => {
+  if (req.query.deep === 'true') {
+    const readiness = await readinessChecker.check();
+    return res.status(readiness.status === 'ready' ? 200 : 503).json({
+      service: 'IL Zoom Webhook',
+      timestamp: new Date().toISOString(),
+      ...readiness
+    });
+  }
+
   res.json({
     status: 'healthy',
     service: 'IL Zoom Webhook',
@@ -90,12 +278,22 @@ app.get('/health', (req, res) => {
     environment: {
       hasZoomCreds: !!(process.env.ZOOM_CLIENT_ID && process.env.ZOOM_CLIENT_SECRET),
       hasGoogleCreds: !!process.env.GOOGLE_SERVICE_ACCOUNT_KEY_BASE64,
+      storageBackend: recordingProcessor.storageBackend,
       hasDriveFolderId: !!process.env.DRIVE_ROOT_FOLDER_ID,
       hasMappingsSheetId: !!process.env.MAPPINGS_SHEET_ID
     }
   });
 });
 
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metricsRegister.contentType);
+  res.send(await metricsRegister.metrics());
+});
+
+// Admin jobs API (requires ADMIN_API_TOKEN)
+app.use('/jobs', createJobsRouter({ jobQueue }));
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -103,18 +301,71 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       webhook: '/zoom-webhook',
-      health: '/health'
+      health: '/health',
+      metrics: '/metrics',
+      jobs: '/jobs'
     }
   });
 });
 
+// Load persisted jobs (and resume any that were interrupted) before serving
+await jobQueue.init();
+jobQueue.start();
+tempSweeper.start();
+
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`==> Your service is live 🎉`);
-  console.log(`Server running on port ${PORT}`);
-  console.log('Environment check:');
-  console.log('- Zoom credentials:', !!(process.env.ZOOM_CLIENT_ID && process.env.ZOOM_CLIENT_SECRET) ? '✓' : '✗');
-  console.log('- Google credentials:', !!process.env.GOOGLE_SERVICE_ACCOUNT_KEY_BASE64 ? '✓' : '✗');
-  console.log('- Drive folder ID:', !!process.env.DRIVE_ROOT_FOLDER_ID ? '✓' : '✗');
-  console.log('- Mappings sheet ID:', !!process.env.MAPPINGS_SHEET_ID ? '✓' : '✗');
-});
\ No newline at end of file
+const server = app.listen(PORT, () => {
+  const { downloadScheduler } = recordingProcessor;
+  logger.info(`==> Your service is live 🎉 Server running on port ${PORT}`, {
+    zoomCredentials: !!(process.env.ZOOM_CLIENT_ID && process.env.ZOOM_CLIENT_SECRET),
+    googleCredentials: !!process.env.GOOGLE_SERVICE_ACCOUNT_KEY_BASE64,
+    storageBackend: recordingProcessor.storageBackend,
+    driveFolderId: !!process.env.DRIVE_ROOT_FOLDER_ID,
+    mappingsSheetId: !!process.env.MAPPINGS_SHEET_ID,
+    jobQueue: { dir: jobQueue.dir, concurrency: jobQueue.concurrency, maxAttempts: jobQueue.maxAttempts },
+    downloads: {
+      concurrency: downloadScheduler.concurrency,
+      perRecording: downloadScheduler.perRecording,
+      maxBytesPerSecond: downloadScheduler.maxBytesPerSecond || null
+    },
+    tempRetention: tempSweeper.policy === 'keep_days' ? `${tempSweeper.policy} (${tempSweeper.days} days)` : tempSweeper.policy,
+    zoomCleanup: zoomCleanup.enabled
+      ? `${zoomCleanup.policy} after ${zoomCleanup.graceHours}h${zoomCleanup.dryRun ? ' (dry run)' : ''}`
+      : zoomCleanup.policy
+  });
+});
+
+// Graceful shutdown: stop taking webhooks, let in-flight recordings finish until
+// SHUTDOWN_DEADLINE_MS, then checkpoint the rest so they resume on the next start
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  const deadlineMs = Number(process.env.SHUTDOWN_DEADLINE_MS || 120000);
+  logger.info(`${signal} received, shutting down`, { deadlineMs, running: jobQueue.active.size });
+
+  server.close();
+  jobQueue.stop();
+  tempSweeper.stop();
+
+  const drained = await jobQueue.drain(deadlineMs);
+  if (!drained) {
+    const interrupted = jobQueue.checkpoint();
+    for (const job of interrupted) {
+      const recordingKey = RecordingLedger.keyFor(job.data?.payload?.object || {});
+      if (job.type === 'recording.completed' && recordingKey) {
+        recordingProcessor.ledger.update(recordingKey, { status: 'queued', interruptedAt: job.interruptedAt });
+      }
+    }
+    logger.warn('Shutdown deadline reached, checkpointed unfinished jobs', {
+      jobs: interrupted.map(job => job.id)
+    });
+  } else {
+    logger.info('All in-flight jobs finished');
+  }
+
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
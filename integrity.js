@@ -0,0 +1,94 @@
+// integrity.js
+// End-to-end checks that what landed in storage is what Zoom sent: a byte count
+// against the payload's file_size, and an MD5 computed while streaming compared
+// with the checksum the storage backend reports for the stored file.
+
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+export class IntegrityError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'IntegrityError';
+        this.problems = problems;
+    }
+}
+
+// Pass-through that hashes and counts everything it sees. With expectedBytes set,
+// a short or long stream errors at the end, so a truncated download never finishes uploading.
+export class IntegrityStream extends Transform {
+    constructor({ expectedBytes = null } = {}) {
+        super();
+        this.expectedBytes = expectedBytes || null;
+        this.hash = crypto.createHash('md5');
+        this.bytes = 0;
+        this.md5 = null;
+        this.error = null;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this.hash.update(chunk);
+        this.bytes += chunk.length;
+        callback(null, chunk);
+    }
+
+    _flush(callback) {
+        this.md5 = this.hash.digest('hex');
+        if (this.expectedBytes && this.bytes !== this.expectedBytes) {
+            this.error = new IntegrityError(`Download ended after ${this.bytes} of ${this.expectedBytes} bytes`, [
+                `received ${this.bytes} of ${this.expectedBytes} bytes`
+            ]);
+            callback(this.error);
+            return;
+        }
+        callback();
+    }
+
+    summary() {
+        return { bytes: this.bytes, md5: this.md5 };
+    }
+}
+
+// expectedBytes: Zoom's file_size (may be null)
+// received: { bytes, md5 } seen while streaming (either may be null, e.g. after a resumed upload)
+// stored: { size, md5Checksum } reported by the storage backend
+export function compareStoredFile({ expectedBytes = null, received = {}, stored = {} }) {
+    const problems = [];
+
+    if (expectedBytes && received.bytes != null && received.bytes !== expectedBytes) {
+        problems.push(`received ${received.bytes} of ${expectedBytes} bytes`);
+    }
+
+    const referenceBytes = expectedBytes || received.bytes;
+    if (referenceBytes && stored.size != null && stored.size !== referenceBytes) {
+        problems.push(`stored size ${stored.size} != expected ${referenceBytes}`);
+    }
+
+    const md5Compared = !!(received.md5 && stored.md5Checksum);
+    if (md5Compared && received.md5 !== stored.md5Checksum) {
+        problems.push(`MD5 ${stored.md5Checksum} != streamed ${received.md5}`);
+    }
+
+    return {
+        verified: problems.length === 0,
+        bytes: stored.size ?? received.bytes ?? null,
+        md5: stored.md5Checksum || received.md5 || null,
+        md5Verified: md5Compared && problems.length === 0,
+        problems
+    };
+}
+
+// Short per-recording summary for the Sessions sheet
+export function summarizeIntegrity(results) {
+    const failed = results.filter(result => !result.verified);
+    if (results.length === 0) return '';
+    if (failed.length === 0) {
+        // A file whose backend has no MD5 for it (e.g. an S3 multipart upload) only had its size checked
+        const md5Count = results.filter(result => result.md5Verified).length;
+        const sizeOnly = results.length - md5Count;
+        if (sizeOnly === 0) return `Verified ${results.length}/${results.length} (MD5)`;
+        if (md5Count === 0) return `Size only ${sizeOnly}/${results.length}`;
+        return `Verified ${md5Count}/${results.length} (MD5), size only ${sizeOnly}/${results.length}`;
+    }
+    return `FAILED: ${failed.map(result => `${result.fileType} ${result.problems.join('; ')}`).join(' | ')}`;
+}
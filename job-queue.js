@@ -0,0 +1,294 @@
+// job-queue.js
+// Durable on-disk job queue. Every job is a JSON file in JOB_QUEUE_DIR that is
+// written before enqueue() returns, so a restart never loses accepted work.
+// Jobs that were running when the process died are picked up again on init().
+// Progress reports are kept in memory as they arrive but written to the job file
+// at most every JOB_PROGRESS_PERSIST_MS (default 5000) or when the stage changes;
+// the completed/failed update writes the last one.
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+const DEFAULT_DIR = './data/jobs';
+
+class JobQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dir = options.dir || process.env.JOB_QUEUE_DIR || DEFAULT_DIR;
+        this.concurrency = Number(options.concurrency || process.env.JOB_CONCURRENCY || 1);
+        this.maxAttempts = Number(options.maxAttempts || process.env.JOB_MAX_ATTEMPTS || 3);
+        this.backoffMs = Number(options.backoffMs || process.env.JOB_BACKOFF_MS || 60000);
+        this.progressPersistMs = Number(options.progressPersistMs ?? process.env.JOB_PROGRESS_PERSIST_MS ?? 5000);
+
+        this.jobs = new Map();
+        this.handlers = new Map();
+        this.active = new Set();
+        // job id -> { at, stage } of the last progress written to disk
+        this.progressPersisted = new Map();
+        this.timer = null;
+        this.running = false;
+        this.initialized = false;
+    }
+
+    async init() {
+        if (this.initialized) return;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        for (const job of this.readJobs()) {
+            // Anything that was mid-flight when we stopped goes back to pending
+            if (job.status === 'running') {
+                job.status = 'pending';
+                job.runAt = Date.now();
+                job.updatedAt = new Date().toISOString();
+                this.persist(job);
+            }
+
+            this.jobs.set(job.id, job);
+        }
+
+        const pending = this.list({ status: 'pending' }).length;
+        logger.info(`✓ Job queue loaded ${this.jobs.size} jobs (${pending} pending) from ${this.dir}`);
+
+        this.initialized = true;
+    }
+
+    // The job files as they are on disk, without taking them over the way init()
+    // does; tools running beside the server use this to see what it has queued
+    readJobs() {
+        if (!fs.existsSync(this.dir)) return [];
+
+        const jobs = [];
+        for (const fileName of fs.readdirSync(this.dir)) {
+            if (!fileName.endsWith('.json')) continue;
+
+            try {
+                jobs.push(JSON.parse(fs.readFileSync(path.join(this.dir, fileName), 'utf8')));
+            } catch (error) {
+                // A job the server removed between listing and reading is simply gone
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Error loading job file ${fileName}`, { error: error.message });
+                }
+            }
+        }
+        return jobs;
+    }
+
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    enqueue(type, data, options = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: options.id || crypto.randomUUID(),
+            type,
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: options.maxAttempts || this.maxAttempts,
+            data,
+            createdAt: now,
+            updatedAt: now,
+            runAt: options.runAt || Date.now(),
+            startedAt: null,
+            finishedAt: null,
+            lastError: null,
+            result: null
+        };
+
+        // Persist before returning so the caller can safely acknowledge the webhook
+        this.persist(job);
+        this.jobs.set(job.id, job);
+        this.emit('enqueued', job);
+
+        this.schedule();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    list(filter = {}) {
+        return Array.from(this.jobs.values())
+            .filter(job => !filter.status || job.status === filter.status)
+            .filter(job => !filter.type || job.type === filter.type)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    stats() {
+        const counts = { pending: 0, running: 0, completed: 0, failed: 0 };
+        for (const job of this.jobs.values()) {
+            counts[job.status] = (counts[job.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // Put a finished job back in the queue; only completed or failed jobs can be retried
+    retry(id, dataChanges = {}) {
+        const job = this.get(id);
+        if (!job) return null;
+
+        if (job.status === 'pending' || job.status === 'running') {
+            throw new Error(`Job ${id} is ${job.status} and cannot be retried`);
+        }
+
+        this.update(job, {
+            status: 'pending',
+            attempts: 0,
+            runAt: Date.now(),
+            finishedAt: null,
+            data: { ...job.data, ...dataChanges },
+            retriedAt: new Date().toISOString()
+        });
+        this.emit('enqueued', job);
+
+        this.schedule();
+        return job;
+    }
+
+    start() {
+        this.running = true;
+        this.schedule();
+    }
+
+    stop() {
+        this.running = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Wait for running jobs to finish, up to timeoutMs. Resolves true when nothing is left running.
+    async drain(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        while (this.active.size > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 250));
+        }
+        return this.active.size === 0;
+    }
+
+    // Put jobs that are still running back to pending so they resume on the next start.
+    // The interrupted attempt doesn't count against maxAttempts.
+    checkpoint() {
+        const interrupted = [];
+        for (const id of this.active) {
+            const job = this.get(id);
+            this.update(job, {
+                status: 'pending',
+                attempts: Math.max(job.attempts - 1, 0),
+                runAt: Date.now(),
+                interruptedAt: new Date().toISOString()
+            });
+            interrupted.push(job);
+        }
+        return interrupted;
+    }
+
+    persist(job) {
+        const filePath = path.join(this.dir, `${job.id}.json`);
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(job, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    update(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        this.persist(job);
+    }
+
+    // Progress ticks arrive for every uploaded chunk; rewriting the whole job file
+    // each time is wasted I/O, so only a new stage or a stale file is written
+    updateProgress(job, progress) {
+        job.progress = progress;
+        job.updatedAt = new Date().toISOString();
+
+        const last = this.progressPersisted.get(job.id);
+        const now = Date.now();
+        if (last && last.stage === progress?.stage && now - last.at < this.progressPersistMs) return;
+
+        this.progressPersisted.set(job.id, { at: now, stage: progress?.stage });
+        this.persist(job);
+    }
+
+    schedule() {
+        if (!this.running) return;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const now = Date.now();
+        const ready = this.list({ status: 'pending' })
+            .filter(job => job.runAt <= now)
+            .sort((a, b) => a.runAt - b.runAt);
+
+        while (this.active.size < this.concurrency && ready.length > 0) {
+            this.run(ready.shift());
+        }
+
+        // Wake up again for the next delayed (backed-off) job
+        const next = this.list({ status: 'pending' })
+            .filter(job => job.runAt > now)
+            .sort((a, b) => a.runAt - b.runAt)[0];
+
+        if (next) {
+            this.timer = setTimeout(() => this.schedule(), Math.max(next.runAt - now, 0));
+        }
+    }
+
+    async run(job) {
+        const handler = this.handlers.get(job.type);
+        if (!handler) {
+            this.update(job, { status: 'failed', lastError: { message: `No handler registered for job type ${job.type}` } });
+            return;
+        }
+
+        this.active.add(job.id);
+        this.update(job, {
+            status: 'running',
+            attempts: job.attempts + 1,
+            startedAt: new Date().toISOString()
+        });
+        this.emit('started', job);
+
+        try {
+            const result = await handler(job);
+            // Checkpointed during shutdown; leave it pending for the next start
+            if (job.status !== 'running') return;
+            this.update(job, {
+                status: 'completed',
+                result: result === undefined ? null : result,
+                lastError: null,
+                finishedAt: new Date().toISOString()
+            });
+            this.emit('completed', job);
+        } catch (error) {
+            if (job.status !== 'running') return;
+            const lastError = { message: error.message, stack: error.stack, attempt: job.attempts };
+
+            if (job.attempts >= job.maxAttempts) {
+                this.update(job, { status: 'failed', lastError, finishedAt: new Date().toISOString() });
+                logger.error(`❌ Job ${job.id} (${job.type}) failed after ${job.attempts} attempts`, { error: error.message });
+                this.emit('failed', job);
+            } else {
+                // Exponential backoff: backoffMs, 2x, 4x, ...
+                const delay = this.backoffMs * Math.pow(2, job.attempts - 1);
+                this.update(job, { status: 'pending', lastError, runAt: Date.now() + delay });
+                logger.warn(`⚠️  Job ${job.id} (${job.type}) attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s`, { error: error.message });
+                this.emit('retrying', job);
+            }
+        } finally {
+            this.active.delete(job.id);
+            this.progressPersisted.delete(job.id);
+            this.schedule();
+        }
+    }
+}
+
+export default JobQueue;
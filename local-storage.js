@@ -0,0 +1,150 @@
+// local-storage.js
+// Local filesystem storage backend for tests and on-prem installs.
+// Folders are directories under LOCAL_STORAGE_ROOT (default ./data/archive);
+// ids are paths relative to that root, with '.' as the root itself.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { pathToFileURL } from 'url';
+
+const DEFAULT_ROOT = './data/archive';
+
+// Folder and file names come from Zoom topics and emails, so keep them to a single path segment
+function safeName(name) {
+    const cleaned = String(name).replace(/[\/\\\0]/g, '_');
+    return cleaned === '.' || cleaned === '..' || cleaned === '' ? '_' : cleaned;
+}
+
+class LocalStorage {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.root = path.resolve(options.root || process.env.LOCAL_STORAGE_ROOT || DEFAULT_ROOT);
+        this.rootFolderId = '.';
+    }
+
+    resolve(id) {
+        const resolved = path.resolve(this.root, id);
+        if (resolved !== this.root && !resolved.startsWith(this.root + path.sep)) {
+            throw new Error(`Storage id escapes the archive root: ${id}`);
+        }
+        return resolved;
+    }
+
+    childId(parentId, name) {
+        return path.posix.join(parentId, safeName(name));
+    }
+
+    describe(id) {
+        return { id, name: path.posix.basename(id), webViewLink: pathToFileURL(this.resolve(id)).href };
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.root, { recursive: true });
+    }
+
+    async findFolder(parentId, folderName) {
+        const id = this.childId(parentId, folderName);
+        try {
+            const stats = await fs.promises.stat(this.resolve(id));
+            return stats.isDirectory() ? id : null;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async createFolder(parentId, folderName) {
+        const id = this.childId(parentId, folderName);
+        await fs.promises.mkdir(this.resolve(id), { recursive: true });
+        return id;
+    }
+
+    async uploadFile(stream, fileName, folderId, mimeType) {
+        const id = this.childId(folderId, fileName);
+        try {
+            await pipeline(stream, fs.createWriteStream(this.resolve(id)));
+        } catch (error) {
+            // Don't leave a partial file behind for the next attempt to trip over
+            await fs.promises.rm(this.resolve(id), { force: true });
+            throw error;
+        }
+        return this.describe(id);
+    }
+
+    async copyFile(fileId, targetFolderId, fileName) {
+        const id = this.childId(targetFolderId, fileName);
+        await fs.promises.copyFile(this.resolve(fileId), this.resolve(id));
+        return this.describe(id);
+    }
+
+    async moveFile(fileId, fromFolderId, toFolderId) {
+        const id = this.childId(toFolderId, path.posix.basename(fileId));
+        await fs.promises.rename(this.resolve(fileId), this.resolve(id));
+        return { id };
+    }
+
+    // Symlinks stand in for Drive shortcuts. The link holds the target's absolute
+    // path, so it breaks if the target moves; quarantine and restore make new links
+    // next to the moved file rather than moving the old ones.
+    async createShortcut(targetFileId, folderId, name) {
+        const id = this.childId(folderId, name);
+        await fs.promises.rm(this.resolve(id), { force: true });
+        await fs.promises.symlink(this.resolve(targetFileId), this.resolve(id));
+        return this.describe(id);
+    }
+
+    async deleteFile(fileId) {
+        await fs.promises.rm(this.resolve(fileId), { force: true });
+    }
+
+    async deleteFolder(folderId) {
+        if (this.resolve(folderId) === this.root) {
+            throw new Error('Refusing to delete the archive root');
+        }
+        await fs.promises.rm(this.resolve(folderId), { recursive: true, force: true });
+    }
+
+    async listFolder(folderId) {
+        const dirents = await fs.promises.readdir(this.resolve(folderId), { withFileTypes: true });
+        const entries = [];
+        for (const dirent of dirents) {
+            const id = path.posix.join(folderId, dirent.name);
+            const stats = dirent.isSymbolicLink() ? null : await fs.promises.stat(this.resolve(id));
+            entries.push({
+                id,
+                name: dirent.name,
+                isFolder: dirent.isDirectory(),
+                isShortcut: dirent.isSymbolicLink(),
+                size: stats && stats.isFile() ? stats.size : 0,
+                md5Checksum: null,
+                createdTime: stats ? stats.birthtime.toISOString() : null
+            });
+        }
+        return entries;
+    }
+
+    // The filesystem keeps no checksum, so hash the file
+    async getFileInfo(fileId) {
+        const filePath = this.resolve(fileId);
+        const stats = await fs.promises.stat(filePath);
+        const hash = crypto.createHash('md5');
+        for await (const chunk of fs.createReadStream(filePath)) {
+            hash.update(chunk);
+        }
+        return { id: fileId, name: path.posix.basename(fileId), size: stats.size, md5Checksum: hash.digest('hex') };
+    }
+
+    async readFile(fileId) {
+        return fs.promises.readFile(this.resolve(fileId), 'utf8');
+    }
+
+    async checkWritable() {
+        await fs.promises.mkdir(this.root, { recursive: true });
+        await fs.promises.access(this.root, fs.constants.W_OK);
+        return { root: this.root, writable: true };
+    }
+}
+
+export default LocalStorage;
@@ -0,0 +1,92 @@
+// logger.js
+// Structured JSON-lines logger with levels and per-recording correlation IDs.
+//
+//   LOG_LEVEL=debug|info|warn|error   (default info)
+//   LOG_PRETTY=true                    human-readable lines for local use
+//
+// Anything logged inside logger.runWithContext({ correlationId }, fn) carries
+// that correlationId, so concurrent recordings can be told apart.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const PRETTY_LABELS = { debug: 'DEBUG', info: 'INFO ', warn: 'WARN ', error: 'ERROR' };
+
+const contextStorage = new AsyncLocalStorage();
+
+function serializeValue(value) {
+    if (value instanceof Error) {
+        return { message: value.message, stack: value.stack };
+    }
+    return value;
+}
+
+export class Logger {
+    constructor(options = {}) {
+        this.level = (options.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+        this.pretty = options.pretty ?? process.env.LOG_PRETTY === 'true';
+        this.bindings = options.bindings || {};
+    }
+
+    child(bindings) {
+        return new Logger({ level: this.level, pretty: this.pretty, bindings: { ...this.bindings, ...bindings } });
+    }
+
+    runWithContext(context, fn) {
+        const parent = contextStorage.getStore() || {};
+        return contextStorage.run({ ...parent, ...context }, fn);
+    }
+
+    isLevelEnabled(level) {
+        return LEVELS[level] >= (LEVELS[this.level] ?? LEVELS.info);
+    }
+
+    log(level, msg, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const entry = {
+            ts: new Date().toISOString(),
+            level,
+            msg,
+            ...(contextStorage.getStore() || {}),
+            ...this.bindings
+        };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = serializeValue(value);
+        }
+
+        const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+        stream.write((this.pretty ? this.formatPretty(entry) : JSON.stringify(entry)) + '\n');
+    }
+
+    formatPretty(entry) {
+        const { ts, level, msg, correlationId, ...rest } = entry;
+        const time = ts.split('T')[1].replace('Z', '');
+        const correlation = correlationId ? ` [${String(correlationId).slice(0, 12)}]` : '';
+        const extra = Object.entries(rest)
+            .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+            .join(' ');
+        return `${time} ${PRETTY_LABELS[level]}${correlation} ${msg}${extra ? `  ${extra}` : ''}`;
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+}
+
+const logger = new Logger();
+
+export default logger;
@@ -0,0 +1,569 @@
+// metadata-extraction.js
+// Works out who a recording is with (coach, student) and which week it is from
+// what Zoom gives us: the topic, the host email, and the text of the timeline,
+// transcript and chat files. Pure functions with no I/O, shared by the webhook
+// processor (recording-processor.js) and the offline analyzer
+// (local-recording-analyzer.js), so an offline run predicts what production does.
+//
+// extractMetadata() is the entry point; the rest are the pieces it is built from.
+// addMappingsEvidence() then adds what the student mappings say about its findings.
+// Functions that need to know who the coaches are take { roster, date }: a
+// CoachRoster (coach-roster.js; the built-in one by default) and the recording's
+// start time, so a coach only matches while their row says they are active.
+
+import CoachRoster from './coach-roster.js';
+import EvidenceScorer, { MAPPINGS_WEIGHTS } from './evidence-scorer.js';
+
+// The shared contact address; a session where it is the only staff account is an Ivylevel session
+export const IVYLEVEL_CONTACT_EMAIL = 'contact@ivymentors.co';
+
+// Students whose last name is Siraj; their sessions are not Siraj (MISC) recordings
+const SIRAJ_STUDENTS = ['sameeha_siraj', 'huda_siraj', 'alice_siraj'];
+
+const COMPANY_INDICATORS = [
+    'ivy mentor', 'ivymentor', 'ivy mentors', 'ivymentors',
+    'company', 'corporation', 'corp', 'inc', 'llc', 'ltd',
+    'organization', 'org', 'institute', 'academy',
+    'services', 'consulting', 'partners', 'group'
+];
+
+const WEEK_PATTERNS = [
+    /week[_\s]+(\d+)/i,
+    /wk[_\s]+(\d+)/i,
+    /week[_\s]*#[_\s]*(\d+)/i,
+    /wk[_\s]*#[_\s]*(\d+)/i,
+    /w(?:ee)?k\s*[#-]?\s*(\d+)/i,
+    /session\s*[#-]?\s*(\d+)/i,
+    /meeting\s*[#-]?\s*(\d+)/i,
+    /(\d+)(?:st|nd|rd|th)?\s*(?:week|session|meeting)/i,
+    /wk(\d+)/i,
+    /w(\d+)/i
+];
+
+const GAME_PLAN_PATTERNS = [
+    /\bgame[_\s]*plan\b/i,
+    /\bgameplan\b/i,
+    /\bstrategy[_\s]*session\b/i,
+    /\bplanning[_\s]*meeting\b/i
+];
+
+const TRANSCRIPT_NAME_PATTERNS = [
+    /(?:I'm|I am|This is|My name is)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i,
+    /(?:Coach|Professor|Dr\.?)\s+([A-Z][a-z]+)/i,
+    /Hi\s+([A-Z][a-z]+),?\s+(?:I'm|this is)/i,
+    /([A-Z][a-z]+)\s+speaking/i,
+    /call me\s+([A-Z][a-z]+)/i
+];
+
+const COACH_SPEECH_PATTERNS = [
+    /(?:your coach|I'll be coaching|as your coach|I'm the coach)/i,
+    /(?:let me coach|coaching session|coach for)/i,
+    /(?:I'll guide you|I'll help you with|let's work on)/i,
+    /(?:assignment|homework|practice|review|feedback)/i
+];
+
+const STUDENT_SPEECH_PATTERNS = [
+    /(?:my coach|you're my coach|thanks coach)/i,
+    /(?:I need help with|I'm struggling with|can you help)/i,
+    /(?:I'm a student|I'm taking|I'm enrolled)/i,
+    /(?:question|help|confused|understand|struggling)/i
+];
+
+const CHAT_LINE_PATTERN = /^(\d{2}:\d{2}:\d{2})\s+From\s+(.+?)\s+to\s+(.+?):\s*(.*)$/gm;
+
+const DEFAULT_OPTIONS = { roster: CoachRoster.defaults(), date: null };
+
+function emptyMetadata() {
+    return {
+        coach: null,
+        student: null,
+        weekNumber: null,
+        participants: [],
+        // Names each file mentions (non-coach timeline users, transcript speakers, chat senders),
+        // for matching against the student mappings
+        people: { timeline: [], transcript: [], chat: [] },
+        confidence: { coach: 0, student: 0, week: 0 },
+        sources: { coach: null, student: null, week: null },
+        isSiraj: false,
+        isIvylevel: false,
+        hasGamePlan: false,
+        // Every finding behind the values (evidence-scorer.js); callers can add theirs and apply() again
+        evidence: new EvidenceScorer(),
+        trace: null
+    };
+}
+
+export function capitalizeWord(word) {
+    // Hyphenated names keep a capital on each part (Mani-Munoz)
+    return word.split('-')
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1).toLowerCase())
+        .join('-');
+}
+
+export function isCompanyName(name) {
+    if (!name) return false;
+    const nameLower = name.toLowerCase();
+    return COMPANY_INDICATORS.some(indicator => nameLower.includes(indicator));
+}
+
+export function isCoachEmail(email, { roster } = DEFAULT_OPTIONS) {
+    return roster.isCoachEmail(email);
+}
+
+// A staff email makes someone a coach and any other email makes them not one;
+// without an email, a coach's name, alias or Zoom display name decides
+export function isLikelyCoach(username, email, { roster, date } = DEFAULT_OPTIONS) {
+    if (email) return roster.isCoachEmail(email);
+    return !!roster.findByName(username, date);
+}
+
+// Canonical name of the coach a name or email belongs to
+function coachName(roster, date, { name = null, email = null }) {
+    const coach = roster.findByEmail(email, date) || roster.findByName(name, date);
+    return coach ? coach.name : null;
+}
+
+export function isSirajRecording(topic) {
+    const topicLower = (topic || '').toLowerCase();
+    return topicLower.includes('siraj') && !SIRAJ_STUDENTS.some(student => topicLower.includes(student));
+}
+
+// Context for a Siraj (MISC) recording's file name, e.g. "review_Alex"
+export function extractContextFromSirajFolder(folderName) {
+    const cleaned = folderName
+        .replace(/siraj/gi, '')
+        .replace(/\d{10,}/, '') // Remove long numbers (meeting IDs)
+        .replace(/_+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const contextPatterns = [
+        /checkpoint/i,
+        /review/i,
+        /planning/i,
+        /strategy/i,
+        /meeting/i,
+        /discussion/i,
+        /presentation/i
+    ];
+
+    for (const pattern of contextPatterns) {
+        const match = cleaned.match(pattern);
+        if (match) {
+            // Also try to extract any associated name
+            const names = cleaned.match(/(?:&|and|with)\s+([A-Za-z]+)/i);
+            return names && names[1] ? `${match[0]}_${names[1]}` : match[0];
+        }
+    }
+
+    // If no specific context found but there's a name
+    const nameMatch = cleaned.match(/([A-Za-z]+)/);
+    return nameMatch && nameMatch[1].length > 2 ? nameMatch[1] : null;
+}
+
+// The student in "Siraj & Alex ..." topics
+export function extractSirajStudent(topic) {
+    const match = (topic || '').match(/siraj\s*(?:&|and)\s+([A-Za-z]+)/i);
+    return match ? capitalizeWord(match[1]) : null;
+}
+
+// "jenny.smith@..." -> "Jenny Smith"
+export function extractNameFromEmail(email) {
+    if (!email || email === 'unknown@student.com') return null;
+    return email.split('@')[0].split('.').filter(Boolean).map(capitalizeWord).join(' ') || null;
+}
+
+export function extractCoachFromTopic(topic, hostEmail, participants = null, { roster, date } = DEFAULT_OPTIONS) {
+    if (!topic) topic = '';
+    if (isSirajRecording(topic)) return 'Siraj';
+
+    const topicLower = topic.toLowerCase();
+    const parts = topic.split('_');
+
+    const named = name => coachName(roster, date, { name });
+
+    // A known coach as the first part is the strongest signal
+    if (parts.length >= 2 && named(parts[0])) {
+        return named(parts[0]);
+    }
+
+    const coachPatterns = [
+        /coach[_\s]+([a-z]+)/i,
+        /new[_\s]+coach[_\s]+([a-z]+)/i,
+        /coach[_\s]*[:]\s*([a-z]+)/i,
+        /w[_\s]*(?:ith)?[_\s]*([a-z]+)/i,
+        /coach[_\s]*([a-z]+)(?:[_\s]+(?:week|wk|session))?/i,
+        /([a-z]+)[_\s]*(?:coaching|session|meeting)/i,
+        /with[_\s]+coach[_\s]+([a-z]+)/i,
+        /([a-z]+)[_\s]*-[_\s]*coach/i
+    ];
+    for (const pattern of coachPatterns) {
+        const match = topicLower.match(pattern);
+        if (match && named(match[1])) {
+            return named(match[1]);
+        }
+    }
+
+    // A known coach name anywhere in the topic
+    const part = parts.find(candidate => named(candidate));
+    if (part) return named(part);
+
+    for (const word of topicLower.split(/[_\s\-]+/)) {
+        const cleanWord = word.replace(/[^a-z]/g, '');
+        if (cleanWord && named(cleanWord)) return named(cleanWord);
+    }
+
+    return extractCoachFromEmails(hostEmail, participants, { roster, date });
+}
+
+// A coach's own host or participant email, or a staff one whose first part is a coach's name
+export function extractCoachFromEmails(hostEmail, participants = null, { roster, date } = DEFAULT_OPTIONS) {
+    const emails = [hostEmail, ...(Array.isArray(participants) ? participants.map(participant => participant.email) : [])];
+    for (const email of emails) {
+        if (email && roster.isCoachEmail(email)) {
+            const coach = coachName(roster, date, { email, name: email.split('@')[0].split('.')[0] });
+            if (coach) return coach;
+        }
+    }
+    return null;
+}
+
+export function extractStudentFromTopic(topic, coach = null) {
+    if (!topic) return null;
+    const parts = topic.split('_');
+
+    // Coach_StudentFirst_StudentLast[-Hyphenated]_<meeting id>
+    if (coach && parts.length >= 3 && parts[0].toLowerCase() === coach.toLowerCase()) {
+        const remainingParts = parts.slice(1).filter(part => !part.match(/^\d+$/));
+
+        if (remainingParts.length >= 2) {
+            const hyphenatedIndex = remainingParts.findIndex(part => part.includes('-'));
+            let fullName = null;
+            if (hyphenatedIndex > 0) {
+                fullName = `${capitalizeWord(remainingParts[hyphenatedIndex - 1])} ${capitalizeWord(remainingParts[hyphenatedIndex])}`;
+            } else if (remainingParts.length === 2) {
+                fullName = `${capitalizeWord(remainingParts[0])} ${capitalizeWord(remainingParts[1])}`;
+            }
+            if (fullName && !isCompanyName(fullName)) return fullName;
+        }
+    }
+
+    const patterns = [
+        /____([a-z]+)___/i,
+        /___([a-z]+(?:_[a-z]+)*)___/i,
+        /__([a-z]+(?:_[a-z]+)*)__/i,
+        /student[_\s]+([a-z]+(?:_[a-z]+)*)/i,
+        /student[_\s]*[:_-]?\s*([a-z]+(?:[_\s]+[a-z]+)?)/i,
+        /([a-z]+(?:[_\s]+[a-z]+)?)[_\s]*(?:week|wk|session)/i,
+        /meeting[_\s]+with[_\s]+([a-z]+(?:[_\s]+[a-z]+)?)/i,
+        /([a-z]+(?:[_\s]+[a-z]+)?)[_\s]*x[_\s]*([a-z]+)/i
+    ];
+    for (const pattern of patterns) {
+        const match = topic.match(pattern);
+        if (match && (!coach || match[1].toLowerCase() !== coach.toLowerCase())) {
+            const formattedName = match[1].split('_').map(capitalizeWord).join(' ');
+            if (!isCompanyName(formattedName)) return formattedName;
+        }
+    }
+
+    // Fallback: a name after the coach name and a run of underscores
+    if (coach) {
+        const coachEscaped = coach.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = topic.match(new RegExp(`${coachEscaped}[_\\s]*_{2,}[_\\s]*([a-z]+(?:aa)?)`, 'i'));
+        if (match && !['week', 'wk', 'meeting', 'zoom', 'game', 'plan', 'prep'].includes(match[1].toLowerCase()) &&
+            !isCompanyName(match[1])) {
+            return capitalizeWord(match[1]);
+        }
+    }
+
+    return null;
+}
+
+export function extractWeekNumber(text) {
+    for (const pattern of WEEK_PATTERNS) {
+        const match = (text || '').match(pattern);
+        if (match) return match[1];
+    }
+    return null;
+}
+
+export function hasGamePlanIndicator(text) {
+    return GAME_PLAN_PATTERNS.some(pattern => pattern.test(text || ''));
+}
+
+// Last cue start time in a VTT file, e.g. "00:58:12.340"
+export function extractDurationFromVTT(vttContent) {
+    const timestampPattern = /(\d{2}:\d{2}:\d{2}\.\d{3})\s+-->/g;
+    let lastTimestamp = '00:00:00.000';
+    let match;
+    while ((match = timestampPattern.exec(vttContent || '')) !== null) {
+        lastTimestamp = match[1];
+    }
+    return lastTimestamp;
+}
+
+// Participants from a Zoom timeline ({ timeline: [{ ts, users: [...] }] }, as JSON or text)
+export function parseTimeline(timeline, options = DEFAULT_OPTIONS) {
+    const result = {
+        coach: null,
+        student: null,
+        participants: [],
+        confidence: { coach: 0, student: 0 },
+        isIvylevel: false
+    };
+
+    let data = timeline;
+    if (typeof timeline === 'string') {
+        try {
+            data = JSON.parse(timeline);
+        } catch {
+            return result;
+        }
+    }
+    if (!data || !Array.isArray(data.timeline)) return result;
+
+    const usersFound = new Map();
+    let sawContactEmail = false;
+    let hasOtherCoachEmail = false;
+
+    for (const event of data.timeline) {
+        for (const user of Array.isArray(event.users) ? event.users : []) {
+            if (!user || !user.username) continue;
+
+            const username = user.username;
+            const email = user.email_address || '';
+            // Dial-in numbers and company accounts aren't people in the session
+            if (username.match(/^\d+$/) || username.toLowerCase() === 'ivylevel' || isCompanyName(username)) {
+                continue;
+            }
+
+            if (email.toLowerCase() === IVYLEVEL_CONTACT_EMAIL) {
+                sawContactEmail = true;
+            } else if (options.roster.isCoachEmail(email)) {
+                hasOtherCoachEmail = true;
+            }
+
+            usersFound.set(user.zoom_userid || user.user_id || email || username, {
+                username,
+                email,
+                isCoach: isLikelyCoach(username, email, options)
+            });
+        }
+    }
+
+    result.participants = Array.from(usersFound.values());
+    result.isIvylevel = sawContactEmail && !hasOtherCoachEmail;
+
+    const coach = result.participants.find(participant => participant.isCoach);
+    const student = result.participants.find(participant => !participant.isCoach);
+    if (result.isIvylevel) {
+        result.coach = 'Ivylevel';
+        result.confidence.coach = 0.9;
+    } else if (coach) {
+        result.coach = coachName(options.roster, options.date, { email: coach.email, name: coach.username }) || coach.username;
+        result.confidence.coach = 0.9;
+    }
+    if (student) {
+        result.student = student.username;
+        result.confidence.student = 0.9;
+    }
+    return result;
+}
+
+// Speakers in a VTT transcript, with names they mention and the role their words suggest
+export function parseTranscript(vttContent) {
+    const speakers = new Map();
+
+    for (const rawLine of (vttContent || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line.includes(':') || line.includes('-->')) continue;
+
+        const colonIndex = line.indexOf(':');
+        let label = line.substring(0, colonIndex).trim();
+        const text = line.substring(colonIndex + 1).trim();
+        if (!label.match(/^(Speaker\s*\d+|[A-Za-z\s]+)$/)) continue;
+        if (label.toLowerCase() === 'ivy mentors') label = 'Ivylevel';
+
+        if (!speakers.has(label)) {
+            speakers.set(label, { label, possibleNames: [], messageCount: 0, identifiedRole: null });
+        }
+        const speaker = speakers.get(label);
+        speaker.messageCount++;
+
+        for (const pattern of TRANSCRIPT_NAME_PATTERNS) {
+            const match = text.match(pattern);
+            if (match && !isCompanyName(match[1]) && !speaker.possibleNames.includes(match[1])) {
+                speaker.possibleNames.push(match[1]);
+            }
+        }
+        // Student phrasing wins over coach phrasing in the same line
+        if (COACH_SPEECH_PATTERNS.some(pattern => pattern.test(text))) speaker.identifiedRole = 'coach';
+        if (STUDENT_SPEECH_PATTERNS.some(pattern => pattern.test(text))) speaker.identifiedRole = 'student';
+    }
+
+    return {
+        speakers: Array.from(speakers.values()),
+        totalDuration: extractDurationFromVTT(vttContent),
+        hasMultipleSpeakers: speakers.size > 1,
+        hasIvylevel: speakers.has('Ivylevel')
+    };
+}
+
+// Senders in a Zoom chat export ("10:00:05\t From Alex to Everyone: hi")
+export function parseChat(chatContent) {
+    const participants = new Map();
+    const messages = [];
+
+    for (const match of (chatContent || '').matchAll(CHAT_LINE_PATTERN)) {
+        const [, timestamp, sender, recipient, message] = match;
+
+        if (!participants.has(sender)) {
+            participants.set(sender, {
+                name: sender,
+                messageCount: 0,
+                firstMessage: timestamp,
+                lastMessage: timestamp,
+                isLikelyCoach: false,
+                isLikelyStudent: false
+            });
+        }
+        const participant = participants.get(sender);
+        participant.messageCount++;
+        participant.lastMessage = timestamp;
+        messages.push({ timestamp, sender, recipient, message });
+
+        if (/(?:assignment|homework|practice|review|feedback)/i.test(message)) participant.isLikelyCoach = true;
+        if (/(?:question|help|confused|understand|struggling)/i.test(message)) participant.isLikelyStudent = true;
+    }
+
+    return { participants: Array.from(participants.values()), totalMessages: messages.length, messages };
+}
+
+// Coach, student and week for one recording, with a confidence and source for each.
+// Every source adds what it finds to an EvidenceScorer (evidence-scorer.js) with the
+// weight it counts for on its own:
+//
+//   topic / host email   0.7 coach and student, 0.8 week
+//   timeline             0.9 (0.75 for a week in a participant's name)
+//   transcript           0.85
+//   chat                 0.6 coach
+//
+// and the scorer combines them: agreeing sources add up, disagreeing ones lower
+// the winner's confidence, and metadata.trace records every candidate and rule.
+// Callers with more to go on (the student mappings) add it to metadata.evidence
+// and apply() again.
+//
+// input: { topic, hostEmail, participants, startTime, timeline, transcript, chat }; the
+// last three are file contents (timeline as JSON text or parsed), any of them may be missing.
+// Besides the values, the result lists the people each file names (metadata.people).
+export function extractMetadata(input, options = DEFAULT_OPTIONS) {
+    const { topic = '', hostEmail = null, participants = null, startTime = null, timeline = null, transcript = null, chat = null } = input;
+    const context = { roster: options.roster || DEFAULT_OPTIONS.roster, date: startTime };
+    const metadata = emptyMetadata();
+    const { evidence } = metadata;
+
+    // Company accounts are never the coach or the student
+    const offer = (field, value, weight, source, rule) => {
+        if (field !== 'week' && value && isCompanyName(value)) {
+            evidence.reject(field, value, source, rule, 'company_name');
+        } else {
+            evidence.add(field, value, weight, source, rule);
+        }
+    };
+
+    metadata.hasGamePlan = hasGamePlanIndicator(topic);
+
+    // Siraj (MISC) recordings are named from the topic alone
+    if (isSirajRecording(topic)) {
+        metadata.isSiraj = true;
+        evidence.decide('coach', 'Siraj', 1.0, 'topic', 'siraj_pattern');
+        offer('student', extractSirajStudent(topic), 0.8, 'topic', 'siraj_pattern');
+        return evidence.apply(metadata);
+    }
+
+    // 1. Topic and host
+    const topicCoach = extractCoachFromTopic(topic, null, null, context);
+    const hostCoach = extractCoachFromEmails(hostEmail, participants, context);
+    offer('coach', topicCoach, 0.7, 'topic', 'coach_name_in_topic');
+    offer('coach', hostCoach, 0.7, 'host', 'staff_email');
+    offer('student', extractStudentFromTopic(topic, topicCoach || hostCoach), 0.7, 'topic', 'student_name_in_topic');
+    offer('week', extractWeekNumber(topic), 0.8, 'topic', 'week_in_topic');
+
+    // 2. Who was actually in the meeting
+    const timelineData = timeline ? parseTimeline(timeline, context) : null;
+    const transcriptData = transcript ? parseTranscript(transcript) : null;
+    const chatData = chat ? parseChat(chat) : null;
+    metadata.people = {
+        timeline: timelineData ? timelineData.participants.filter(participant => !participant.isCoach).map(participant => participant.username) : [],
+        transcript: transcriptData ? transcriptData.speakers.map(speaker => speaker.label) : [],
+        chat: chatData ? chatData.participants.map(participant => participant.name) : []
+    };
+
+    if (timelineData) {
+        metadata.participants = timelineData.participants;
+        if (timelineData.isIvylevel) {
+            // Only the shared contact account on the staff side: an Ivylevel session
+            metadata.isIvylevel = true;
+            evidence.decide('coach', 'Ivylevel', 0.9, 'timeline', 'ivylevel_contact_only');
+        } else {
+            offer('coach', timelineData.coach, timelineData.confidence.coach, 'timeline', 'staff_participant');
+        }
+        offer('student', timelineData.student, timelineData.confidence.student, 'timeline', 'other_participant');
+        const usernames = metadata.participants.map(participant => participant.username || '').join(' ');
+        offer('week', extractWeekNumber(usernames), 0.75, 'timeline', 'week_in_username');
+    }
+
+    // 3. Names people say in the transcript
+    for (const speaker of transcriptData ? transcriptData.speakers : []) {
+        if (speaker.identifiedRole === 'coach') {
+            const coach = speaker.possibleNames.map(name => coachName(context.roster, context.date, { name })).find(Boolean);
+            offer('coach', coach, 0.85, 'transcript', 'coach_introduction');
+        } else if (speaker.identifiedRole === 'student') {
+            offer('student', speaker.possibleNames[0], 0.85, 'transcript', 'student_introduction');
+        }
+    }
+
+    // 4. Coaches among the chat senders
+    for (const participant of chatData ? chatData.participants : []) {
+        offer('coach', coachName(context.roster, context.date, { name: participant.name }), 0.6, 'chat', 'coach_in_chat');
+    }
+
+    return evidence.apply(metadata);
+}
+
+// Week number of a meeting for a student who started on startDate (1-52), or null
+// when either date is unreadable
+export function weeksSinceStart(startDate, meetingDate) {
+    const diffDays = Math.ceil((new Date(meetingDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
+    if (Number.isNaN(diffDays)) return null;
+    return Math.max(1, Math.min(Math.ceil(diffDays / 7), 52));
+}
+
+// The Mappings row the names point to (best, from StudentMatcher.match()) counts for the
+// student, and every spelling it confirms counts toward it; once it is the student, its
+// assigned coach and start date count for the coach and week. Applies the evidence again.
+// { matcher, mappings, roster, date }: the StudentMatcher, its Map of email ->
+// { name, coach, startDate }, the coach roster and the recording's start time.
+export function addMappingsEvidence(metadata, best, { matcher, mappings, roster = DEFAULT_OPTIONS.roster, date = null }) {
+    if (!best || metadata.isSiraj) return metadata;
+    const { evidence } = metadata;
+
+    evidence.canonicalize('student', name => (matcher.confirms(name, best) ? best.name : null));
+    // A row that only shares a first name or a surname with the findings adds nothing of its own
+    if (matcher.isStrong(best)) {
+        evidence.add('student', best.name, best.confidence, 'mappings', 'mappings_match');
+    }
+    evidence.apply(metadata);
+
+    const studentInfo = metadata.student === best.name ? mappings.get(best.email) : null;
+    if (!studentInfo) return metadata;
+
+    const assignedCoach = roster.findByName(studentInfo.coach, date);
+    evidence.add('coach', assignedCoach ? assignedCoach.name : studentInfo.coach,
+        best.confidence * MAPPINGS_WEIGHTS.assignedCoach, 'mappings', 'assigned_coach');
+    if (studentInfo.startDate && date) {
+        evidence.add('week', weeksSinceStart(studentInfo.startDate, date),
+            MAPPINGS_WEIGHTS.calculatedWeek, 'mappings', 'weeks_since_start');
+    }
+    return evidence.apply(metadata);
+}
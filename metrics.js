@@ -0,0 +1,89 @@
+// metrics.js
+// Prometheus metrics for the webhook service, exposed on /metrics.
+
+import client from 'prom-client';
+
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+export const webhooksReceived = new client.Counter({
+    name: 'zoom_webhooks_received_total',
+    help: 'Webhooks received, by Zoom event type and outcome',
+    labelNames: ['event', 'outcome'],
+    registers: [register]
+});
+
+export const recordingsProcessed = new client.Counter({
+    name: 'zoom_recordings_processed_total',
+    help: 'Recordings processed, by outcome (success, failed, flagged, skipped)',
+    labelNames: ['outcome'],
+    registers: [register]
+});
+
+export const bytesDownloaded = new client.Counter({
+    name: 'zoom_download_bytes_total',
+    help: 'Bytes downloaded from Zoom, by file_type',
+    labelNames: ['file_type'],
+    registers: [register]
+});
+
+export const driveOperationDuration = new client.Histogram({
+    name: 'drive_operation_duration_seconds',
+    help: 'Latency of storage upload, copy and shortcut calls',
+    labelNames: ['operation'],
+    buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+    registers: [register]
+});
+
+export const sheetsErrors = new client.Counter({
+    name: 'sheets_api_errors_total',
+    help: 'Errors returned by the Google Sheets API, by operation',
+    labelNames: ['operation'],
+    registers: [register]
+});
+
+export const extractionConfidence = new client.Histogram({
+    name: 'extraction_confidence',
+    help: 'Confidence of extracted metadata, by field (coach, student, week)',
+    labelNames: ['field'],
+    buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+    registers: [register]
+});
+
+export const integrityFailures = new client.Counter({
+    name: 'integrity_check_failures_total',
+    help: 'Stored files that did not match the Zoom recording (download) or their source (copy)',
+    labelNames: ['stage'],
+    registers: [register]
+});
+
+export const tempFoldersRemoved = new client.Counter({
+    name: 'temp_folders_removed_total',
+    help: 'TEMP_ZOOM_RECORDINGS folders removed by the retention sweeper',
+    labelNames: ['mode'],
+    registers: [register]
+});
+
+export const zoomCloudCleanups = new client.Counter({
+    name: 'zoom_cloud_cleanups_total',
+    help: 'Zoom cloud recordings removed after archival, by mode (trash, delete) and outcome',
+    labelNames: ['mode', 'outcome'],
+    registers: [register]
+});
+
+// Queue depth is read from the job queue at scrape time
+export function registerJobQueueMetrics(jobQueue) {
+    new client.Gauge({
+        name: 'job_queue_jobs',
+        help: 'Jobs in the durable queue, by status',
+        labelNames: ['status'],
+        registers: [register],
+        collect() {
+            const counts = jobQueue.stats();
+            for (const [status, count] of Object.entries(counts)) {
+                this.set({ status }, count);
+            }
+        }
+    });
+}
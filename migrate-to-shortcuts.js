@@ -0,0 +1,157 @@
+// migrate-to-shortcuts.js
+// Replaces the duplicate copies in By Program and By Coach with shortcuts to the
+// real file in By Student, and reports how much space that frees.
+//
+// A copy counts as a duplicate when By Student has a file with the same
+// <student>/<week>/<name> path and the same size (and MD5, where the backend has one).
+//
+// Usage:
+//   node migrate-to-shortcuts.js [--dry-run] [--permanent]
+//
+// By default the duplicates go to the Drive trash, which still counts against quota
+// until it is emptied (see cleanstorage.js). --permanent deletes them outright.
+
+import dotenv from 'dotenv';
+import RecordingProcessor from './recording-processor.js';
+
+dotenv.config();
+
+const SECONDARY_VIEWS = ['By Program', 'By Coach'];
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Depth-first walk, calling visit(file, pathSegments, parentFolderId) for every non-folder entry
+async function walk(storage, folderId, segments, visit) {
+    for (const entry of await storage.listFolder(folderId)) {
+        if (entry.isFolder) {
+            await walk(storage, entry.id, [...segments, entry.name], visit);
+        } else {
+            await visit(entry, [...segments, entry.name], folderId);
+        }
+    }
+}
+
+async function migrateToShortcuts() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const permanent = args.includes('--permanent');
+
+    if (args.includes('--help')) {
+        console.log('Usage: node migrate-to-shortcuts.js [--dry-run] [--permanent]');
+        return;
+    }
+
+    const processor = new RecordingProcessor();
+    await processor.initialize();
+    const storage = processor.storage;
+
+    if (!storage.createShortcut) {
+        throw new Error(`The ${processor.storageBackend} storage backend does not support shortcuts`);
+    }
+
+    console.log(`🔗 Converting duplicate copies to shortcuts${dryRun ? ' (dry run)' : ''}\n`);
+
+    // By Student/<student>/<week>/<name>
+    const primaries = new Map();
+    await walk(storage, processor.folderCache.get('By Student'), [], (file, segments) => {
+        if (!file.isShortcut) primaries.set(segments.join('/'), file);
+    });
+    console.log(`Found ${primaries.size} files in By Student`);
+
+    // By Program/<program>/<student>/<week>/<name> and By Coach/<coach>/<student>/<week>/<name>
+    const duplicates = [];
+    let mismatched = 0;
+    for (const view of SECONDARY_VIEWS) {
+        await walk(storage, processor.folderCache.get(view), [], (file, segments, parentId) => {
+            if (file.isShortcut) return;
+
+            const primary = primaries.get(segments.slice(1).join('/'));
+            if (!primary) return;
+
+            const sameContent = primary.size === file.size &&
+                (!primary.md5Checksum || !file.md5Checksum || primary.md5Checksum === file.md5Checksum);
+            if (!sameContent) {
+                mismatched++;
+                console.log(`   ⚠️  ${view}/${segments.join('/')} differs from the By Student copy, leaving it alone`);
+                return;
+            }
+
+            duplicates.push({ view, path: segments.join('/'), file, parentId, primary });
+        });
+    }
+
+    const summary = { converted: 0, failed: 0, freedBytes: 0 };
+    const replacedIds = new Map();
+
+    for (const duplicate of duplicates) {
+        const label = `${duplicate.view}/${duplicate.path}`;
+        if (dryRun) {
+            console.log(`   ${label} (${formatBytes(duplicate.file.size)})`);
+            summary.converted++;
+            summary.freedBytes += duplicate.file.size;
+            continue;
+        }
+
+        try {
+            // Shortcut first, so the view is never left without the file
+            const shortcut = await storage.createShortcut(duplicate.primary.id, duplicate.parentId, duplicate.file.name);
+            // Path-based backends replace the copy in place, so the id is the same
+            if (shortcut.id !== duplicate.file.id) {
+                await storage.deleteFile(duplicate.file.id, { permanent });
+            }
+            replacedIds.set(duplicate.file.id, shortcut.id);
+
+            summary.converted++;
+            summary.freedBytes += duplicate.file.size;
+            console.log(`   ✓ ${label}`);
+        } catch (error) {
+            summary.failed++;
+            console.error(`   ❌ ${label}: ${error.message}`);
+        }
+    }
+
+    // Keep the ledger's filing records pointing at what is actually in the folders
+    let ledgerUpdates = 0;
+    for (const entry of processor.ledger.list()) {
+        const filing = entry.filing;
+        if (!filing || !filing.filedCopies) continue;
+
+        let changed = false;
+        const filedCopies = filing.filedCopies.map(filed => ({
+            ...filed,
+            copies: filed.copies.map(copy => {
+                if (!replacedIds.has(copy.fileId)) return copy;
+                changed = true;
+                return { ...copy, fileId: replacedIds.get(copy.fileId), shortcut: true };
+            })
+        }));
+
+        if (changed) {
+            processor.ledger.update(entry.uuid, { filing: { ...filing, filedCopies } });
+            ledgerUpdates++;
+        }
+    }
+
+    const verb = dryRun ? 'Would convert' : 'Converted';
+    console.log(`\n📊 ${verb} ${summary.converted} copies, ${summary.failed} failed, ${mismatched} left alone (content differs)`);
+    console.log(`💾 Space ${dryRun ? 'to be ' : ''}freed: ${formatBytes(summary.freedBytes)}`);
+    if (!dryRun && !permanent && processor.storageBackend === 'drive') {
+        console.log('   (duplicates are in the Drive trash; the space is released once the trash is emptied)');
+    }
+    if (ledgerUpdates > 0) {
+        console.log(`📒 Updated filing records for ${ledgerUpdates} recordings`);
+    }
+}
+
+migrateToShortcuts()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,197 @@
+// mock-zoom-server.js
+// Local stand-in for the parts of Zoom the processor talks to, for testing the
+// API fallback without a Zoom account:
+//
+//   POST /oauth/token                          account-credentials token
+//   GET  /v2/meetings/{uuid}/recordings        recording details (UUID encoding checked like Zoom does)
+//   DELETE /v2/meetings/{uuid}/recordings      trash (default) or delete a recording (?action=trash|delete)
+//   GET  /rec/download/{fileId}                file contents (Bearer token required, Range supported)
+//
+// Usage:
+//   node mock-zoom-server.js [--port 4100] [--fixtures recordings.json]
+//
+// then run the service with
+//   ZOOM_API_BASE_URL=http://localhost:4100/v2
+//   ZOOM_OAUTH_TOKEN_URL=http://localhost:4100/oauth/token
+//
+// A fixtures file is a JSON array of recordings shaped like the API response; a
+// file's body is its "content" string, or "file_size" bytes of filler.
+
+import express from 'express';
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+
+const DEFAULT_PORT = 4100;
+const ACCESS_TOKEN = 'mock-access-token';
+const DOWNLOAD_ACCESS_TOKEN = 'mock-download-access-token';
+
+// One UUID that starts with '/' and one containing '//', the two that need double-encoding
+export const SAMPLE_RECORDINGS = [
+    {
+        uuid: '/ajXp112QmuoKj4854875==',
+        id: 81234567890,
+        topic: 'Jenny & Alex Week 3',
+        start_time: '2024-03-15T10:00:00Z',
+        duration: 60,
+        host_email: 'jenny@ivymentors.co',
+        password: 'mockpass',
+        recording_files: [
+            { id: 'mock-mp4', file_type: 'MP4', file_extension: 'MP4', recording_type: 'shared_screen_with_speaker_view', status: 'completed', file_size: 4096 },
+            { id: 'mock-mp4-speaker', file_type: 'MP4', file_extension: 'MP4', recording_type: 'active_speaker', status: 'completed', file_size: 3072 },
+            { id: 'mock-vtt', file_type: 'TRANSCRIPT', file_extension: 'VTT', recording_type: 'audio_transcript', status: 'completed', content: 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nJenny: Hi Alex, welcome to week 3.\n' },
+            { id: 'mock-cc', file_type: 'CC', file_extension: 'VTT', recording_type: 'closed_caption', status: 'completed', content: 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nHi Alex, welcome to week 3.\n' },
+            { id: 'mock-chat', file_type: 'CHAT', file_extension: 'TXT', recording_type: 'chat_file', status: 'completed', content: '10:00:05\t From Alex to Everyone: hi!\n' }
+        ]
+    },
+    {
+        uuid: 'Kq3a//9XbT2+uVhQ8zM1fA==',
+        id: 81234567891,
+        topic: 'Alex essay review',
+        start_time: '2024-03-16T15:00:00Z',
+        duration: 30,
+        host_email: 'jenny@ivymentors.co',
+        recording_files: [
+            { id: 'mock-m4a', file_type: 'M4A', file_extension: 'M4A', recording_type: 'audio_only', status: 'completed', file_size: 2048 }
+        ]
+    }
+];
+
+function fileBody(file) {
+    return file.content !== undefined ? Buffer.from(file.content) : Buffer.alloc(file.file_size || 0, 0x5a);
+}
+
+// Zoom decodes the path segment once; a UUID that still has '/' in it after that
+// must have been double-encoded, or the route doesn't match
+function decodeMeetingId(segment) {
+    const once = decodeURIComponent(segment);
+    if (/%[0-9a-f]{2}/i.test(once)) {
+        return decodeURIComponent(once);
+    }
+    return once.startsWith('/') || once.includes('//') ? null : once;
+}
+
+export function createMockZoomServer({ recordings = structuredClone(SAMPLE_RECORDINGS), baseUrl = `http://localhost:${DEFAULT_PORT}` } = {}) {
+    const app = express();
+    const requests = [];
+    const removed = [];
+
+    app.use((req, res, next) => {
+        requests.push({ method: req.method, path: req.path, query: req.query });
+        next();
+    });
+
+    const requireToken = (tokens) => (req, res, next) => {
+        const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+        if (!tokens.includes(token)) {
+            return res.status(401).json({ code: 124, message: 'Invalid access token.' });
+        }
+        next();
+    };
+
+    const findFile = fileId => {
+        for (const recording of recordings) {
+            const file = (recording.recording_files || []).find(f => f.id === fileId);
+            if (file) return { recording, file };
+        }
+        return null;
+    };
+
+    app.post('/oauth/token', (req, res) => {
+        res.json({ access_token: ACCESS_TOKEN, token_type: 'bearer', expires_in: 3600, scope: 'cloud_recording:read:admin' });
+    });
+
+    // req.path is still percent-encoded, so the encoding can be checked
+    const findRecording = req => {
+        const meetingId = decodeMeetingId(req.path.split('/')[3]);
+        return meetingId ? recordings.find(r => r.uuid === meetingId || String(r.id) === meetingId) : null;
+    };
+
+    app.get(/^\/v2\/meetings\/([^/]+)\/recordings$/, requireToken([ACCESS_TOKEN]), (req, res) => {
+        const recording = findRecording(req);
+        if (!recording) {
+            return res.status(404).json({ code: 3301, message: 'This recording does not exist.' });
+        }
+
+        const includeToken = String(req.query.include_fields || '').split(',').includes('download_access_token');
+        res.json({
+            ...recording,
+            total_size: (recording.recording_files || []).reduce((sum, file) => sum + fileBody(file).length, 0),
+            recording_count: (recording.recording_files || []).length,
+            recording_files: (recording.recording_files || []).map(({ content, ...file }) => ({
+                ...file,
+                meeting_id: recording.uuid,
+                file_size: fileBody({ content, ...file }).length,
+                download_url: `${baseUrl}/rec/download/${encodeURIComponent(file.id)}`
+            })),
+            ...(includeToken ? { download_access_token: DOWNLOAD_ACCESS_TOKEN } : {})
+        });
+    });
+
+    // Trashed and deleted recordings both disappear from the API, as they do in Zoom
+    app.delete(/^\/v2\/meetings\/([^/]+)\/recordings$/, requireToken([ACCESS_TOKEN]), (req, res) => {
+        const action = req.query.action || 'trash';
+        if (!['trash', 'delete'].includes(action)) {
+            return res.status(400).json({ code: 300, message: `Invalid action: ${action}` });
+        }
+
+        const recording = findRecording(req);
+        if (!recording) {
+            return res.status(404).json({ code: 3301, message: 'This recording does not exist.' });
+        }
+
+        recordings.splice(recordings.indexOf(recording), 1);
+        removed.push({ uuid: recording.uuid, action });
+        res.status(204).end();
+    });
+
+    app.get('/rec/download/:fileId', requireToken([ACCESS_TOKEN, DOWNLOAD_ACCESS_TOKEN]), (req, res) => {
+        const found = findFile(req.params.fileId);
+        if (!found) {
+            return res.status(404).json({ code: 3301, message: 'This recording does not exist.' });
+        }
+
+        const { recording, file } = found;
+        if (recording.password && req.query.pwd !== recording.password) {
+            return res.status(403).json({ code: 3314, message: 'Wrong passcode.' });
+        }
+
+        const body = fileBody(file);
+        const range = /^bytes=(\d+)-$/.exec(req.get('Range') || '');
+        if (range) {
+            const start = Number(range[1]);
+            res.status(206).set('Content-Range', `bytes ${start}-${body.length - 1}/${body.length}`);
+            return res.send(body.subarray(start));
+        }
+        res.send(body);
+    });
+
+    return { app, requests, recordings, removed };
+}
+
+// Run as a script
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const args = process.argv.slice(2);
+    const argValue = name => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    if (args.includes('--help')) {
+        console.log('Usage: node mock-zoom-server.js [--port 4100] [--fixtures recordings.json]');
+        process.exit(0);
+    }
+
+    const port = Number(argValue('--port') || process.env.PORT || DEFAULT_PORT);
+    const fixtures = argValue('--fixtures');
+    const recordings = fixtures ? JSON.parse(fs.readFileSync(fixtures, 'utf8')) : SAMPLE_RECORDINGS;
+    const { app } = createMockZoomServer({ recordings, baseUrl: `http://localhost:${port}` });
+
+    app.listen(port, () => {
+        console.log(`🧪 Mock Zoom server on http://localhost:${port} with ${recordings.length} recordings`);
+        console.log(`   ZOOM_API_BASE_URL=http://localhost:${port}/v2`);
+        console.log(`   ZOOM_OAUTH_TOKEN_URL=http://localhost:${port}/oauth/token`);
+        for (const recording of recordings) {
+            console.log(`   ${recording.uuid}  ${recording.topic}`);
+        }
+    });
+}
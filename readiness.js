@@ -0,0 +1,114 @@
+// readiness.js
+// Deep readiness probe for /health?deep=true. Actually talks to Zoom, the
+// storage backend and Sheets, and caches the result for HEALTH_CACHE_TTL_MS so a load balancer can
+// poll it without hammering the APIs.
+
+const DEFAULT_TTL_MS = 30000;
+const CHECK_TIMEOUT_MS = 10000;
+
+// Manual_Review isn't required: the processor creates it the first time it flags a recording
+const REQUIRED_TABS = ['Mappings', 'Sessions'];
+
+function withTimeout(promise, ms, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} check timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class ReadinessChecker {
+    constructor({ recordingProcessor, jobQueue, ttlMs }) {
+        this.recordingProcessor = recordingProcessor;
+        this.jobQueue = jobQueue;
+        this.ttlMs = Number(ttlMs || process.env.HEALTH_CACHE_TTL_MS || DEFAULT_TTL_MS);
+
+        this.cached = null;
+        this.cachedAt = 0;
+        this.inFlight = null;
+    }
+
+    async check() {
+        if (this.cached && Date.now() - this.cachedAt < this.ttlMs) {
+            return { ...this.cached, cached: true };
+        }
+
+        // Concurrent polls share one probe
+        if (!this.inFlight) {
+            this.inFlight = this.runChecks()
+                .then(result => {
+                    this.cached = result;
+                    this.cachedAt = Date.now();
+                    return result;
+                })
+                .finally(() => {
+                    this.inFlight = null;
+                });
+        }
+
+        return { ...(await this.inFlight), cached: false };
+    }
+
+    async runCheck(name, fn) {
+        const started = Date.now();
+        try {
+            const details = await withTimeout(fn(), CHECK_TIMEOUT_MS, name);
+            return { ok: true, latencyMs: Date.now() - started, ...details };
+        } catch (error) {
+            return { ok: false, latencyMs: Date.now() - started, error: error.message };
+        }
+    }
+
+    async runChecks() {
+        const processor = this.recordingProcessor;
+
+        const checks = {};
+        checks.zoom = await this.runCheck('zoom', async () => {
+            await processor.getZoomToken();
+            return {};
+        });
+
+        // Storage and Sheets clients only exist once the processor is initialized
+        checks.initialize = await this.runCheck('initialize', async () => {
+            await processor.initialize();
+            return { storageBackend: processor.storageBackend };
+        });
+
+        if (checks.initialize.ok) {
+            checks.storage = await this.runCheck('storage', () => processor.storage.checkWritable());
+        }
+
+        // Sheets tracking is optional when running on the local or S3 backend
+        if (checks.initialize.ok && processor.sheets) {
+            checks.sheets = await this.runCheck('sheets', async () => {
+                const response = await processor.sheets.spreadsheets.get({
+                    spreadsheetId: processor.mappingsSheetId,
+                    fields: 'sheets.properties.title'
+                });
+                const tabs = response.data.sheets.map(sheet => sheet.properties.title);
+                const missingTabs = REQUIRED_TABS.filter(tab => !tabs.includes(tab));
+                if (missingTabs.length > 0) {
+                    throw new Error(`Mappings sheet is missing tabs: ${missingTabs.join(', ')}`);
+                }
+                return { tabs: REQUIRED_TABS };
+            });
+        }
+
+        const jobCounts = this.jobQueue.stats();
+
+        return {
+            status: Object.values(checks).every(check => check.ok) ? 'ready' : 'not_ready',
+            checkedAt: new Date().toISOString(),
+            checks,
+            studentMappings: processor.studentMappings.size,
+            coaches: { count: processor.coachRoster.size, source: processor.coachRoster.source },
+            jobs: {
+                pending: jobCounts.pending,
+                running: jobCounts.running,
+                failed: jobCounts.failed
+            }
+        };
+    }
+}
+
+export default ReadinessChecker;
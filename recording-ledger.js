@@ -0,0 +1,210 @@
+// recording-ledger.js
+// Persistent record of every recording we have seen, keyed by Zoom recording uuid.
+// Used to drop duplicate webhook deliveries (same uuid + event_ts) and to turn
+// a repeat of an already-finished recording into a no-op unless reprocessing
+// was asked for explicitly.
+//
+// The server and the command-line tools (replay-events.js, zoom-cleanup.js,
+// migrate-to-shortcuts.js) share the file, so reads pick up changes another
+// process made, and every update re-reads the file and changes only its own
+// entry while holding <file>.lock.
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+const DEFAULT_PATH = './data/recordings.json';
+
+const LOCK_TIMEOUT_MS = 10000;
+// A lock this old was left by a process that died while holding it
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 10;
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+class RecordingLedger {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.RECORDING_LEDGER_PATH || DEFAULT_PATH;
+        this.lockPath = `${this.filePath}.lock`;
+        this.entries = null;
+        this.version = null;
+        this.lockDepth = 0;
+    }
+
+    // Size and mtime of the file, to tell whether someone else has written it
+    fileVersion() {
+        try {
+            const stats = fs.statSync(this.filePath);
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    load() {
+        const version = this.fileVersion();
+        if (this.entries && version === this.version) return;
+
+        this.entries = new Map();
+        this.version = version;
+        try {
+            if (version) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                for (const entry of data.recordings || []) {
+                    this.entries.set(entry.uuid, entry);
+                }
+            }
+        } catch (error) {
+            logger.error(`Error loading recording ledger ${this.filePath}`, { error: error.message });
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify({ recordings: Array.from(this.entries.values()) }, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+        this.version = this.fileVersion();
+    }
+
+    // Run fn holding the ledger lock, on entries freshly read from the file
+    withLock(fn) {
+        if (this.lockDepth > 0) {
+            this.lockDepth++;
+            try {
+                return fn();
+            } finally {
+                this.lockDepth--;
+            }
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        for (;;) {
+            try {
+                fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+            try {
+                if (Date.now() - fs.statSync(this.lockPath).mtimeMs > LOCK_STALE_MS) {
+                    logger.warn(`Removing stale recording ledger lock ${this.lockPath}`);
+                    fs.rmSync(this.lockPath, { force: true });
+                    continue;
+                }
+            } catch (error) {
+                // Released between our attempt and the stat; try again
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for recording ledger lock ${this.lockPath}`);
+            }
+            Atomics.wait(sleepCell, 0, 0, LOCK_RETRY_MS);
+        }
+
+        this.lockDepth = 1;
+        try {
+            // Always re-read: a write in the same millisecond with the same size looks unchanged
+            this.entries = null;
+            this.load();
+            return fn();
+        } finally {
+            this.lockDepth = 0;
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    static keyFor(recording) {
+        return recording.uuid || (recording.id ? String(recording.id) : null);
+    }
+
+    // Whether one of these jobs is a recording job for the key still waiting or
+    // running, e.g. the backoff retry of a partial run
+    static hasOpenJob(jobs, recordingKey) {
+        return jobs.some(job =>
+            job.type === 'recording.completed' &&
+            (job.status === 'pending' || job.status === 'running') &&
+            RecordingLedger.keyFor(job.data?.payload?.object || job.data?.payload || {}) === recordingKey);
+    }
+
+    get(uuid) {
+        this.load();
+        return this.entries.get(uuid) || null;
+    }
+
+    list() {
+        this.load();
+        return Array.from(this.entries.values());
+    }
+
+    update(uuid, changes) {
+        return this.withLock(() => {
+            const now = new Date().toISOString();
+            const entry = this.entries.get(uuid) || { uuid, events: [], firstSeenAt: now };
+            Object.assign(entry, changes, { updatedAt: now });
+            this.entries.set(uuid, entry);
+            this.save();
+            return entry;
+        });
+    }
+
+    // Decide whether an incoming webhook for this recording should be queued.
+    // options.jobPending says the queue still holds a job for it, e.g. the retry
+    // of a partial or failed run, which counts as in progress.
+    // Returns { accept: boolean, reason }
+    registerEvent(uuid, eventTs, info = {}, options = {}) {
+        return this.withLock(() => {
+            const entry = this.entries.get(uuid);
+            const eventKey = eventTs ? String(eventTs) : null;
+
+            if (entry && !options.reprocess) {
+                if (eventKey && entry.events.includes(eventKey)) {
+                    return { accept: false, reason: 'duplicate_event', entry };
+                }
+                if (entry.status === 'completed') {
+                    return { accept: false, reason: 'already_completed', entry };
+                }
+                if (entry.status === 'queued' || entry.status === 'processing' || options.jobPending) {
+                    return { accept: false, reason: 'in_progress', entry };
+                }
+            }
+
+            const events = entry ? [...entry.events] : [];
+            if (eventKey && !events.includes(eventKey)) {
+                events.push(eventKey);
+            }
+
+            const updated = this.update(uuid, { ...info, events, status: 'queued' });
+            return { accept: true, reason: entry ? (options.reprocess ? 'reprocess' : 'retry_after_failure') : 'new', entry: updated };
+        });
+    }
+
+    // Undo registerEvent() when the event could not be queued, so Zoom's retry is accepted
+    releaseEvent(uuid, eventTs, error) {
+        return this.withLock(() => {
+            const entry = this.get(uuid);
+            if (!entry) return null;
+            const events = entry.events.filter(e => e !== String(eventTs));
+            return this.update(uuid, { events, status: 'failed', lastError: error.message });
+        });
+    }
+
+    markProcessing(uuid, info = {}) {
+        return this.update(uuid, { ...info, status: 'processing', startedAt: new Date().toISOString(), lastError: null });
+    }
+
+    markCompleted(uuid, result) {
+        return this.update(uuid, { status: 'completed', completedAt: new Date().toISOString(), result });
+    }
+
+    markFailed(uuid, error) {
+        return this.update(uuid, { status: 'failed', lastError: error.message });
+    }
+
+    // Some files made it and some didn't; a retry resumes from the recording's processing state
+    markPartial(uuid, error, result) {
+        return this.update(uuid, { status: 'partial', lastError: error.message, result });
+    }
+}
+
+export default RecordingLedger;
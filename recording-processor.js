@@ -5,6 +5,30 @@ import { JWT } from 'google-auth-library';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { pipeline } from 'stream';
+import RecordingLedger from './recording-ledger.js';
+import AuditLog from './audit-log.js';
+import logger from './logger.js';
+import { createStorage, getStorageBackend } from './storage.js';
+import { IntegrityError, IntegrityStream, compareStoredFile, summarizeIntegrity } from './integrity.js';
+import RecordingState, { IncompleteRecordingError } from './recording-state.js';
+import DownloadScheduler, { isMetadataFile } from './download-scheduler.js';
+import ZoomApi, { ZoomApiError, isStaleDownloadError } from './zoom-api.js';
+import FileTypeRegistry from './file-types.js';
+import CoachRoster, { COACHES_RANGE } from './coach-roster.js';
+import StudentMatcher from './student-matcher.js';
+import EvidenceScorer, { describeTrace } from './evidence-scorer.js';
+import { addMappingsEvidence, extractMetadata, extractContextFromSirajFolder, weeksSinceStart } from './metadata-extraction.js';
+import {
+    recordingsProcessed,
+    bytesDownloaded,
+    driveOperationDuration,
+    sheetsErrors,
+    extractionConfidence,
+    integrityFailures,
+    tempFoldersRemoved,
+    zoomCloudCleanups
+} from './metrics.js';
 
 dotenv.config();
 
@@ -17,11 +41,71 @@ if (process.env.SECRET_TOKEN && !process.env.WEBHOOK_SECRET) {
     process.env.WEBHOOK_SECRET = process.env.SECRET_TOKEN;
 }
 
+// What to do when Zoom reports a recording was trashed/deleted/recovered.
+// Override with RECORDING_TRASHED_ACTIONS / RECORDING_DELETED_ACTIONS / RECORDING_RECOVERED_ACTIONS
+// (comma-separated: mark, quarantine, restore, ignore)
+const LIFECYCLE_DEFAULT_ACTIONS = {
+    'recording.trashed': 'mark',
+    'recording.deleted': 'mark,quarantine',
+    'recording.recovered': 'mark,restore'
+};
+
+// How many times a file that fails its integrity check is fetched (or copied) again
+const INTEGRITY_ATTEMPTS = 3;
+
+// Zoom webhook download tokens are valid for 24 hours
+const DOWNLOAD_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const LIFECYCLE_STATUS_LABELS = {
+    'recording.trashed': 'Trashed in Zoom',
+    'recording.deleted': 'Deleted in Zoom',
+    'recording.recovered': 'Recovered in Zoom'
+};
+
+// Manual_Review columns A:L; sheets created before a column was added are widened on the next flag
+const MANUAL_REVIEW_HEADERS = [
+    'Meeting ID',
+    'Topic',
+    'Coach (Extracted)',
+    'Student (Extracted)',
+    'Coach Confidence',
+    'Student Confidence',
+    'Week Confidence',
+    'Date Added',
+    'Status',
+    'Temp Folder Path',
+    'Student Candidates',
+    'Decision Trace'
+];
+
+// "Alex Smith <alex@x.com> 0.81; runner-up Alex Jones <ajones@x.com> 0.62"
+function describeStudentMatch(studentMatch) {
+    const describe = candidate => `${candidate.name} <${candidate.email}> ${candidate.confidence ?? candidate.score}`;
+    if (!studentMatch || !studentMatch.best) return 'No match in Mappings';
+    return studentMatch.runnerUp
+        ? `${describe(studentMatch.best)}; runner-up ${describe(studentMatch.runnerUp)}`
+        : describe(studentMatch.best);
+}
+
+// filedCopies with each moved copy's fileId replaced by the id it has now (Map of old id -> new id)
+function withFileIds(filedCopies, newIds) {
+    return (filedCopies || []).map(filed => ({
+        ...filed,
+        copies: filed.copies.map(copy => (newIds.has(copy.fileId) ? { ...copy, fileId: newIds.get(copy.fileId) } : copy))
+    }));
+}
+
+// Sessions "Zoom status" for recordings removed by zoom-cleanup.js
+const ZOOM_CLEANUP_LABELS = {
+    trash: 'Trashed in Zoom after archival',
+    delete: 'Deleted in Zoom after archival'
+};
+
 // ADD THIS CODE BLOCK HERE - This decodes the key when the app starts
 if (process.env.GOOGLE_SERVICE_ACCOUNT_KEY_BASE64) {
     const keyJson = Buffer.from(process.env.GOOGLE_SERVICE_ACCOUNT_KEY_BASE64, 'base64').toString();
     fs.writeFileSync('./service-account-key.json', keyJson);
-    console.log('✓ Service account key decoded');
+    logger.info('✓ Service account key decoded');
 }
 
 
@@ -33,19 +117,39 @@ class RecordingProcessor {
         this.zoomClientSecret = process.env.ZOOM_CLIENT_SECRET;
         
         // Google credentials
-        this.driveRootFolderId = process.env.DRIVE_ROOT_FOLDER_ID;
         this.mappingsSheetId = process.env.MAPPINGS_SHEET_ID;
         
+        // Archive storage (drive | local | s3); the root id is known once initialized
+        this.storageBackend = getStorageBackend();
+        this.storage = null;
+        this.rootFolderId = null;
+        
+        // FILING_MODE=copy (default) puts a full copy in all three views; shortcut keeps
+        // the real file in By Student and links to it from By Program and By Coach
+        this.filingMode = (process.env.FILING_MODE || 'copy').toLowerCase();
+        this.drive = null;
+        this.sheets = null;
+        this.googleAuth = null;
+        
         // Caches
         this.studentMappings = new Map();
+        this.studentMatcher = new StudentMatcher(this.studentMappings);
         this.folderCache = new Map();
         this.tokenCache = { token: null, expires: 0 };
         
-        // Known coach names from ConvertNames.py
-        this.knownCoachNames = new Set([
-            'noor', 'jenny', 'aditi', 'marissa', 'rishi', 'erin',
-            'janice', 'summer', 'jamie', 'alice', 'alan', 'andrew', 'juli'
-        ]);
+        // Per-recording processing history (dedup / idempotency)
+        this.ledger = new RecordingLedger();
+        this.auditLog = new AuditLog();
+        
+        // Concurrency and bandwidth limits shared by every recording's downloads
+        this.downloadScheduler = new DownloadScheduler();
+        
+        // Zoom REST API, for recordings the webhook payload alone can't get us
+        this.zoomApi = new ZoomApi({ getToken: () => this.getZoomToken() });
+        this.fileTypes = new FileTypeRegistry();
+        
+        // Replaced by the Coaches tab once it loads
+        this.coachRoster = CoachRoster.defaults();
         
         this.initialized = false;
     }
@@ -53,13 +157,38 @@ class RecordingProcessor {
     async initialize() {
         if (this.initialized) return;
         
-        console.log('Initializing Recording Processor...');
+        logger.info('Initializing Recording Processor...');
         
+        // Google is only needed for the Drive backend or the tracking spreadsheet
+        if (this.storageBackend === 'drive' || this.mappingsSheetId) {
+            await this.initializeGoogleClients();
+        } else {
+            logger.info('No MAPPINGS_SHEET_ID set, running without Google Sheets tracking');
+        }
+        
+        this.storage = createStorage(this.storageBackend, { drive: this.drive, auth: this.googleAuth });
+        await this.storage.init();
+        this.rootFolderId = this.storage.rootFolderId;
+        logger.info(`Using ${this.storageBackend} storage backend`);
+        if (this.filingMode === 'shortcut' && !this.storage.createShortcut) {
+            logger.warn(`FILING_MODE=shortcut is not supported by the ${this.storageBackend} backend, filing full copies instead`);
+        }
+        
+        // Load data
+        await this.loadStudentMappings();
+        await this.loadCoachRoster();
+        await this.ensureFolderStructure();
+        
+        this.initialized = true;
+        logger.info('✓ Recording Processor initialized');
+    }
+
+    async initializeGoogleClients() {
         // Check if we should use impersonation
         const impersonatedUser = process.env.GOOGLE_IMPERSONATED_USER;
         
         if (impersonatedUser) {
-            console.log(`Using domain-wide delegation to impersonate: ${impersonatedUser}`);
+            logger.info(`Using domain-wide delegation to impersonate: ${impersonatedUser}`);
             
             // Read the service account key
             let key;
@@ -86,12 +215,13 @@ class RecordingProcessor {
             
             await authClient.authorize();
             
+            this.googleAuth = authClient;
             this.drive = google.drive({ version: 'v3', auth: authClient });
             this.sheets = google.sheets({ version: 'v4', auth: authClient });
             
         } else {
             // Fallback to regular service account auth (without impersonation)
-            console.log('Using regular service account authentication (15GB limit)');
+            logger.info('Using regular service account authentication (15GB limit)');
             
             const auth = new google.auth.GoogleAuth({
                 keyFile: './service-account-key.json',
@@ -99,44 +229,18 @@ class RecordingProcessor {
             });
 
             const authClient = await auth.getClient();
+            this.googleAuth = authClient;
             this.drive = google.drive({ version: 'v3', auth: authClient });
             this.sheets = google.sheets({ version: 'v4', auth: authClient });
         }
-        
-        // Check storage quota
-        try {
-            const about = await this.drive.about.get({
-                fields: 'storageQuota, user'
-            });
-            
-            console.log(`\n📊 Drive Storage Info:`);
-            console.log(`   Authenticated as: ${about.data.user.emailAddress}`);
-            
-            const quota = about.data.storageQuota;
-            if (quota.limit && quota.limit !== '-1') {
-                const usedGB = (parseInt(quota.usage) / 1073741824).toFixed(2);
-                const limitGB = (parseInt(quota.limit) / 1073741824).toFixed(2);
-                console.log(`   Storage: ${usedGB} GB / ${limitGB} GB used`);
-                
-                if (parseInt(quota.usage) >= parseInt(quota.limit) * 0.9) {
-                    console.warn(`   ⚠️  WARNING: Storage is ${((parseInt(quota.usage) / parseInt(quota.limit)) * 100).toFixed(1)}% full!`);
-                }
-            } else {
-                console.log(`   Storage: Using organization pool (22TB available)`);
-            }
-        } catch (error) {
-            console.warn('   Could not check storage quota:', error.message);
-        }
-        
-        // Load data
-        await this.loadStudentMappings();
-        await this.ensureFolderStructure();
-        
-        this.initialized = true;
-        console.log('✓ Recording Processor initialized');
     }
 
     async loadStudentMappings() {
+        if (!this.sheets) {
+            logger.warn('No mappings sheet configured, student mappings are empty');
+            return;
+        }
+        
         try {
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: this.mappingsSheetId,
@@ -159,9 +263,46 @@ class RecordingProcessor {
                 }
             });
 
-            console.log(`✓ Loaded ${this.studentMappings.size} student mappings`);
+            logger.info(`✓ Loaded ${this.studentMappings.size} student mappings`);
+        } catch (error) {
+            logger.error('Error loading mappings', { error: error.message });
+            sheetsErrors.inc({ operation: 'load_mappings' });
+            throw error;
+        }
+    }
+
+    // Coaches tab of the mappings sheet (see coach-roster.js). Until the tab exists
+    // the built-in roster stays in use, so older sheets keep working.
+    async loadCoachRoster() {
+        if (!this.sheets) {
+            logger.warn('No mappings sheet configured, using the built-in coach roster');
+            return;
+        }
+        
+        try {
+            const response = await this.sheets.spreadsheets.values.get({
+                spreadsheetId: this.mappingsSheetId,
+                range: COACHES_RANGE
+            });
+            
+            const roster = CoachRoster.fromRows(response.data.values || []);
+            if (roster.size === 0) {
+                logger.warn('Coaches tab is empty, using the built-in coach roster');
+                return;
+            }
+            for (const duplicate of roster.duplicates) {
+                logger.warn(`⚠️  "${duplicate.key}" is listed for more than one coach in the Coaches tab, using ${duplicate.coaches[0]}`, duplicate);
+            }
+            
+            this.coachRoster = roster;
+            logger.info(`✓ Loaded ${roster.size} coaches`);
         } catch (error) {
-            console.error('Error loading mappings:', error.message);
+            if (/Unable to parse range/i.test(error.message)) {
+                logger.warn('No Coaches tab in the mappings sheet, using the built-in coach roster');
+                return;
+            }
+            logger.error('Error loading coaches', { error: error.message });
+            sheetsErrors.inc({ operation: 'load_coaches' });
             throw error;
         }
     }
@@ -170,11 +311,11 @@ class RecordingProcessor {
         const mainFolders = ['By Program', 'By Coach', 'By Student', 'Master Database', 'TEMP_ZOOM_RECORDINGS'];
         
         for (const folderName of mainFolders) {
-            const folderId = await this.getOrCreateFolder(this.driveRootFolderId, folderName);
+            const folderId = await this.getOrCreateFolder(this.rootFolderId, folderName);
             this.folderCache.set(folderName, folderId);
         }
         
-        console.log('✓ Folder structure verified');
+        logger.info('✓ Folder structure verified');
     }
 
     async getZoomToken() {
@@ -186,7 +327,7 @@ class RecordingProcessor {
         const authString = Buffer.from(`${this.zoomClientId}:${this.zoomClientSecret}`).toString('base64');
         
         const response = await axios.post(
-            'https://zoom.us/oauth/token',
+            process.env.ZOOM_OAUTH_TOKEN_URL || 'https://zoom.us/oauth/token',
             `grant_type=account_credentials&account_id=${this.zoomAccountId}`,
             {
                 headers: {
@@ -205,1255 +346,1208 @@ class RecordingProcessor {
         return this.tokenCache.token;
     }
 
-    extractCoachFromRecordingInfo(topic, hostEmail, participantInfo = null) {
-        const topicLower = topic.toLowerCase();
-        
-        // First check if it's a Siraj recording
-        if (this.isSirajRecording(topic)) {
-            return "Siraj";
-        }
+    // Coach / student / week from the topic, host and the downloaded timeline,
+    // transcript and chat (see metadata-extraction.js), with the week calculated
+    // from the student mappings when nothing names it
+    async extractMetadataFromAllSources(recording, tempFiles) {
+        logger.info('🔍 Starting comprehensive metadata extraction...');
+        
+        const readTempFile = async (...types) => {
+            const file = tempFiles.find(f => types.includes(f.type));
+            if (!file) return null;
+            try {
+                return await this.storage.readFile(file.fileId);
+            } catch (error) {
+                logger.error(`Error reading ${file.type} file for metadata extraction`, { error: error.message });
+                return null;
+            }
+        };
         
-        // Split topic into parts for pattern matching
-        const parts = topic.split('_');
+        const metadata = extractMetadata({
+            topic: recording.topic,
+            hostEmail: recording.host_email,
+            participants: recording.participants,
+            startTime: recording.start_time,
+            timeline: await readTempFile('TIMELINE'),
+            transcript: await readTempFile('TRANSCRIPT', 'VTT'),
+            chat: await readTempFile('CHAT')
+        }, { roster: this.coachRoster });
+        
+        // Which Mappings student all those names point to, as evidence for the student
+        // and, once it is the student, for the coach and week
+        const { best, runnerUp } = this.matchStudent(recording, metadata.people, [metadata.coach]);
+        metadata.studentMatch = { best, runnerUp };
+        addMappingsEvidence(metadata, best, {
+            matcher: this.studentMatcher,
+            mappings: this.studentMappings,
+            roster: this.coachRoster,
+            date: recording.start_time
+        });
         
-        // Check if first part is a known coach name (highest confidence)
-        if (parts.length >= 2 && this.knownCoachNames.has(parts[0].toLowerCase())) {
-            return this.capitalizeWord(parts[0]);
-        }
+        // Log extraction results
+        logger.info('📊 Metadata extraction results', {
+            coach: metadata.coach || 'Unknown',
+            student: metadata.student || 'Unknown',
+            week: metadata.weekNumber || 'Unknown',
+            confidence: metadata.confidence,
+            sources: metadata.sources,
+            conflicts: Object.fromEntries(Object.entries(metadata.trace)
+                .filter(([, decision]) => decision.conflict)
+                .map(([field, decision]) => [field, decision.conflict.value])),
+            participantCount: metadata.participants.length
+        });
         
-        // Enhanced coach patterns
-        const coachPatterns = [
-            /coach[_\s]+([a-z]+)/i,
-            /new[_\s]+coach[_\s]+([a-z]+)/i,
-            /coach[_\s]*[:]\s*([a-z]+)/i,
-            /w[_\s]*(?:ith)?[_\s]*([a-z]+)/i,
-            /coach[_\s]*([a-z]+)(?:[_\s]+(?:week|wk|session))?/i,
-            /([a-z]+)[_\s]*(?:coaching|session|meeting)/i,
-            /with[_\s]+coach[_\s]+([a-z]+)/i,
-            /([a-z]+)[_\s]*-[_\s]*coach/i
-        ];
+        return metadata;
+    }
+
+    // New method to flag for manual review
+    async flagForManualReview(recording, metadata, tempFolderPath) {
+        logger.info('⚠️ Flagging recording for manual review due to low confidence');
         
-        for (const pattern of coachPatterns) {
-            const match = topicLower.match(pattern);
-            if (match) {
-                const potentialCoach = match[1].toLowerCase();
-                if (this.knownCoachNames.has(potentialCoach)) {
-                    return this.capitalizeWord(match[1]);
-                }
-            }
+        if (!this.sheets) {
+            logger.warn('No mappings sheet configured, manual review flag only kept in the ledger');
+            return;
         }
         
-        // Pattern 2: Look for known coach names in any position
-        for (let i = 0; i < parts.length; i++) {
-            const part = parts[i].toLowerCase();
-            if (this.knownCoachNames.has(part)) {
-                return this.capitalizeWord(parts[i]);
+        try {
+            // Check if Manual_Review sheet exists, create if not
+            const sheets = await this.sheets.spreadsheets.get({
+                spreadsheetId: this.mappingsSheetId,
+                fields: 'sheets.properties(title,sheetId,gridProperties.columnCount)'
+            });
+            
+            const manualReview = sheets.data.sheets.find(
+                sheet => sheet.properties.title === 'Manual_Review'
+            );
+            const lastColumn = String.fromCharCode(64 + MANUAL_REVIEW_HEADERS.length);
+            
+            if (!manualReview) {
+                await this.sheets.spreadsheets.batchUpdate({
+                    spreadsheetId: this.mappingsSheetId,
+                    resource: {
+                        requests: [{
+                            addSheet: {
+                                properties: {
+                                    title: 'Manual_Review',
+                                    gridProperties: {
+                                        rowCount: 1000,
+                                        columnCount: MANUAL_REVIEW_HEADERS.length
+                                    }
+                                }
+                            }
+                        }]
+                    }
+                });
+                
+                // Add headers
+                await this.sheets.spreadsheets.values.update({
+                    spreadsheetId: this.mappingsSheetId,
+                    range: `Manual_Review!A1:${lastColumn}1`,
+                    valueInputOption: 'USER_ENTERED',
+                    resource: { values: [MANUAL_REVIEW_HEADERS] }
+                });
+            } else if ((manualReview.properties.gridProperties?.columnCount || 0) < MANUAL_REVIEW_HEADERS.length) {
+                // Created before the newer columns existed: make room and label them
+                const columnCount = manualReview.properties.gridProperties?.columnCount || 0;
+                await this.sheets.spreadsheets.batchUpdate({
+                    spreadsheetId: this.mappingsSheetId,
+                    resource: {
+                        requests: [{
+                            appendDimension: {
+                                sheetId: manualReview.properties.sheetId,
+                                dimension: 'COLUMNS',
+                                length: MANUAL_REVIEW_HEADERS.length - columnCount
+                            }
+                        }]
+                    }
+                });
+                await this.sheets.spreadsheets.values.update({
+                    spreadsheetId: this.mappingsSheetId,
+                    range: `Manual_Review!${String.fromCharCode(65 + columnCount)}1:${lastColumn}1`,
+                    valueInputOption: 'USER_ENTERED',
+                    resource: { values: [MANUAL_REVIEW_HEADERS.slice(columnCount)] }
+                });
             }
+            
+            // Add the recording to review queue
+            const values = [[
+                recording.id || recording.uuid,
+                recording.topic,
+                metadata.coach || 'Unknown',
+                metadata.student || 'Unknown',
+                metadata.confidence.coach.toFixed(2),
+                metadata.confidence.student.toFixed(2),
+                metadata.confidence.week.toFixed(2),
+                new Date().toISOString(),
+                'Needs Review',
+                tempFolderPath,
+                describeStudentMatch(metadata.studentMatch),
+                describeTrace(metadata.trace)
+            ]];
+            
+            await this.sheets.spreadsheets.values.append({
+                spreadsheetId: this.mappingsSheetId,
+                range: `Manual_Review!A:${lastColumn}`,
+                valueInputOption: 'USER_ENTERED',
+                resource: { values }
+            });
+            
+            logger.info('✓ Added to manual review queue');
+        } catch (error) {
+            logger.error('Error flagging for manual review', { error: error.message });
+            sheetsErrors.inc({ operation: 'manual_review' });
         }
-        
-        // Pattern 3: Look for known coach names in topic
-        const words = topicLower.split(/[_\s\-]+/);
-        for (const word of words) {
-            const cleanWord = word.replace(/[^a-z]/g, '');
-            if (this.knownCoachNames.has(cleanWord)) {
-                return this.capitalizeWord(cleanWord);
+    }
+
+    async processWebhookPayload(payload, downloadToken = null, options = {}) {
+        const recording = payload.object || payload;
+        const recordingKey = RecordingLedger.keyFor(recording);
+        
+        // Every log line for this recording carries its uuid as correlationId
+        return logger.runWithContext({ correlationId: recordingKey }, async () => {
+        
+            // Idempotency: a recording that already finished is a no-op unless reprocess is requested
+            const existing = recordingKey ? this.ledger.get(recordingKey) : null;
+            if (existing && existing.status === 'completed' && !options.reprocess) {
+                logger.info(`⏭️  Recording ${recordingKey} already processed at ${existing.completedAt}, skipping (use reprocess to force)`);
+                recordingsProcessed.inc({ outcome: 'skipped' });
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'already_processed',
+                    uuid: recordingKey,
+                    previousResult: existing.result
+                };
             }
-        }
         
-        // Pattern 4: Check host email
-        if (hostEmail && this.isCoachEmail(hostEmail)) {
-            const emailName = hostEmail.split('@')[0];
-            const firstName = emailName.split('.')[0];
-            if (this.knownCoachNames.has(firstName.toLowerCase())) {
-                return this.capitalizeWord(firstName);
+            // Reprocessing a finished recording starts over; anything else resumes where it stopped
+            const reset = !!existing && existing.status === 'completed';
+            
+            if (recordingKey) {
+                this.ledger.markProcessing(recordingKey, {
+                    meetingId: recording.id || null,
+                    topic: recording.topic,
+                    reprocess: !!options.reprocess
+                });
             }
-        }
         
-        // Pattern 5: Check participant info if available
-        if (participantInfo && Array.isArray(participantInfo)) {
-            for (const participant of participantInfo) {
-                if (participant.email && this.isCoachEmail(participant.email)) {
-                    const emailName = participant.email.split('@')[0];
-                    const firstName = emailName.split('.')[0];
-                    if (this.knownCoachNames.has(firstName.toLowerCase())) {
-                        return this.capitalizeWord(firstName);
+            try {
+                const result = await this.processRecording(recording, downloadToken, { ...options, reset });
+                if (recordingKey) {
+                    this.ledger.markCompleted(recordingKey, result);
+                }
+                recordingsProcessed.inc({ outcome: 'success' });
+                if (result.flaggedForReview) {
+                    recordingsProcessed.inc({ outcome: 'flagged' });
+                }
+                return result;
+            } catch (error) {
+                const partial = error instanceof IncompleteRecordingError;
+                if (recordingKey) {
+                    if (partial) {
+                        this.ledger.markPartial(recordingKey, error, error.result);
+                    } else {
+                        this.ledger.markFailed(recordingKey, error);
                     }
                 }
+                recordingsProcessed.inc({ outcome: partial ? 'partial' : 'failed' });
+                throw error;
             }
-        }
-        
-        return null;
+        });
     }
 
-    extractStudentFromRecordingInfo(topic, coach = null) {
-        // Split topic into parts for better pattern matching
-        const parts = topic.split('_');
+    async processRecording(recording, downloadToken = null, options = {}) {
+        await this.initialize();
         
-        // If we have a coach and it's at position 0, look for student after
-        if (coach && parts.length >= 3 && parts[0].toLowerCase() === coach.toLowerCase()) {
-            // Remove coach part and any numeric parts
-            const remainingParts = parts.slice(1).filter(part => !part.match(/^\d+$/));
-            
-            if (remainingParts.length >= 2) {
-                // Check for hyphenated last names
-                const hyphenatedIndex = remainingParts.findIndex(part => part.includes('-'));
-                
-                if (hyphenatedIndex > 0) {
-                    const firstName = remainingParts[hyphenatedIndex - 1];
-                    const lastName = remainingParts[hyphenatedIndex];
-                    
-                    // Filter out company names
-                    const fullName = `${this.capitalizeWord(firstName)} ${this.capitalizeWord(lastName)}`;
-                    if (!this.isCompanyName(fullName)) {
-                        return fullName;
-                    }
-                } else if (remainingParts.length === 2) {
-                    const fullName = `${this.capitalizeWord(remainingParts[0])} ${this.capitalizeWord(remainingParts[1])}`;
-                    if (!this.isCompanyName(fullName)) {
-                        return fullName;
-                    }
-                }
+        logger.info(`📹 Processing recording: ${recording.topic || recording.uuid}`);
+        
+        // Fill in from the Zoom API when the payload can't be used as delivered
+        let refreshed = false;
+        const refreshReason = this.zoomRefreshReason(recording, downloadToken, options);
+        if (refreshReason === 'no_recording_files') {
+            ({ recording, downloadToken } = await this.refreshRecordingFromZoom(recording, refreshReason));
+            refreshed = true;
+        } else if (refreshReason) {
+            try {
+                ({ recording, downloadToken } = await this.refreshRecordingFromZoom(recording, refreshReason));
+                refreshed = true;
+            } catch (error) {
+                logger.warn(`Could not refresh recording from the Zoom API, using the webhook payload`, { error: error.message });
             }
         }
         
-        // Enhanced student patterns
-        const patterns = [
-            /____([a-z]+)___/i,
-            /___([a-z]+(?:_[a-z]+)*)___/i,
-            /__([a-z]+(?:_[a-z]+)*)__/i,
-            /student[_\s]+([a-z]+(?:_[a-z]+)*)/i,
-            /student[_\s]*[:_-]?\s*([a-z]+(?:[_\s]+[a-z]+)?)/i,
-            /([a-z]+(?:[_\s]+[a-z]+)?)[_\s]*(?:week|wk|session)/i,
-            /meeting[_\s]+with[_\s]+([a-z]+(?:[_\s]+[a-z]+)?)/i,
-            /([a-z]+(?:[_\s]+[a-z]+)?)[_\s]*x[_\s]*([a-z]+)/i
-        ];
-        
-        for (const pattern of patterns) {
-            const match = topic.match(pattern);
-            if (match) {
-                const studentName = match[1];
-                if (!coach || studentName.toLowerCase() !== coach.toLowerCase()) {
-                    const formattedName = studentName.split('_').map(w => this.capitalizeWord(w)).join(' ');
-                    if (!this.isCompanyName(formattedName)) {
-                        return formattedName;
-                    }
-                }
+        // Work finished by an earlier attempt is skipped (see recording-state.js)
+        const recordingKey = RecordingLedger.keyFor(recording);
+        const state = new RecordingState(this.ledger, recordingKey).load({ reset: options.reset });
+        if (state.resumed) {
+            logger.info(`↩️  Resuming (attempt ${state.data.attempts}, done: ${state.completedStages().join(', ') || 'nothing yet'})`);
+        }
+        
+        // Step 1: Create temp folder for this recording with date organization
+        if (!state.data.tempFolderId) {
+            const recordingDate = new Date(recording.start_time);
+            const dateFolder = recordingDate.toISOString().split('T')[0]; // YYYY-MM-DD
+            const tempDateFolderId = await this.getOrCreateFolder(
+                this.folderCache.get('TEMP_ZOOM_RECORDINGS'),
+                dateFolder
+            );
+            
+            // Create unique temp folder name with timestamp
+            const timestamp = recordingDate.toISOString().replace(/[:.]/g, '-');
+            const tempFolderName = `${recording.topic}_${timestamp}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+            state.set({
+                dateFolder,
+                tempFolderId: await this.getOrCreateFolder(tempDateFolderId, tempFolderName),
+                tempFolderPath: `TEMP_ZOOM_RECORDINGS/${dateFolder}/${tempFolderName}`
+            });
+            
+            logger.info(`✓ Created temp folder: ${state.data.tempFolderPath}`);
+        }
+        const { dateFolder, tempFolderPath } = state.data;
+        
+        // Progress snapshot for the job queue / admin API, built from the persisted file states
+        const liveProgress = new Map();
+        const progress = { stage: 'downloading', tempFolder: tempFolderPath, files: [], metadata: null };
+        const reportProgress = () => {
+            progress.files = Object.entries(state.data.files).map(([key, file]) => ({
+                fileType: file.fileType,
+                recordingType: file.recordingType,
+                fileSize: file.fileSize,
+                download: file.download,
+                upload: file.upload,
+                integrity: file.integrity
+                    ? (!file.integrity.verified ? 'failed' : file.integrity.md5Verified ? 'verified' : 'size_only')
+                    : null,
+                ...liveProgress.get(key),
+                error: file.error
+            }));
+            if (options.onProgress) options.onProgress(progress);
+        };
+        
+        // Step 2: Download and store all files in temp folder first
+        const downloads = this.downloadRecordingFiles(recording, downloadToken, state, reportProgress, liveProgress);
+        
+        // Step 3: Apply smart logic to identify coach and student, as soon as the
+        // files it reads are in (the video may still be downloading)
+        const settled = await Promise.allSettled([
+            downloads.metadataReady.then(() => this.extractRecordingIdentity(recording, state)),
+            downloads.done
+        ]);
+        const failed = settled.find(outcome => outcome.status === 'rejected');
+        if (failed) throw failed.reason;
+        let identity = settled[0].value;
+        
+        // Expired or moved download URLs: get fresh ones from the Zoom API and retry those files once
+        const staleFiles = state.files().filter(file => file.download === 'failed' && isStaleDownloadError(file.error));
+        if (staleFiles.length > 0 && !refreshed) {
+            try {
+                ({ recording, downloadToken } = await this.refreshRecordingFromZoom(recording, `${staleFiles.length} download(s) rejected`));
+                refreshed = true;
+                await this.downloadRecordingFiles(recording, downloadToken, state, reportProgress, liveProgress).done;
+                identity = await this.extractRecordingIdentity(recording, state);
+            } catch (error) {
+                logger.warn(`Could not refresh recording from the Zoom API`, { error: error.message });
             }
         }
+        const { metadata } = identity;
         
-        // Fallback: Look for name after coach name
-        if (coach) {
-            const coachEscaped = coach.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            const pattern = new RegExp(`${coachEscaped}[_\\s]*_{2,}[_\\s]*([a-z]+(?:aa)?)`, 'i');
-            const match = topic.match(pattern);
-            if (match) {
-                const studentName = match[1];
-                if (!['week', 'wk', 'meeting', 'zoom', 'game', 'plan', 'prep'].includes(studentName.toLowerCase())) {
-                    if (!this.isCompanyName(studentName)) {
-                        return this.capitalizeWord(studentName);
-                    }
-                }
+        progress.stage = 'filing';
+        progress.metadata = {
+            coach: metadata.coach,
+            student: metadata.student,
+            weekNumber: metadata.weekNumber,
+            confidence: metadata.confidence,
+            sources: metadata.sources,
+            needsReview: identity.needsReview
+        };
+        reportProgress();
+        
+        // Steps 4-5: Create final folder structure and file everything into it
+        const folders = await this.fileRecordingFiles(recording, state, identity, reportProgress);
+        
+        const wantedFiles = state.files().filter(file => file.download !== 'skipped');
+        const filedFiles = wantedFiles.filter(file => file.upload === 'completed');
+        const processedFiles = {};
+        for (const file of filedFiles) {
+            processedFiles[this.fileTypes.linkKey(file, file.variant)] = file.filed.webViewLink;
+        }
+        // The Sessions columns take one link per file_type; prefer the default layout
+        for (const file of filedFiles) {
+            processedFiles[file.fileType.toLowerCase()] ??= file.filed.webViewLink;
+        }
+        
+        const integrityResults = state.files()
+            .filter(file => file.integrity)
+            .map(file => ({ fileType: file.fileType, ...file.integrity }));
+        const integritySummary = summarizeIntegrity(integrityResults);
+        
+        progress.stage = 'tracking';
+        reportProgress();
+        
+        // Remember where everything was filed so later events (late transcript, trash, ...) can find it
+        if (recordingKey) {
+            this.recordFiling(recordingKey, recording, state, identity, folders, processedFiles, integrityResults);
+        }
+        
+        const failedFiles = wantedFiles
+            .filter(file => file.upload !== 'completed')
+            .map(file => ({
+                fileType: file.fileType,
+                stage: file.download === 'completed' ? 'filing' : 'download',
+                error: file.error
+            }));
+        let processingStatus = failedFiles.length === 0
+            ? 'Complete'
+            : `Partial: ${filedFiles.length}/${wantedFiles.length} files filed (` +
+                failedFiles.map(failure => `${failure.fileType} ${failure.stage}: ${failure.error || 'failed'}`).join('; ') + ')';
+        
+        // Step 6: Update tracking spreadsheet with enhanced metadata
+        if (!state.isDone('tracked')) {
+            const tracked = await this.trackRecording(recording, state, identity, processedFiles, integritySummary, processingStatus);
+            if (tracked && failedFiles.length === 0) {
+                state.completeStage('tracked');
+            } else if (!tracked && failedFiles.length === 0) {
+                processingStatus = 'Partial: Sessions row not written';
             }
         }
         
-        return null;
-    }
-
-    extractWeekNumber(topic) {
-        // Enhanced week patterns
-        const weekPatterns = [
-            /week[_\s]+(\d+)/i,
-            /wk[_\s]+(\d+)/i,
-            /week[_\s]*#[_\s]*(\d+)/i,
-            /wk[_\s]*#[_\s]*(\d+)/i,
-            /w(?:ee)?k\s*[#-]?\s*(\d+)/i,
-            /session\s*[#-]?\s*(\d+)/i,
-            /meeting\s*[#-]?\s*(\d+)/i,
-            /(\d+)(?:st|nd|rd|th)?\s*(?:week|session|meeting)/i,
-            /wk(\d+)/i,
-            /w(\d+)/i
-        ];
-        
-        for (const pattern of weekPatterns) {
-            const match = topic.match(pattern);
-            if (match) {
-                return match[1];
+        const complete = state.isDone('tracked');
+        const result = {
+            success: complete,
+            partial: !complete,
+            uuid: recordingKey,
+            student: metadata.student,
+            coach: metadata.coach,
+            week: metadata.weekNumber,
+            filesProcessed: filedFiles.length,
+            filesExpected: wantedFiles.length,
+            files: processedFiles,
+            failedFiles,
+            stages: state.completedStages(),
+            processingStatus,
+            tempFolder: tempFolderPath,
+            confidence: metadata.confidence,
+            sources: metadata.sources,
+            flaggedForReview: identity.needsReview,
+            integrity: integritySummary
+        };
+        
+        // A recording with a missing, truncated or corrupted file is never reported as processed;
+        // the error carries the partial result, and a retry picks up from the failed files
+        if (!complete) {
+            const integrityFailures = integrityResults.filter(integrity => !integrity.verified);
+            if (integrityFailures.length > 0) {
+                logger.error(`❌ Integrity check failed for ${integrityFailures.length} file(s) of ${recording.topic}`, { integrity: integrityFailures });
             }
+            logger.error(`❌ ${recording.topic} was only partly processed: ${processingStatus}`, { failedFiles });
+            progress.stage = 'failed';
+            reportProgress();
+            throw new IncompleteRecordingError(`Recording only partly processed: ${processingStatus}`, result);
         }
         
-        return null;
-    }
-
-    hasGamePlanIndicator(topic) {
-        const gamePatterns = [
-            /\bgame[_\s]*plan\b/i,
-            /\bgameplan\b/i,
-            /\bstrategy[_\s]*session\b/i,
-            /\bplanning[_\s]*meeting\b/i
-        ];
+        logger.info(`✅ Successfully processed recording for ${metadata.student}`);
+        progress.stage = 'completed';
+        reportProgress();
         
-        return gamePatterns.some(pattern => pattern.test(topic));
-    }
-
-    isCoachEmail(email) {
-        if (!email || typeof email !== 'string') return false;
-        const emailLower = email.toLowerCase();
-        return emailLower.includes('@ivymentors.co') || emailLower.includes('@stanford.edu');
+        return result;
     }
 
-    capitalizeWord(word) {
-        return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    // Why the webhook payload can't be used as delivered, or null if it can
+    zoomRefreshReason(recording, downloadToken, options = {}) {
+        if (!(recording.recording_files || []).length) {
+            return 'no_recording_files';
+        }
+        if (downloadToken && options.eventTs && Date.now() - Number(options.eventTs) > DOWNLOAD_TOKEN_TTL_MS) {
+            return 'download_token_expired';
+        }
+        return null;
     }
 
-    isSirajRecording(topic) {
-        return topic.toLowerCase().includes('siraj') && !topic.toLowerCase().includes('sameeha_siraj');
-    }
-    
-    // Enhanced timeline parsing
-    parseTimelineForParticipants(timelineData) {
-        const result = { 
-            coach: null, 
-            student: null,
-            participants: [],
-            confidence: {
-                coach: 0,
-                student: 0
-            }
+    // Replace the file list, download URLs and passcode with what the Zoom API has now.
+    // Returns the refreshed recording and the token to download it with.
+    async refreshRecordingFromZoom(recording, reason) {
+        logger.info(`🔄 Fetching recording details from the Zoom API (${reason})`);
+        
+        const details = await this.zoomApi.getMeetingRecordings(recording.uuid || recording.id);
+        const refreshed = {
+            ...recording,
+            id: recording.id || details.id,
+            topic: recording.topic || details.topic,
+            start_time: recording.start_time || details.start_time,
+            duration: recording.duration ?? details.duration,
+            host_email: recording.host_email || details.host_email,
+            password: details.password || recording.password,
+            recording_play_passcode: details.recording_play_passcode || recording.recording_play_passcode,
+            recording_files: details.recording_files || []
         };
-        const usersFound = new Map();
         
-        try {
-            // The timeline structure is {"timeline": [{"ts": "...", "users": [...]}, ...]}
-            if (timelineData && timelineData.timeline && Array.isArray(timelineData.timeline)) {
-                // Collect all unique users from timeline events
-                for (const event of timelineData.timeline) {
-                    if (event.users && Array.isArray(event.users)) {
-                        for (const user of event.users) {
-                            if (user && user.username) {
-                                const username = user.username;
-                                const email = user.email_address || '';
-                                const userId = user.zoom_userid || user.user_id || email || username;
-                                
-                                // Skip if username is just a number or 'Ivylevel'
-                                if (username.match(/^\d+$/) || username.toLowerCase() === 'ivylevel') {
-                                    continue;
-                                }
-                                
-                                usersFound.set(userId, {
-                                    username: username,
-                                    email: email,
-                                    isCoach: this.isLikelyCoach(username, email)
-                                });
-                            }
-                        }
-                    }
-                }
-                
-                // Categorize users
-                const coaches = [];
-                const students = [];
-                
-                for (const [userId, userInfo] of usersFound) {
-                    result.participants.push(userInfo);
-                    
-                    if (userInfo.isCoach) {
-                        coaches.push(userInfo.username);
-                    } else {
-                        students.push(userInfo.username);
-                    }
-                }
-                
-                // Select primary coach and student
-                if (coaches.length > 0) {
-                    result.coach = coaches[0];
-                    result.confidence.coach = 0.8;
-                }
-                if (students.length > 0) {
-                    result.student = students[0];
-                    result.confidence.student = 0.8;
-                }
-                
-                // If no coaches found but multiple users exist, use heuristic
-                if (!result.coach && usersFound.size >= 2) {
-                    const usersArray = Array.from(usersFound.values());
-                    // Find user with coach email
-                    const coachUser = usersArray.find(u => u.email && this.isCoachEmail(u.email));
-                    if (coachUser) {
-                        result.coach = coachUser.username;
-                        result.confidence.coach = 0.9;
-                        result.student = usersArray.find(u => u.username !== result.coach)?.username;
-                        result.confidence.student = 0.7;
-                    }
-                }
+        logger.info(`✓ Zoom API returned ${refreshed.recording_files.length} recording files`);
+        return {
+            recording: refreshed,
+            downloadToken: details.download_access_token || await this.getZoomToken()
+        };
+    }
+
+    // Stage "downloaded": everything Zoom has finished goes into the temp folder, through the
+    // shared download scheduler. Files downloaded by an earlier attempt are left alone.
+    // Returns two promises: metadataReady once the files extraction reads are settled,
+    // and done once every download is.
+    downloadRecordingFiles(recording, downloadToken, state, reportProgress, liveProgress) {
+        const recordingFiles = recording.recording_files || [];
+        const tempFolderId = state.data.tempFolderId;
+        const password = recording.password || recording.recording_play_passcode;  // Try both password fields
+        
+        logger.info(`Found ${recordingFiles.length} recording files to process`);
+        
+        const pending = [];
+        for (const [index, file] of recordingFiles.entries()) {
+            const key = RecordingState.fileKey(file, index);
+            // Files that would get the same archive name (two MP4s of one layout) are numbered
+            const nameSuffix = this.fileTypes.fileNameSuffix(file);
+            const fileState = state.data.files[key] || state.file(key, {
+                fileType: file.file_type,
+                recordingType: file.recording_type || null,
+                fileExtension: file.file_extension || null,
+                fileSize: file.file_size || null,
+                variant: state.files().filter(other => this.fileTypes.fileNameSuffix(other) === nameSuffix).length
+            });
+            if (file.status !== 'completed') {
+                logger.info(`Skipping ${file.file_type} - status: ${file.status}`);
+                state.updateFile(key, { download: 'skipped', upload: 'skipped' });
+            } else if (fileState.download === 'completed') {
+                logger.info(`⏭️  ${file.file_type} already downloaded`);
+            } else {
+                state.updateFile(key, { download: 'queued', error: null });
+                pending.push({ file, key });
             }
-        } catch (error) {
-            console.error('Error in parseTimelineForParticipants:', error.message);
         }
+        reportProgress();
         
-        return result;
-    }
-    
-// Enhanced timeline parsing with company name filtering
-    parseTimelineForParticipantsEnhanced(timelineData) {
-        const result = { 
-            coach: null, 
-            student: null,
-            participants: [],
-            confidence: {
-                coach: 0,
-                student: 0
-            },
-            isIvylevel: false
-        };
-        const usersFound = new Map();
-        
-        try {
-            if (timelineData && timelineData.timeline && Array.isArray(timelineData.timeline)) {
-                let hasOnlyContactEmail = true;
-                let hasOtherCoachEmail = false;
-                
-                // Collect all unique users from timeline events
-                for (const event of timelineData.timeline) {
-                    if (event.users && Array.isArray(event.users)) {
-                        for (const user of event.users) {
-                            if (user && user.username) {
-                                const username = user.username;
-                                const email = user.email_address || '';
-                                const userId = user.zoom_userid || user.user_id || email || username;
-                                
-                                // Skip numeric usernames, 'Ivylevel', or company names
-                                if (username.match(/^\d+$/) || 
-                                    username.toLowerCase() === 'ivylevel' ||
-                                    this.isCompanyName(username)) {
-                                    continue;
-                                }
-                                
-                                // Check for contact@ivymentors.co scenario
-                                if (email && email.includes('@ivymentors.co')) {
-                                    if (email !== 'contact@ivymentors.co') {
-                                        hasOtherCoachEmail = true;
-                                    }
-                                } else if (email) {
-                                    hasOnlyContactEmail = false;
-                                }
-                                
-                                usersFound.set(userId, {
-                                    username: username,
-                                    email: email,
-                                    isCoach: this.isLikelyCoach(username, email)
-                                });
-                            }
-                        }
-                    }
-                }
-                
-                // Check if only contact@ivymentors.co is present (Ivylevel scenario)
-                if (hasOnlyContactEmail && !hasOtherCoachEmail) {
-                    result.isIvylevel = true;
-                }
-                
-                // Categorize users
-                const coaches = [];
-                const students = [];
-                
-                for (const [userId, userInfo] of usersFound) {
-                    result.participants.push(userInfo);
-                    
-                    if (userInfo.isCoach) {
-                        coaches.push(userInfo.username);
-                    } else {
-                        students.push(userInfo.username);
-                    }
-                }
-                
-                // Select primary coach and student
-                if (result.isIvylevel) {
-                    result.coach = 'Ivylevel';
-                    result.confidence.coach = 0.9;
-                } else if (coaches.length > 0) {
-                    result.coach = coaches[0];
-                    result.confidence.coach = 0.9;
-                }
+        const downloadFile = async ({ file, key }) => {
+            state.updateFile(key, { download: 'downloading' });
+            reportProgress();
+            
+            // Resumable uploads report confirmed bytes as each chunk lands
+            const onUploadProgress = ({ bytesUploaded, resumedFrom }) => {
+                liveProgress.set(key, { bytesUploaded, resumedFrom: resumedFrom || null });
+                reportProgress();
+            };
+            
+            logger.info(`Processing file: ${file.file_type}, size: ${file.file_size}, download_url: ${file.download_url ? 'present' : 'missing'}`);
+            
+            let fileInfo = null;
+            try {
+                fileInfo = await this.downloadAndStoreFile(
+                    file,
+                    tempFolderId,
+                    downloadToken,  // Use the download token from webhook
+                    file.file_type,
+                    password,
+                    { onProgress: onUploadProgress, variant: state.data.files[key].variant }
+                );
+            } catch (error) {
+                logger.error(`Error downloading ${file.file_type}`, { error: error.message });
+                let failure = error;
                 
-                if (students.length > 0) {
-                    // Filter out company names from students
-                    const validStudents = students.filter(s => !this.isCompanyName(s));
-                    if (validStudents.length > 0) {
-                        result.student = validStudents[0];
-                        result.confidence.student = 0.9;
+                // If download token fails, try with OAuth token
+                if (downloadToken && error.message && error.message.includes('401')) {
+                    logger.info(`Retrying ${file.file_type} with OAuth token...`);
+                    try {
+                        const oauthToken = await this.getZoomToken();
+                        fileInfo = await this.downloadAndStoreFile(
+                            file,
+                            tempFolderId,
+                            oauthToken,  // Try with OAuth token
+                            file.file_type,
+                            password,
+                            { onProgress: onUploadProgress, variant: state.data.files[key].variant }
+                        );
+                        failure = null;
+                    } catch (retryError) {
+                        logger.error(`OAuth retry failed for ${file.file_type}`, { error: retryError.message });
+                        failure = retryError;
                     }
                 }
                 
-                // If no coaches found but multiple users exist, use heuristic
-                if (!result.coach && usersFound.size >= 2) {
-                    const usersArray = Array.from(usersFound.values());
-                    const coachUser = usersArray.find(u => u.email && this.isCoachEmail(u.email));
-                    if (coachUser) {
-                        result.coach = coachUser.username;
-                        result.confidence.coach = 0.9;
-                        const studentUser = usersArray.find(u => u.username !== result.coach && !this.isCompanyName(u.username));
-                        if (studentUser) {
-                            result.student = studentUser.username;
-                            result.confidence.student = 0.7;
-                        }
-                    }
+                if (failure) {
+                    state.updateFile(key, {
+                        download: 'failed',
+                        error: failure.message,
+                        integrity: failure instanceof IntegrityError
+                            ? { stage: 'download', verified: false, problems: failure.problems }
+                            : null
+                    });
+                    reportProgress();
+                    return;
                 }
             }
-        } catch (error) {
-            console.error('Error in parseTimelineForParticipantsEnhanced:', error.message);
-        }
-        
-        return result;
-    }
-
-    isLikelyCoach(username, email) {
-        if (email && this.isCoachEmail(email)) {
-            return true;
-        }
-        
-        if (username) {
-            const firstName = username.toLowerCase().split(/[.\s_-]/)[0];
-            if (this.knownCoachNames.has(firstName)) {
-                return true;
+            
+            if (fileInfo) {
+                state.updateFile(key, {
+                    download: 'completed',
+                    error: null,
+                    tempFile: {
+                        type: file.file_type,
+                        recordingType: file.recording_type || null,
+                        fileId: fileInfo.id,
+                        fileName: fileInfo.name,
+                        webViewLink: fileInfo.webViewLink,
+                        integrity: fileInfo.integrity || null
+                    },
+                    integrity: fileInfo.integrity ? { stage: 'download', ...fileInfo.integrity } : null
+                });
+            } else {
+                state.updateFile(key, { download: 'skipped', upload: 'skipped' });
             }
-        }
+            reportProgress();
+        };
         
-        return false;
-    }
-
-    // New enhanced methods for transcript analysis
-    async analyzeTranscript(transcriptFileId) {
-        try {
-            console.log('  📝 Analyzing transcript for speaker identification...');
-            
-            const response = await this.drive.files.get({
-                fileId: transcriptFileId,
-                alt: 'media'
-            });
-            
-            const vttContent = response.data.toString();
-            
-            // Parse VTT format
-            const speakers = new Map();
-            const lines = vttContent.split('\n');
-            let currentSpeaker = null;
-            let currentText = '';
-            
-            // Patterns for name extraction
-            const nameExtractionPatterns = [
-                /(?:I'm|I am|This is|My name is)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i,
-                /(?:Coach|Professor|Dr\.?)\s+([A-Z][a-z]+)/i,
-                /Hi\s+([A-Z][a-z]+),?\s+(?:I'm|this is)/i,
-                /([A-Z][a-z]+)\s+speaking/i,
-                /call me\s+([A-Z][a-z]+)/i
-            ];
-            
-            // Role identification patterns
-            const coachPatterns = [
-                /(?:your coach|I'll be coaching|as your coach|I'm the coach)/i,
-                /(?:let me coach|coaching session|coach for)/i,
-                /(?:I'll guide you|I'll help you with|let's work on)/i,
-                /(?:assignment|homework|practice|review|feedback)/i
-            ];
-            
-            const studentPatterns = [
-                /(?:my coach|you're my coach|thanks coach)/i,
-                /(?:I need help with|I'm struggling with|can you help)/i,
-                /(?:I'm a student|I'm taking|I'm enrolled)/i,
-                /(?:question|help|confused|understand|struggling)/i
-            ];
+        // downloadFile records its own failures, so these promises only reject on a bug
+        const downloads = this.downloadScheduler.scheduleRecording(pending.map(item => item.file), (file, index) => downloadFile(pending[index]));
+        const metadataReady = Promise.all(downloads.filter((download, index) => isMetadataFile(pending[index].file.file_type)));
+        
+        const done = Promise.all(downloads).then(() => {
+            const downloaded = state.files().filter(file => file.download === 'completed').length;
+            logger.info(`✓ Downloaded ${downloaded} of ${recordingFiles.length} files to temp folder`);
             
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
-                
-                // Check if this is a speaker line
-                if (line.includes(':') && !line.includes('-->')) {
-                    const colonIndex = line.indexOf(':');
-                    const possibleSpeaker = line.substring(0, colonIndex).trim();
-                    
-                    // Check if this looks like a speaker label
-                    if (possibleSpeaker.match(/^(Speaker\s*\d+|[A-Za-z\s]+)$/)) {
-                        currentSpeaker = possibleSpeaker;
-                        currentText = line.substring(colonIndex + 1).trim();
-                        
-                        if (!speakers.has(currentSpeaker)) {
-                            speakers.set(currentSpeaker, {
-                                label: currentSpeaker,
-                                possibleNames: new Set(),
-                                messageCount: 0,
-                                identifiedRole: null,
-                                textSamples: []
-                            });
-                        }
-                        
-                        const speakerData = speakers.get(currentSpeaker);
-                        speakerData.messageCount++;
-                        speakerData.textSamples.push(currentText);
-                        
-                        // Try to extract names
-                        for (const pattern of nameExtractionPatterns) {
-                            const nameMatch = currentText.match(pattern);
-                            if (nameMatch) {
-                                speakerData.possibleNames.add(nameMatch[1]);
-                            }
-                        }
-                        
-                        // Identify role
-                        for (const pattern of coachPatterns) {
-                            if (currentText.match(pattern)) {
-                                speakerData.identifiedRole = 'coach';
-                                break;
-                            }
-                        }
-                        
-                        for (const pattern of studentPatterns) {
-                            if (currentText.match(pattern)) {
-                                speakerData.identifiedRole = 'student';
-                                break;
-                            }
-                        }
-                    }
-                }
+            if (!state.files().some(file => file.download === 'failed')) {
+                state.completeStage('downloaded');
             }
             
-            console.log(`  ✓ Identified ${speakers.size} speakers in transcript`);
-            
-            return {
-                speakers: Array.from(speakers.values()),
-                totalDuration: this.extractDurationFromVTT(vttContent),
-                hasMultipleSpeakers: speakers.size > 1
-            };
-        } catch (error) {
-            console.error('  Error analyzing transcript:', error.message);
-            return null;
-        }
-    }
-    // Enhanced transcript analysis with company name filtering
-async analyzeTranscriptEnhanced(transcriptFileId) {
-    try {
-        console.log('  📝 Enhanced transcript analysis...');
-        
-        const response = await this.drive.files.get({
-            fileId: transcriptFileId,
-            alt: 'media'
+            // If no files were downloaded, still continue with the process to log the attempt
+            if (downloaded === 0) {
+                logger.warn('⚠️ No files were successfully downloaded, but continuing to log the recording attempt');
+            }
         });
         
-        const vttContent = response.data.toString();
-        
-        // Parse VTT format
-        const speakers = new Map();
-        const lines = vttContent.split('\n');
-        
-        // Enhanced patterns
-        const nameExtractionPatterns = [
-            /(?:I'm|I am|This is|My name is)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i,
-            /(?:Coach|Professor|Dr\.?)\s+([A-Z][a-z]+)/i,
-            /Hi\s+([A-Z][a-z]+),?\s+(?:I'm|this is)/i
-        ];
-        
-        for (const line of lines) {
-            if (line.includes(':') && !line.includes('-->')) {
-                const colonIndex = line.indexOf(':');
-                let speaker = line.substring(0, colonIndex).trim();
-                const text = line.substring(colonIndex + 1).trim();
-                
-                // Convert "Ivy Mentors" to "Ivylevel"
-                if (speaker.toLowerCase() === 'ivy mentors') {
-                    speaker = 'Ivylevel';
-                    console.log('   ✓ Converted "Ivy Mentors" to "Ivylevel"');
-                }
-                
-                if (!speakers.has(speaker)) {
-                    speakers.set(speaker, {
-                        messageCount: 0,
-                        possibleNames: new Set()
-                    });
-                }
-                    
-                const speakerData = speakers.get(speaker);
-                speakerData.messageCount++;
-                
-                // Try to extract names
-                for (const pattern of nameExtractionPatterns) {
-                    const match = text.match(pattern);
-                    if (match && !this.isCompanyName(match[1])) {
-                        speakerData.possibleNames.add(match[1]);
-                    }
-                }
-            }
+        return { metadataReady, done };
+    }
+
+    // Stage "extracted": who and which week. Redone on a retry only while nothing has been
+    // filed, so files filed by an earlier attempt keep matching names.
+    async extractRecordingIdentity(recording, state) {
+        const previous = state.data.identity;
+        const anythingFiled = state.files().some(file => file.upload === 'completed' || file.filed);
+        if (previous && (anythingFiled || previous.fromAllMetadata)) {
+            logger.info(`⏭️  Using identification from earlier attempt: Coach=${previous.metadata.coach}, Student=${previous.metadata.student}`);
+            return previous;
         }
         
-        console.log(`  ✓ Identified ${speakers.size} speakers in transcript`);
+        const { metadata, hasGamePlan, isSiraj, studentEmail, studentInfo } =
+            await this.identifyRecording(recording, state.tempFiles());
         
-        // Detect Ivylevel presence
-        const hasIvylevel = speakers.has('Ivylevel');
+        logger.info(`✓ Identified: Coach=${metadata.coach}, Student=${metadata.student}, Week=${metadata.weekNumber}, GamePlan=${hasGamePlan}`, {
+            confidence: metadata.confidence,
+            sources: metadata.sources
+        });
         
-        return {
-            speakers: Array.from(speakers.values()),
-            totalDuration: this.extractDurationFromVTT(vttContent),
-            hasMultipleSpeakers: speakers.size > 1,
-            hasIvylevel: hasIvylevel
+        extractionConfidence.observe({ field: 'coach' }, metadata.confidence.coach);
+        extractionConfidence.observe({ field: 'student' }, metadata.confidence.student);
+        extractionConfidence.observe({ field: 'week' }, metadata.confidence.week);
+        
+        // Flag for manual review if confidence is low (once; a retry must not add a second row)
+        const needsReview = !isSiraj && (metadata.confidence.coach < 0.5 || metadata.confidence.student < 0.5);
+        const reviewFlagged = !!(previous && previous.reviewFlagged);
+        if (needsReview && !reviewFlagged) {
+            await this.flagForManualReview(recording, metadata, state.data.tempFolderPath);
+        } else if (!needsReview && reviewFlagged) {
+            await this.resolveManualReview(recording.id || recording.uuid, 'Resolved on retry');
+        }
+        
+        const identity = {
+            metadata: {
+                coach: metadata.coach,
+                student: metadata.student,
+                weekNumber: metadata.weekNumber,
+                confidence: metadata.confidence,
+                sources: metadata.sources,
+                participantCount: metadata.participants.length,
+                studentMatch: metadata.studentMatch,
+                trace: metadata.trace
+            },
+            hasGamePlan,
+            isSiraj,
+            studentEmail,
+            program: studentInfo.program,
+            needsReview,
+            reviewFlagged: needsReview || reviewFlagged,
+            fromAllMetadata: !state.files().some(file => isMetadataFile(file.fileType) && file.download === 'failed')
         };
-    } catch (error) {
-        console.error('  Error in enhanced transcript analysis:', error.message);
-        return null;
-    }
-}
-    extractDurationFromVTT(vttContent) {
-        // Extract the last timestamp to get duration
-        const timestampPattern = /(\d{2}:\d{2}:\d{2}\.\d{3})\s+-->/g;
-        let lastTimestamp = '00:00:00.000';
-        let match;
-        
-        while ((match = timestampPattern.exec(vttContent)) !== null) {
-            lastTimestamp = match[1];
-        }
-        
-        return lastTimestamp;
+        state.set({ identity });
+        state.completeStage('extracted');
+        return identity;
     }
 
-    // New method for chat analysis
-    async analyzeChatFile(chatFileId) {
-        try {
-            console.log('  💬 Analyzing chat file for participant information...');
-            
-            const response = await this.drive.files.get({
-                fileId: chatFileId,
-                alt: 'media'
+    // Coach / student / week from the topic, timeline, transcript and mappings
+    async identifyRecording(recording, tempFiles) {
+        const metadata = await this.extractMetadataFromAllSources(recording, tempFiles);
+        const { hasGamePlan, isSiraj } = metadata;
+        
+        if (isSiraj) logger.info("✓ Detected as Siraj (MISC) recording");
+        if (metadata.isIvylevel) logger.info(`✓ Detected as Ivylevel recording`);
+        
+        // The mappings took part in the decision (extractMetadataFromAllSources); the row
+        // is used when the student the evidence settled on is the one it names
+        const { best, runnerUp } = metadata.studentMatch;
+        const useMatch = !!best && !isSiraj && metadata.student === best.name;
+        if (useMatch) {
+            logger.info(`✓ Matched student ${best.name} in mappings`, {
+                confidence: metadata.confidence.student,
+                sources: best.sources,
+                runnerUp: runnerUp ? `${runnerUp.name} (${runnerUp.score})` : null
             });
-            
-            const chatContent = response.data.toString();
-            
-            // Parse chat format
-            const chatPattern = /^(\d{2}:\d{2}:\d{2})\s+From\s+(.+?)\s+to\s+(.+?):\s*(.*)$/gm;
-            const participants = new Map();
-            const messages = [];
-            
-            let match;
-            while ((match = chatPattern.exec(chatContent)) !== null) {
-                const [, timestamp, sender, recipient, message] = match;
-                
-                if (!participants.has(sender)) {
-                    participants.set(sender, {
-                        name: sender,
-                        messageCount: 0,
-                        firstMessage: timestamp,
-                        lastMessage: timestamp,
-                        isLikelyCoach: false,
-                        isLikelyStudent: false
-                    });
-                }
-                
-                const participant = participants.get(sender);
-                participant.messageCount++;
-                participant.lastMessage = timestamp;
-                
-                messages.push({ timestamp, sender, recipient, message });
-                
-                // Check for coach indicators in chat
-                if (message.match(/(?:assignment|homework|practice|review|feedback)/i)) {
-                    participant.isLikelyCoach = true;
-                }
-                
-                // Check for student indicators
-                if (message.match(/(?:question|help|confused|understand|struggling)/i)) {
-                    participant.isLikelyStudent = true;
-                }
-            }
-            
-            console.log(`  ✓ Found ${participants.size} chat participants`);
-            
-            return {
-                participants: Array.from(participants.values()),
-                totalMessages: messages.length,
-                messages: messages
-            };
-        } catch (error) {
-            console.error('  Error analyzing chat file:', error.message);
-            return null;
         }
-    }
-
-    // Enhanced metadata extraction from all sources
-    async extractMetadataFromAllSources(recording, tempFiles, timelineData = null) {
-        console.log('\n🔍 Starting comprehensive metadata extraction...');
-        
-        const metadata = {
-            coach: null,
-            student: null,
-            weekNumber: null,
-            participants: [],
-            confidence: {
-                coach: 0,
-                student: 0,
-                week: 0
-            },
-            sources: {
-                coach: null,
-                student: null,
-                week: null
-            }
-        };
-        
-        // 1. Try existing topic-based extraction first
-        metadata.coach = this.extractCoachFromRecordingInfo(
-            recording.topic,
-            recording.host_email,
-            recording.participants
-        );
         
-        if (metadata.coach) {
-            metadata.confidence.coach = 0.7;
-            metadata.sources.coach = 'topic/host';
-        }
+        // Set defaults if still missing
+        if (!metadata.coach && !isSiraj) metadata.coach = 'Unknown Coach';
+        if (!metadata.student && !isSiraj) metadata.student = 'Unknown Student';
         
-        metadata.student = this.extractStudentFromRecordingInfo(
-            recording.topic,
-            metadata.coach
-        );
+        // Folders and program follow the student the recording is named after
+        const studentEmail = useMatch ? best.email : 'unknown@email.com';
+        const studentInfo = this.studentMappings.get(studentEmail) || {
+            name: metadata.student,
+            coach: metadata.coach,
+            program: 'Unknown Program',
+            startDate: new Date().toISOString().split('T')[0]
+        };
         
-        if (metadata.student) {
-            metadata.confidence.student = 0.7;
-            metadata.sources.student = 'topic';
+        if (!metadata.weekNumber && !isSiraj) {
+            metadata.weekNumber = this.calculateWeekNumber(studentEmail, recording.start_time);
+            metadata.confidence.week = 0.6;
+            metadata.sources.week = 'calculated_fallback';
         }
         
-        metadata.weekNumber = this.extractWeekNumber(recording.topic);
-        if (metadata.weekNumber) {
-            metadata.confidence.week = 0.8;
-            metadata.sources.week = 'topic';
-        }
+        return { metadata, hasGamePlan, isSiraj, studentEmail, studentInfo };
+    }
+
+    // Stage "filed": each downloaded file into By Student / By Program / By Coach under its
+    // standardized name. Copies that already exist from an earlier attempt are reused.
+    async fileRecordingFiles(recording, state, identity, reportProgress) {
+        const { metadata } = identity;
         
-        // 2. Use timeline data if available
-        if (timelineData && timelineData.participants) {
-            metadata.participants = timelineData.participants;
-            
-            if (timelineData.coach && (!metadata.coach || metadata.confidence.coach < timelineData.confidence.coach)) {
-                metadata.coach = timelineData.coach;
-                metadata.confidence.coach = timelineData.confidence.coach;
-                metadata.sources.coach = 'timeline';
-            }
-            
-            if (timelineData.student && (!metadata.student || metadata.confidence.student < timelineData.confidence.student)) {
-                metadata.student = timelineData.student;
-                metadata.confidence.student = timelineData.confidence.student;
-                metadata.sources.student = 'timeline';
-            }
-        }
+        const folders = await this.createFolderStructure(
+            identity.studentEmail,
+            metadata.coach,
+            identity.program,
+            metadata.weekNumber || '1'
+        );
         
-        // 3. Analyze transcript if available and still missing info
-        const transcriptFile = tempFiles.find(f => f.type === 'TRANSCRIPT' || f.type === 'VTT');
-        if (transcriptFile && (!metadata.coach || !metadata.student || 
-            metadata.confidence.coach < 0.8 || metadata.confidence.student < 0.8)) {
+        for (const [key, file] of Object.entries(state.data.files)) {
+            if (file.download !== 'completed' || file.upload === 'completed') continue;
             
-            const transcriptData = await this.analyzeTranscript(transcriptFile.fileId);
-            if (transcriptData) {
-                // Try to match speakers with identified roles
-                for (const speaker of transcriptData.speakers) {
-                    if (speaker.identifiedRole === 'coach' && speaker.possibleNames.size > 0) {
-                        for (const name of speaker.possibleNames) {
-                            const nameLower = name.toLowerCase();
-                            if (this.knownCoachNames.has(nameLower)) {
-                                if (!metadata.coach || metadata.confidence.coach < 0.85) {
-                                    metadata.coach = this.capitalizeWord(name);
-                                    metadata.confidence.coach = 0.85;
-                                    metadata.sources.coach = 'transcript';
-                                }
-                                break;
-                            }
-                        }
-                    } else if (speaker.identifiedRole === 'student' && speaker.possibleNames.size > 0) {
-                        const studentName = Array.from(speaker.possibleNames)[0];
-                        if (!metadata.student || metadata.confidence.student < 0.85) {
-                            metadata.student = studentName;
-                            metadata.confidence.student = 0.85;
-                            metadata.sources.student = 'transcript';
-                        }
-                    }
-                }
-            }
-        }
-        
-        // 4. Analyze chat file as supplementary source
-        const chatFile = tempFiles.find(f => f.type === 'CHAT');
-        if (chatFile && (!metadata.coach || !metadata.student || 
-            metadata.confidence.coach < 0.7 || metadata.confidence.student < 0.7)) {
+            const tempFile = file.tempFile;
+            const standardizedName = this.generateStandardizedFileNameEnhanced(
+                file,
+                metadata.coach,
+                metadata.student,
+                metadata.weekNumber,
+                state.data.dateFolder,
+                recording.id || recording.uuid,
+                identity.hasGamePlan,
+                identity.isSiraj,
+                metadata.coach === 'Ivylevel' // isIvylevel parameter
+            );
             
-            const chatData = await this.analyzeChatFile(chatFile.fileId);
-            if (chatData) {
-                // Look for coach patterns in participant names
-                for (const participant of chatData.participants) {
-                    const nameLower = participant.name.toLowerCase();
-                    
-                    // Check against known coaches
-                    for (const coachName of this.knownCoachNames) {
-                        if (nameLower.includes(coachName)) {
-                            if (!metadata.coach || metadata.confidence.coach < 0.6) {
-                                metadata.coach = this.capitalizeWord(coachName);
-                                metadata.confidence.coach = 0.6;
-                                metadata.sources.coach = 'chat';
-                            }
-                            break;
-                        }
-                    }
-                    
-                    // Use message patterns to identify roles
-                    if (participant.isLikelyCoach && !metadata.coach) {
-                        // Extract first name from participant name
-                        const firstName = participant.name.split(' ')[0];
-                        if (this.knownCoachNames.has(firstName.toLowerCase())) {
-                            metadata.coach = firstName;
-                            metadata.confidence.coach = 0.5;
-                            metadata.sources.coach = 'chat+behavior';
-                        }
+            // File into all three locations, remembering each copy as soon as it exists
+            const views = { ...(file.filed && file.filed.views) };
+            try {
+                const { primaryCopy, copies } = await this.fileIntoViews(tempFile.fileId, folders, standardizedName, {
+                    filed: views,
+                    onFiled: (view, copy) => {
+                        views[view] = { id: copy.id, webViewLink: copy.webViewLink };
+                        state.updateFile(key, { filed: { name: standardizedName, views } });
                     }
-                }
+                });
+                
+                state.updateFile(key, {
+                    upload: 'completed',
+                    error: null,
+                    filed: { name: standardizedName, webViewLink: primaryCopy.webViewLink, copies, views },
+                    integrity: tempFile.integrity ? { stage: 'download', ...tempFile.integrity } : null
+                });
+                logger.info(`✓ Filed ${standardizedName} to all locations`);
+            } catch (error) {
+                logger.error(`Error copying ${tempFile.type}`, { error: error.message });
+                state.updateFile(key, {
+                    upload: 'failed',
+                    error: error.message,
+                    ...(error instanceof IntegrityError
+                        ? { integrity: { stage: 'copy', verified: false, problems: error.problems } }
+                        : {})
+                });
             }
+            reportProgress();
         }
         
-        // 5. Enhanced week number extraction
-        if (!metadata.weekNumber || metadata.confidence.week < 0.7) {
-            // Try to extract from all available text sources
-            const allText = [
-                recording.topic,
-                ...metadata.participants.map(p => p.username || ''),
-                recording.host_id || ''
-            ].join(' ');
-            
-            const enhancedWeekPatterns = [
-                /w(?:ee)?k\s*[#-]?\s*(\d+)/i,
-                /session\s*[#-]?\s*(\d+)/i,
-                /meeting\s*[#-]?\s*(\d+)/i,
-                /(\d+)(?:st|nd|rd|th)?\s*(?:week|session|meeting)/i,
-                /wk(\d+)/i,
-                /w(\d+)/i
-            ];
-            
-            for (const pattern of enhancedWeekPatterns) {
-                const match = allText.match(pattern);
-                if (match) {
-                    metadata.weekNumber = match[1];
-                    metadata.confidence.week = 0.75;
-                    metadata.sources.week = 'enhanced_patterns';
-                    break;
-                }
-            }
+        if (state.files().every(file => file.upload === 'completed' || file.upload === 'skipped')) {
+            state.completeStage('filed');
         }
+        return folders;
+    }
+
+    // Ledger record of where everything was filed. A late transcript attached between two
+    // attempts of the same run is kept.
+    recordFiling(recordingKey, recording, state, identity, folders, processedFiles, integrityResults) {
+        const { metadata } = identity;
+        const previous = this.ledger.get(recordingKey)?.filing;
+        const sameRun = previous && previous.runId === state.data.startedAt;
+        
+        const tempFiles = state.tempFiles();
+        const filedCopies = state.files()
+            .filter(file => file.upload === 'completed')
+            .map(file => ({ type: file.fileType, name: file.filed.name, copies: file.filed.copies }));
+        const keepOthers = (items, typeOf) => {
+            if (!sameRun) return [];
+            const types = new Set(tempFiles.map(tempFile => tempFile.type));
+            return (items || []).filter(item => !types.has(typeOf(item)));
+        };
         
-        // 6. Final fallback: calculate from date
-        if (!metadata.weekNumber) {
-            const studentEmail = this.identifyStudent(recording);
-            if (studentEmail) {
-                metadata.weekNumber = this.calculateWeekNumber(studentEmail, recording.start_time);
-                metadata.confidence.week = 0.6;
-                metadata.sources.week = 'calculated';
+        this.ledger.update(recordingKey, {
+            filing: {
+                runId: state.data.startedAt,
+                meetingId: recording.id || recording.uuid,
+                topic: recording.topic,
+                hostEmail: recording.host_email || '',
+                startTime: recording.start_time,
+                dateFolder: state.data.dateFolder,
+                tempFolderId: state.data.tempFolderId,
+                tempFolderPath: state.data.tempFolderPath,
+                folders,
+                studentEmail: identity.studentEmail,
+                program: identity.program,
+                naming: {
+                    coach: metadata.coach,
+                    student: metadata.student,
+                    weekNumber: metadata.weekNumber,
+                    hasGamePlan: identity.hasGamePlan,
+                    isSiraj: identity.isSiraj,
+                    isIvylevel: metadata.coach === 'Ivylevel'
+                },
+                tempFiles: [...tempFiles, ...keepOthers(previous?.tempFiles, tempFile => tempFile.type)],
+                processedFiles: { ...(sameRun ? previous.processedFiles : {}), ...processedFiles },
+                filedCopies: [...filedCopies, ...keepOthers(previous?.filedCopies, filed => filed.type)],
+                confidence: sameRun && previous.transcriptAttachedAt ? previous.confidence : metadata.confidence,
+                sources: sameRun && previous.transcriptAttachedAt ? previous.sources : metadata.sources,
+                trace: sameRun && previous.transcriptAttachedAt ? previous.trace : metadata.trace,
+                needsReview: identity.needsReview,
+                integrity: [...integrityResults, ...keepOthers(previous?.integrity, result => result.fileType)],
+                ...(sameRun && previous.transcriptAttachedAt ? { transcriptAttachedAt: previous.transcriptAttachedAt } : {})
             }
+        });
+    }
+
+    // Stage "tracked": the Sessions row is appended once; later attempts update it in place
+    async trackRecording(recording, state, identity, processedFiles, integritySummary, processingStatus) {
+        const { metadata } = identity;
+        const meetingId = recording.id || recording.uuid;
+        
+        if (state.data.sessionRowAppended) {
+            return this.updateSessionRow(meetingId, {
+                files: processedFiles,
+                integrity: integritySummary,
+                processingStatus
+            });
         }
         
-        // Log extraction results
-        console.log('\n📊 Metadata extraction results:');
-        console.log(`  Coach: ${metadata.coach || 'Unknown'} (${(metadata.confidence.coach * 100).toFixed(0)}% from ${metadata.sources.coach || 'none'})`);
-        console.log(`  Student: ${metadata.student || 'Unknown'} (${(metadata.confidence.student * 100).toFixed(0)}% from ${metadata.sources.student || 'none'})`);
-        console.log(`  Week: ${metadata.weekNumber || 'Unknown'} (${(metadata.confidence.week * 100).toFixed(0)}% from ${metadata.sources.week || 'none'})`);
-        console.log(`  Participants found: ${metadata.participants.length}`);
-        
-        return metadata;
+        const appended = await this.updateTrackingSpreadsheetEnhanced({
+            meetingId,
+            topic: recording.topic,
+            student: metadata.student,
+            studentEmail: identity.studentEmail,
+            coach: metadata.coach,
+            program: identity.program,
+            week: metadata.weekNumber,
+            date: recording.start_time,
+            duration: recording.duration,
+            files: processedFiles,
+            host: recording.host_email || '',
+            tempFolderPath: state.data.tempFolderPath,
+            confidence: metadata.confidence,
+            sources: metadata.sources,
+            trace: metadata.trace,
+            participantCount: metadata.participantCount,
+            integrity: integritySummary,
+            processingStatus
+        });
+        if (appended) {
+            state.set({ sessionRowAppended: true });
+        }
+        // No sheet configured means there is nothing to track
+        return appended !== false;
     }
 
-    // New method to flag for manual review
-    async flagForManualReview(recording, metadata, tempFolderPath) {
-        console.log('\n⚠️ Flagging recording for manual review due to low confidence');
-        
-        try {
-            // Check if Manual_Review sheet exists, create if not
-            const sheets = await this.sheets.spreadsheets.get({
-                spreadsheetId: this.mappingsSheetId,
-                fields: 'sheets.properties.title'
-            });
-            
-            const manualReviewExists = sheets.data.sheets.some(
-                sheet => sheet.properties.title === 'Manual_Review'
-            );
-            
-            if (!manualReviewExists) {
-                await this.sheets.spreadsheets.batchUpdate({
-                    spreadsheetId: this.mappingsSheetId,
-                    resource: {
-                        requests: [{
-                            addSheet: {
-                                properties: {
-                                    title: 'Manual_Review',
-                                    gridProperties: {
-                                        rowCount: 1000,
-                                        columnCount: 10
-                                    }
-                                }
-                            }
-                        }]
-                    }
-                });
-                
-                // Add headers
-                const headers = [[
-                    'Meeting ID',
-                    'Topic',
-                    'Coach (Extracted)',
-                    'Student (Extracted)',
-                    'Coach Confidence',
-                    'Student Confidence',
-                    'Week Confidence',
-                    'Date Added',
-                    'Status',
-                    'Temp Folder Path'
-                ]];
-                
-                await this.sheets.spreadsheets.values.update({
-                    spreadsheetId: this.mappingsSheetId,
-                    range: 'Manual_Review!A1:J1',
-                    valueInputOption: 'USER_ENTERED',
-                    resource: { values: headers }
-                });
-            }
-            
-            // Add the recording to review queue
-            const values = [[
-                recording.id || recording.uuid,
-                recording.topic,
-                metadata.coach || 'Unknown',
-                metadata.student || 'Unknown',
-                metadata.confidence.coach.toFixed(2),
-                metadata.confidence.student.toFixed(2),
-                metadata.confidence.week.toFixed(2),
-                new Date().toISOString(),
-                'Needs Review',
-                tempFolderPath
-            ]];
-            
-            await this.sheets.spreadsheets.values.append({
-                spreadsheetId: this.mappingsSheetId,
-                range: 'Manual_Review!A:J',
-                valueInputOption: 'USER_ENTERED',
-                resource: { values }
-            });
-            
-            console.log('✓ Added to manual review queue');
-        } catch (error) {
-            console.error('Error flagging for manual review:', error.message);
+    // Route a Zoom event to the matching handler (used for replaying archived events)
+    async processEvent(event, payload, downloadToken = null, options = {}) {
+        if (event === 'recording.completed') {
+            return this.processWebhookPayload(payload, downloadToken, options);
+        }
+        if (event === 'recording.transcript_completed') {
+            return this.processTranscriptCompleted(payload, downloadToken);
+        }
+        if (LIFECYCLE_DEFAULT_ACTIONS[event]) {
+            return this.handleRecordingLifecycleEvent(event, payload);
         }
+        throw new Error(`Unsupported event type: ${event}`);
     }
 
-    async processWebhookPayload(payload, downloadToken = null) {
+    // Handle recording.transcript_completed: attach a transcript that arrived after filing
+    async processTranscriptCompleted(payload, downloadToken = null) {
         await this.initialize();
         
-        const recording = payload.object || payload;
-        console.log(`\n📹 Processing recording: ${recording.topic}`);
+        let recording = payload.object || payload;
+        const recordingKey = RecordingLedger.keyFor(recording);
         
-        // Step 1: Create temp folder for this recording with date organization
-        const recordingDate = new Date(recording.start_time);
-        const dateFolder = recordingDate.toISOString().split('T')[0]; // YYYY-MM-DD
-        const tempDateFolderId = await this.getOrCreateFolder(
-            this.folderCache.get('TEMP_ZOOM_RECORDINGS'),
-            dateFolder
-        );
-        
-        // Create unique temp folder name with timestamp
-        const timestamp = recordingDate.toISOString().replace(/[:.]/g, '-');
-        const tempFolderName = `${recording.topic}_${timestamp}`.replace(/[^a-zA-Z0-9_-]/g, '_');
-        const tempRecordingFolderId = await this.getOrCreateFolder(tempDateFolderId, tempFolderName);
-        const tempFolderPath = `TEMP_ZOOM_RECORDINGS/${dateFolder}/${tempFolderName}`;
+        // Every log line for this recording carries its uuid as correlationId
+        return logger.runWithContext({ correlationId: recordingKey }, async () => {
+            logger.info(`📝 Late transcript for recording: ${recording.topic}`);
         
-        console.log(`✓ Created temp folder: ${tempFolderPath}`);
+            const entry = recordingKey ? this.ledger.get(recordingKey) : null;
+            if (!entry || !entry.filing) {
+                // recording.completed hasn't been filed yet - throwing lets the job queue retry later
+                throw new Error(`Recording ${recordingKey} has not been filed yet; transcript will be retried`);
+            }
         
-        // Step 2: Download and store all files in temp folder first
-        const tempFiles = [];
-        const recordingFiles = recording.recording_files || [];
+            const filing = entry.filing;
+            if (filing.tempFiles.some(f => f.type === 'TRANSCRIPT' || f.type === 'VTT')) {
+                logger.info('⏭️  Transcript already attached, nothing to do');
+                return { success: true, skipped: true, reason: 'transcript_already_attached', uuid: recordingKey };
+            }
         
-        console.log(`Found ${recordingFiles.length} recording files to process`);
+            const findTranscript = files => (files || []).find(f =>
+                (f.file_type === 'TRANSCRIPT' || f.file_type === 'VTT') && f.status === 'completed'
+            );
+            let transcriptFile = findTranscript(recording.recording_files);
+            if (!transcriptFile) {
+                // e.g. a replayed event whose payload was trimmed: ask the Zoom API
+                ({ recording, downloadToken } = await this.refreshRecordingFromZoom(recording, 'no transcript file in payload'));
+                transcriptFile = findTranscript(recording.recording_files);
+            }
+            if (!transcriptFile) {
+                throw new Error(`No completed transcript file in transcript_completed payload for ${recordingKey}`);
+            }
         
-        for (const file of recordingFiles) {
-            if (file.status !== 'completed') {
-                console.log(`Skipping ${file.file_type} - status: ${file.status}`);
-                continue;
+            // Step 1: Download the VTT into the temp folder, recreating it if retention already removed it
+            let tempFolderId = filing.tempFolderId;
+            if (filing.tempRemoved) {
+                const tempDateFolderId = await this.getOrCreateFolder(
+                    this.folderCache.get('TEMP_ZOOM_RECORDINGS'),
+                    filing.dateFolder
+                );
+                tempFolderId = await this.getOrCreateFolder(tempDateFolderId, path.posix.basename(filing.tempFolderPath));
+                logger.info(`✓ Recreated temp folder: ${filing.tempFolderPath}`);
             }
             
-            console.log(`Processing file: ${file.file_type}, size: ${file.file_size}, download_url: ${file.download_url ? 'present' : 'missing'}`);
-            
+            const password = recording.password || recording.recording_play_passcode;
+            let fileInfo;
             try {
-                const fileInfo = await this.downloadAndStoreFile(
-                    file,
-                    tempRecordingFolderId,
-                    downloadToken,  // Use the download token from webhook
-                    file.file_type,
-                    recording.password || recording.recording_play_passcode  // Try both password fields
+                fileInfo = await this.downloadScheduler.run(() =>
+                    this.downloadAndStoreFile(transcriptFile, tempFolderId, downloadToken, 'TRANSCRIPT', password));
+            } catch (error) {
+                if (!(downloadToken && error.message && error.message.includes('401'))) throw error;
+                logger.info('Retrying TRANSCRIPT with OAuth token...');
+                const oauthToken = await this.getZoomToken();
+                fileInfo = await this.downloadScheduler.run(() =>
+                    this.downloadAndStoreFile(transcriptFile, tempFolderId, oauthToken, 'TRANSCRIPT', password));
+            }
+            if (!fileInfo) {
+                throw new Error(`Transcript download for ${recordingKey} returned nothing`);
+            }
+        
+            const transcriptTempFile = {
+                type: 'TRANSCRIPT',
+                fileId: fileInfo.id,
+                fileName: fileInfo.name,
+                webViewLink: fileInfo.webViewLink
+            };
+        
+            // Step 2: Re-run identification with the transcript added to the evidence the
+            // recording was filed with (names stay as filed; the Sessions row shows the new decision)
+            const { naming } = filing;
+            let confidence = { ...filing.confidence };
+            let sources = { ...filing.sources };
+            let trace = filing.trace;
+            let coach = naming.coach;
+            let student = naming.student;
+            let changed = false;
+        
+            if (!naming.isSiraj) {
+                const transcriptMetadata = await this.extractMetadataFromAllSources(
+                    { topic: filing.topic, host_email: filing.hostEmail, start_time: filing.startTime },
+                    [transcriptTempFile]
                 );
                 
-                if (fileInfo) {
-                    tempFiles.push({
-                        type: file.file_type,
-                        fileId: fileInfo.id,
-                        fileName: fileInfo.name,
-                        webViewLink: fileInfo.webViewLink
-                    });
+                let evidence = transcriptMetadata.evidence;
+                if (filing.trace) {
+                    evidence = EvidenceScorer.fromTrace(filing.trace).merge(evidence);
+                } else {
+                    // Filed before decisions were traced: what it was filed as counts as one finding
+                    for (const field of ['coach', 'student']) {
+                        evidence.add(field, naming[field], filing.confidence[field], filing.sources[field] || 'earlier', 'filed_as');
+                    }
                 }
-            } catch (error) {
-                console.error(`Error downloading ${file.file_type}:`, error.message);
+                const decision = evidence.apply({ confidence: { ...filing.confidence }, sources: { ...filing.sources } });
                 
-                // If download token fails, try with OAuth token
-                if (downloadToken && error.message && error.message.includes('401')) {
-                    console.log(`Retrying ${file.file_type} with OAuth token...`);
-                    try {
-                        const oauthToken = await this.getZoomToken();
-                        const fileInfo = await this.downloadAndStoreFile(
-                            file,
-                            tempRecordingFolderId,
-                            oauthToken,  // Try with OAuth token
-                            file.file_type,
-                            recording.password || recording.recording_play_passcode
-                        );
-                        
-                        if (fileInfo) {
-                            tempFiles.push({
-                                type: file.file_type,
-                                fileId: fileInfo.id,
-                                fileName: fileInfo.name,
-                                webViewLink: fileInfo.webViewLink
-                            });
-                        }
-                    } catch (retryError) {
-                        console.error(`OAuth retry failed for ${file.file_type}:`, retryError.message);
-                    }
+                changed = ['coach', 'student'].some(field =>
+                    (decision[field] || naming[field]) !== naming[field] || decision.confidence[field] !== filing.confidence[field]);
+                if (changed) {
+                    coach = decision.coach || coach;
+                    student = decision.student || student;
+                    confidence = { ...confidence, coach: decision.confidence.coach, student: decision.confidence.student };
+                    sources = { ...sources, coach: decision.sources.coach, student: decision.sources.student };
+                    trace = decision.trace;
                 }
             }
-        }
-        
-        console.log(`✓ Downloaded ${tempFiles.length} of ${recordingFiles.length} files to temp folder`);
         
-        // If no files were downloaded, still continue with the process to log the attempt
-        if (tempFiles.length === 0) {
-            console.warn('⚠️ No files were successfully downloaded, but continuing to log the recording attempt');
-        }
+            // Step 3: File the transcript next to the existing files under the same standardized name
+            const standardizedName = this.generateStandardizedFileNameEnhanced(
+                'TRANSCRIPT',
+                naming.coach,
+                naming.student,
+                naming.weekNumber,
+                filing.dateFolder,
+                filing.meetingId,
+                naming.hasGamePlan,
+                naming.isSiraj,
+                naming.isIvylevel
+            );
         
-        // Step 3: Apply smart logic to identify coach and student
-        let metadata = {
-            coach: null,
-            student: null,
-            weekNumber: null,
-            participants: [],
-            confidence: { coach: 0, student: 0, week: 0 },
-            sources: { coach: null, student: null, week: null }
-        };
+            // A quarantined recording stays out of the normal folders: its transcript joins it in
+            // quarantine, with its home folders noted so a restore brings it back with the rest
+            const quarantined = !!(filing.quarantine && filing.quarantine.length > 0);
+            const targetFolders = quarantined ? await this.getQuarantineFolders(filing) : filing.folders;
+            const filedCopy = await this.fileIntoViews(transcriptTempFile.fileId, targetFolders, standardizedName);
+            const { primaryCopy } = filedCopy;
+            let copies = filedCopy.copies;
+            let quarantine = filing.quarantine;
+            if (quarantined) {
+                const homeFolderOf = new Map(Object.entries(targetFolders).map(([layout, folderId]) => [folderId, filing.folders[layout]]));
+                quarantine = [...filing.quarantine, ...copies.map(copy => ({
+                    fileId: copy.fileId,
+                    fromFolderId: homeFolderOf.get(copy.folderId),
+                    quarantineFolderId: copy.folderId,
+                    ...(copy.shortcut ? { shortcut: true, name: standardizedName, targetFileId: primaryCopy.id } : {})
+                }))];
+                copies = copies.map(copy => ({ ...copy, folderId: homeFolderOf.get(copy.folderId) }));
+                logger.info(`✓ Filed ${standardizedName} to quarantine with the rest of the recording`);
+            } else {
+                logger.info(`✓ Filed ${standardizedName} to all locations`);
+            }
         
-        let hasGamePlan = false;
-        let isSiraj = false;
+            // Step 4: Update the Sessions row (and resolve Manual_Review when confidence is now good enough)
+            await this.updateSessionRow(filing.meetingId, {
+                transcript: primaryCopy.webViewLink,
+                ...(changed ? { coach, student, confidence, sources, trace } : {})
+            });
         
-        // Check if this is a Siraj recording
-        if (this.isSirajRecording(recording.topic)) {
-            isSiraj = true;
-            metadata.coach = "Siraj";
-            metadata.confidence.coach = 1.0;
-            metadata.sources.coach = 'siraj_pattern';
-            console.log("✓ Detected as Siraj (MISC) recording");
-        } else {
-           // Try parsing the timeline file first if it was downloaded
-        let timelineData = null;
-        let timelineParticipants = null;
-        if (tempFiles.length > 0) {
-            const timelineFile = tempFiles.find(f => f.type === 'TIMELINE');
-            if (timelineFile) {
-                console.log('Attempting to extract participant info from timeline file...');
-                try {
-                    // Download the timeline content from Drive to parse it
-                    const timelineContent = await this.drive.files.get({
-                        fileId: timelineFile.fileId,
-                        alt: 'media'
-                    });
-                    
-                    if (timelineContent.data) {
-                        const timelineJson = JSON.parse(timelineContent.data);
-                        timelineData = this.parseTimelineForParticipants(timelineJson);
-                        // Also run enhanced parsing
-                        timelineParticipants = this.parseTimelineForParticipantsEnhanced(timelineJson);
-                    }
-                } catch (error) {
-                    console.error('Error parsing timeline file:', error.message);
-                }
+            const stillNeedsReview = !naming.isSiraj && (confidence.coach < 0.5 || confidence.student < 0.5);
+            if (changed && filing.needsReview && !stillNeedsReview) {
+                await this.resolveManualReview(filing.meetingId, 'Resolved by late transcript');
             }
-        }
-            
-            // Extract metadata from all sources
-            metadata = await this.extractMetadataFromAllSources(recording, tempFiles, timelineData);
-            
-            hasGamePlan = this.hasGamePlanIndicator(recording.topic);
-
-             // ============= ADD PATCH 7b HERE ============= //
-    // Filter out company names
-    if (metadata.coach && this.isCompanyName(metadata.coach)) {
-        console.log(`  ⚠️  Filtered out company name as coach: ${metadata.coach}`);
-        metadata.coach = null;
-        metadata.confidence.coach = 0;
-    }
-
-    if (metadata.student && this.isCompanyName(metadata.student)) {
-        console.log(`  ⚠️  Filtered out company name as student: ${metadata.student}`);
-        metadata.student = null;
-        metadata.confidence.student = 0;
-    }
-
-    // Use enhanced timeline data if available
-    if (timelineParticipants) {
-        if (timelineParticipants.isIvylevel) {
-            metadata.coach = 'Ivylevel';
-            metadata.confidence.coach = 0.9;
-            metadata.sources.coach = 'timeline_ivylevel';
-            console.log(`✓ Detected as Ivylevel recording`);
-        } else {
-            if (timelineParticipants.coach && (!metadata.coach || metadata.confidence.coach < timelineParticipants.confidence.coach)) {
-                metadata.coach = timelineParticipants.coach;
-                metadata.confidence.coach = timelineParticipants.confidence.coach;
-                metadata.sources.coach = 'timeline_enhanced';
-            }
-            
-            if (timelineParticipants.student && (!metadata.student || metadata.confidence.student < timelineParticipants.confidence.student)) {
-                metadata.student = timelineParticipants.student;
-                metadata.confidence.student = timelineParticipants.confidence.student;
-                metadata.sources.student = 'timeline_enhanced';
-            }
-        }
-    }
-    // ============= END OF PATCH 7b ============= //
-}
         
-        // If we couldn't extract coach/student from any source, try mappings
-        if (!metadata.student && !isSiraj) {
-            const studentEmail = this.identifyStudent(recording);
-            if (studentEmail) {
-                const studentInfo = this.studentMappings.get(studentEmail);
-                if (studentInfo) {
-                    metadata.student = studentInfo.name;
-                    metadata.confidence.student = 0.9;
-                    metadata.sources.student = 'mappings';
-                    
-                    if (!metadata.coach) {
-                        metadata.coach = studentInfo.coach;
-                        metadata.confidence.coach = 0.9;
-                        metadata.sources.coach = 'mappings';
-                    }
-                    if (!metadata.weekNumber) {
-                        metadata.weekNumber = this.calculateWeekNumber(studentEmail, recording.start_time);
-                        metadata.confidence.week = 0.7;
-                        metadata.sources.week = 'calculated';
-                    }
+            this.ledger.update(recordingKey, {
+                filing: {
+                    ...filing,
+                    tempFiles: [...filing.tempFiles, transcriptTempFile],
+                    processedFiles: { ...filing.processedFiles, transcript: primaryCopy.webViewLink },
+                    filedCopies: [...(filing.filedCopies || []), {
+                        type: 'TRANSCRIPT',
+                        zoomFileId: transcriptFile.id || null,
+                        name: standardizedName,
+                        copies
+                    }],
+                    confidence,
+                    sources,
+                    trace,
+                    needsReview: filing.needsReview && stillNeedsReview,
+                    quarantine,
+                    integrity: fileInfo.integrity
+                        ? [...(filing.integrity || []), { fileType: 'TRANSCRIPT', stage: 'download', ...fileInfo.integrity }]
+                        : filing.integrity,
+                    tempFolderId,
+                    tempRemoved: null,
+                    transcriptAttachedAt: new Date().toISOString()
                 }
-            }
-        }
-        
-        // Set defaults if still missing
-        if (!metadata.coach && !isSiraj) metadata.coach = 'Unknown Coach';
-        if (!metadata.student && !isSiraj) metadata.student = 'Unknown Student';
-        
-        const studentEmail = this.identifyStudent(recording) || 'unknown@email.com';
-        const studentInfo = this.studentMappings.get(studentEmail) || {
-            name: metadata.student,
-            coach: metadata.coach,
-            program: 'Unknown Program',
-            startDate: new Date().toISOString().split('T')[0]
-        };
+            });
         
-        if (!metadata.weekNumber && !isSiraj) {
-            metadata.weekNumber = this.calculateWeekNumber(studentEmail, recording.start_time);
-            metadata.confidence.week = 0.6;
-            metadata.sources.week = 'calculated_fallback';
-        }
+            logger.info(`✅ Transcript attached for ${recording.topic}${changed ? ' (identification updated)' : ''}`);
         
-        console.log(`✓ Identified: Coach=${metadata.coach}, Student=${metadata.student}, Week=${metadata.weekNumber}, GamePlan=${hasGamePlan}`);
-        console.log(`   Confidence levels - Coach: ${(metadata.confidence.coach * 100).toFixed(0)}%, Student: ${(metadata.confidence.student * 100).toFixed(0)}%, Week: ${(metadata.confidence.week * 100).toFixed(0)}%`);
+            return {
+                success: true,
+                uuid: recordingKey,
+                transcript: primaryCopy.webViewLink,
+                quarantined,
+                changed,
+                coach,
+                student,
+                confidence,
+                sources
+            };
+        });
+    }
+
+    // Handle recording.trashed / recording.deleted / recording.recovered from Zoom
+    async handleRecordingLifecycleEvent(event, payload) {
+        await this.initialize();
         
-        // Flag for manual review if confidence is low
-        if (!isSiraj && (metadata.confidence.coach < 0.5 || metadata.confidence.student < 0.5)) {
-            await this.flagForManualReview(recording, metadata, tempFolderPath);
-        }
+        const recording = payload.object || payload;
+        const recordingKey = RecordingLedger.keyFor(recording);
+        
+        // Every log line for this recording carries its uuid as correlationId
+        return logger.runWithContext({ correlationId: recordingKey }, async () => {
+            const actions = this.getLifecycleActions(event);
+            logger.info(`🗑️  ${event} for recording: ${recording.topic || recordingKey} (actions: ${actions.join(', ') || 'none'})`);
+        
+            const entry = recordingKey ? this.ledger.get(recordingKey) : null;
+            const auditBase = {
+                event,
+                uuid: recordingKey,
+                meetingId: recording.id || entry?.filing?.meetingId || null,
+                topic: recording.topic || entry?.topic || null,
+                operator: payload.operator || null
+            };
         
-        // Step 4: Create final folder structure
-        const folders = await this.createFolderStructure(
-            studentEmail,
-            metadata.coach,
-            studentInfo.program,
-            metadata.weekNumber || '1'
-        );
+            if (!entry || !entry.filing) {
+                this.auditLog.record({ ...auditBase, action: 'none', outcome: 'not_archived' });
+                logger.info('⏭️  Recording was never archived, nothing to do');
+                return { success: true, skipped: true, reason: 'not_archived', uuid: recordingKey };
+            }
         
-        // Step 5: Copy files from temp to final locations with standardized names
-        const processedFiles = {};
+            const filing = entry.filing;
+            const outcomes = {};
+            // Zoom echoes our own cleanup back as trashed/deleted; the archive is the copy being kept
+            const ownCleanup = event !== 'recording.recovered' && ['trashed', 'deleted'].includes(entry.zoomCleanup?.outcome);
         
-        for (const tempFile of tempFiles) {
-            const standardizedName = this.generateStandardizedFileNameEnhanced(
-                tempFile.type,
-                metadata.coach,
-                metadata.student,
-                metadata.weekNumber,
-                dateFolder,
-                recording.id || recording.uuid,
-                hasGamePlan,
-                isSiraj,
-                metadata.coach === 'Ivylevel' // isIvylevel parameter
-            );
+            for (const action of actions) {
+                if (ownCleanup && action === 'quarantine') {
+                    outcomes.quarantine = 'skipped_own_cleanup';
+                    this.auditLog.record({ ...auditBase, action, outcome: outcomes.quarantine });
+                    continue;
+                }
+                try {
+                    if (action === 'mark') {
+                        const status = `${LIFECYCLE_STATUS_LABELS[event]} (${new Date().toISOString()})`;
+                        outcomes.mark = await this.updateSessionRow(filing.meetingId, { zoomStatus: status }) ? 'marked' : 'row_not_found';
+                    } else if (action === 'quarantine') {
+                        outcomes.quarantine = await this.quarantineRecording(recordingKey, filing);
+                    } else if (action === 'restore') {
+                        outcomes.restore = await this.restoreRecording(recordingKey, filing);
+                    } else {
+                        outcomes[action] = 'unknown_action';
+                    }
+                } catch (error) {
+                    logger.error(`Error running ${action} for ${event}`, { error: error.message });
+                    outcomes[action] = `error: ${error.message}`;
+                }
             
-            // Copy to all three locations
-            try {
-                // Copy to By Student (primary)
-                const primaryCopy = await this.copyFile(tempFile.fileId, folders.byStudent, standardizedName);
-                processedFiles[tempFile.type.toLowerCase()] = primaryCopy.webViewLink;
-                
-                // Copy to other locations
-                await Promise.all([
-                    this.copyFile(tempFile.fileId, folders.byProgram, standardizedName),
-                    this.copyFile(tempFile.fileId, folders.byCoach, standardizedName)
-                ]);
-                
-                console.log(`✓ Copied ${standardizedName} to all locations`);
-            } catch (error) {
-                console.error(`Error copying ${tempFile.type}:`, error.message);
+                this.auditLog.record({ ...auditBase, action, outcome: outcomes[action] });
+            }
+        
+            this.ledger.update(recordingKey, {
+                zoomStatus: { event, at: new Date().toISOString(), outcomes }
+            });
+        
+            return { success: true, uuid: recordingKey, event, outcomes };
+        });
+    }
+
+    // Actions for a lifecycle event, e.g. RECORDING_DELETED_ACTIONS=mark,quarantine
+    getLifecycleActions(event) {
+        const envName = `RECORDING_${event.split('.')[1].toUpperCase()}_ACTIONS`;
+        const configured = process.env[envName] ?? LIFECYCLE_DEFAULT_ACTIONS[event] ?? '';
+        return configured.split(',')
+            .map(action => action.trim().toLowerCase())
+            .filter(action => action && action !== 'ignore');
+    }
+
+    // Move every filed copy into Quarantine/<meeting id>, remembering where it came from
+    async quarantineRecording(recordingKey, filing) {
+        if (filing.quarantine && filing.quarantine.length > 0) {
+            return 'already_quarantined';
+        }
+        
+        const quarantineFolderId = await this.getQuarantineFolder(filing);
+        
+        // The three copies share a name, so each layout gets its own subfolder
+        // (path-based backends such as local and S3 can't hold same-named siblings)
+        const layoutByFolderId = new Map(Object.entries(filing.folders || {}).map(([layout, folderId]) => [folderId, layout]));
+        
+        const moved = [];
+        const movedIds = new Map();
+        for (const filed of filing.filedCopies || []) {
+            // The real file moves first so its shortcuts can follow it
+            const target = filed.copies.find(copy => !copy.shortcut);
+            for (const copy of [...filed.copies].sort((a, b) => !!a.shortcut - !!b.shortcut)) {
+                const targetFolderId = await this.getOrCreateFolder(
+                    quarantineFolderId,
+                    layoutByFolderId.get(copy.folderId) || 'other'
+                );
+                const link = copy.shortcut && target
+                    ? { name: filed.name, targetFileId: target.fileId, movedTargetId: movedIds.get(target.fileId) }
+                    : {};
+                const { id: fileId } = await this.moveCopy(copy.fileId, copy.folderId, targetFolderId, link);
+                moved.push({
+                    fileId,
+                    fromFolderId: copy.folderId,
+                    quarantineFolderId: targetFolderId,
+                    ...(link.movedTargetId ? { shortcut: true, name: filed.name, targetFileId: link.movedTargetId } : {})
+                });
+                movedIds.set(copy.fileId, fileId);
             }
         }
         
-        // Update tracking spreadsheet with enhanced metadata
-        await this.updateTrackingSpreadsheetEnhanced({
-            meetingId: recording.id || recording.uuid,
-            topic: recording.topic,
-            student: metadata.student,
-            studentEmail: studentEmail,
-            coach: metadata.coach,
-            program: studentInfo.program,
-            week: metadata.weekNumber,
-            date: recording.start_time,
-            duration: recording.duration,
-            files: processedFiles,
-            host: recording.host_email || '',
-            tempFolderPath: tempFolderPath,
-            confidence: metadata.confidence,
-            sources: metadata.sources,
-            participantCount: metadata.participants.length
+        // filedCopies follows the files to their new ids but keeps their home folders for restore
+        this.ledger.update(recordingKey, {
+            filing: { ...filing, filedCopies: withFileIds(filing.filedCopies, movedIds), quarantine: moved, quarantineFolderId }
         });
+        logger.info(`✓ Moved ${moved.length} files to quarantine`);
+        return `moved_${moved.length}`;
+    }
+
+    // Quarantine/<meeting id>
+    async getQuarantineFolder(filing) {
+        const quarantineRootId = await this.getOrCreateFolder(this.rootFolderId, 'Quarantine');
+        return this.getOrCreateFolder(quarantineRootId, String(filing.meetingId).replace(/[^a-zA-Z0-9_-]/g, '_'));
+    }
+    
+    // The quarantine subfolder of each layout, shaped like filing.folders
+    async getQuarantineFolders(filing) {
+        const quarantineFolderId = filing.quarantineFolderId || await this.getQuarantineFolder(filing);
+        const folders = {};
+        for (const layout of Object.keys(filing.folders)) {
+            folders[layout] = await this.getOrCreateFolder(quarantineFolderId, layout);
+        }
+        return folders;
+    }
+
+    // Move quarantined copies back to their original folders
+    async restoreRecording(recordingKey, filing) {
+        if (!filing.quarantine || filing.quarantine.length === 0) {
+            return 'not_quarantined';
+        }
         
-        console.log(`\n✅ Successfully processed recording for ${metadata.student}`);
+        const restoredIds = new Map();
+        for (const item of [...filing.quarantine].sort((a, b) => !!a.shortcut - !!b.shortcut)) {
+            const link = item.shortcut
+                ? { name: item.name, targetFileId: item.targetFileId, movedTargetId: restoredIds.get(item.targetFileId) }
+                : {};
+            const result = await this.moveCopy(item.fileId, item.quarantineFolderId || filing.quarantineFolderId, item.fromFolderId, link);
+            restoredIds.set(item.fileId, result.id);
+        }
         
-        return {
-            success: true,
-            student: metadata.student,
-            coach: metadata.coach,
-            week: metadata.weekNumber,
-            filesProcessed: tempFiles.length,
-            files: processedFiles,
-            tempFolder: tempFolderPath,
-            confidence: metadata.confidence,
-            sources: metadata.sources
-        };
+        const restored = filing.quarantine.length;
+        this.ledger.update(recordingKey, {
+            filing: { ...filing, filedCopies: withFileIds(filing.filedCopies, restoredIds), quarantine: [], quarantineFolderId: null }
+        });
+        logger.info(`✓ Restored ${restored} files from quarantine`);
+        return `restored_${restored}`;
     }
 
-    async downloadAndStoreFile(file, folderId, authToken, fileType, recordingPassword = null) {
-        console.log(`  📥 Downloading ${fileType}...`);
+    async downloadAndStoreFile(file, folderId, authToken, fileType, recordingPassword = null, options = {}) {
+        logger.info(`📥 Downloading ${fileType}...`);
 
         // FOR TESTING ONLY - Skip actual downloads
         if (process.env.SKIP_DOWNLOADS === 'true') {
-            console.log(`  ⏭️  Skipping download for testing`);
+            logger.info(`⏭️  Skipping download for testing`);
             return {
                 id: `test-${fileType}-${Date.now()}`,
                 name: `TEST_${fileType}.${fileType.toLowerCase()}`,
@@ -1463,10 +1557,16 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
         
         // Check if download URL exists
         if (!file.download_url) {
-            console.error(`  No download URL for ${fileType}`);
+            logger.error(`No download URL for ${fileType}`);
             return null;
         }
         
+        // Extension and MIME type from the file type registry; types it doesn't know are kept too
+        const { mimeType, unknown } = this.fileTypes.resolve(file);
+        if (unknown) {
+            logger.info(`Archiving unregistered file type ${fileType} (${file.recording_type || 'no recording type'}) as is`);
+        }
+        
         // Prepare download URL and headers
         let downloadUrl = file.download_url;
         const headers = {};
@@ -1474,28 +1574,109 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
         // Handle authentication
         if (authToken) {
             headers['Authorization'] = `Bearer ${authToken}`;
-            console.log(`  Using ${authToken.length > 100 ? 'download' : 'OAuth'} token for authentication`);
+            logger.info(`Using ${authToken.length > 100 ? 'download' : 'OAuth'} token for authentication`);
         }
         
         // Add password if provided (for password-protected recordings)
         if (recordingPassword) {
-            console.log(`  Adding recording password to URL`);
+            logger.info(`Adding recording password to URL`);
             try {
                 const urlObj = new URL(downloadUrl);
                 urlObj.searchParams.append('pwd', recordingPassword);
                 downloadUrl = urlObj.toString();
             } catch (urlError) {
-                console.error(`  Error parsing URL: ${urlError.message}`);
+                logger.error(`Error parsing URL: ${urlError.message}`);
+            }
+        }
+        
+        const tempFileName = this.fileTypes.tempFileName(file, options.variant);
+        const totalBytes = Number(file.file_size) || 0;
+        
+        // A stored file that doesn't match what Zoom sent is deleted and downloaded again
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const { upload, received } = await this.transferToStorage(
+                    downloadUrl, headers, fileType, tempFileName, folderId, mimeType, totalBytes, options.onProgress
+                );
+                
+                const integrity = compareStoredFile({
+                    expectedBytes: totalBytes,
+                    received,
+                    stored: await this.storage.getFileInfo(upload.id)
+                });
+                if (integrity.verified) {
+                    logger.info(`🔒 ${tempFileName} verified${integrity.md5Verified ? '' : ' (size only, storage has no MD5 for it)'}`, {
+                        bytes: integrity.bytes,
+                        md5: integrity.md5,
+                        md5Verified: integrity.md5Verified
+                    });
+                    return { ...upload, integrity };
+                }
+                
+                await this.storage.deleteFile(upload.id, { permanent: true }).catch(error => {
+                    logger.warn(`Could not delete mismatched ${tempFileName}`, { error: error.message });
+                });
+                throw new IntegrityError(`${tempFileName} does not match the Zoom recording: ${integrity.problems.join('; ')}`, integrity.problems);
+            } catch (error) {
+                if (!(error instanceof IntegrityError)) throw error;
+                
+                integrityFailures.inc({ stage: 'download' });
+                if (attempt >= INTEGRITY_ATTEMPTS) throw error;
+                logger.warn(`⚠️  ${tempFileName} failed its integrity check, downloading again`, { attempt, problems: error.problems });
             }
         }
+    }
+    
+    // Stream one Zoom file into storage, hashing and counting the bytes on the way.
+    // Resolves to { upload, received: { bytes, md5 } }; received is empty when a resumed
+    // upload means this process never saw the whole file.
+    async transferToStorage(downloadUrl, headers, fileType, fileName, folderId, mimeType, totalBytes, onProgress) {
+        // Large files of known size go up in resumable chunks where the backend supports it
+        if (this.storage.uploadFileResumable && totalBytes > this.storage.chunkSize) {
+            let integrity = null;
+            const upload = await this.uploadResumable(fileName, folderId, mimeType, totalBytes, {
+                openStream: async offset => {
+                    const source = await this.openDownloadStream(downloadUrl, headers, fileType, offset);
+                    // Only a stream that starts at byte 0 can be hashed end to end
+                    integrity = source.offset === 0 ? new IntegrityStream({ expectedBytes: totalBytes }) : null;
+                    return integrity ? { stream: pipeline(source.stream, integrity, () => {}), offset: 0 } : source;
+                },
+                onProgress
+            });
+            return { upload, received: integrity ? integrity.summary() : {} };
+        }
+        
+        const { stream } = await this.openDownloadStream(downloadUrl, headers, fileType);
+        const integrity = new IntegrityStream({ expectedBytes: totalBytes });
+        
+        // Upload to temp folder
+        logger.info(`📤 Uploading ${fileName} to temp folder...`);
+        let upload;
+        try {
+            upload = await this.uploadToDrive(pipeline(stream, integrity, () => {}), fileName, folderId, mimeType);
+        } catch (error) {
+            // The upload client may wrap the stream error; surface the integrity failure itself
+            throw integrity.error || error;
+        }
+        
+        logger.info(`✓ ${fileName} uploaded to temp folder`);
+        return { upload, received: integrity.summary() };
+    }
+    
+    // Open the Zoom download, starting at byte `offset` when resuming. Resolves to
+    // { stream, offset } with the offset the server actually honoured (0 if it ignored Range).
+    async openDownloadStream(downloadUrl, baseHeaders, fileType, offset = 0) {
+        const headers = { ...baseHeaders };
+        if (offset > 0) {
+            headers['Range'] = `bytes=${offset}-`;
+        }
         
         // Download with retries
-        let stream;
         let lastError;
         
         for (let attempt = 1; attempt <= 3; attempt++) {
             try {
-                console.log(`  Attempt ${attempt}/3 for ${fileType}...`);
+                logger.info(`Attempt ${attempt}/3 for ${fileType}${offset > 0 ? ` from byte ${offset}` : ''}...`);
                 const response = await axios.get(downloadUrl, {
                     headers: headers,
                     responseType: 'stream',
@@ -1514,7 +1695,7 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
                     } catch (e) {
                         errorData = `Unable to read error response: ${e.message}`;
                     }
-                    console.error(`  HTTP ${response.status} error:`, errorData);
+                    logger.error(`HTTP ${response.status} error`, { fileType, status: response.status, body: errorData });
                     
                     // If it's a 401/403 and we have a token, the token might be invalid
                     if ((response.status === 401 || response.status === 403)) {
@@ -1524,11 +1705,12 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
                     throw new Error(`HTTP ${response.status}: ${errorData}`);
                 }
                 
-                stream = response.data;
-                break;
+                response.data.on('data', (chunk) => bytesDownloaded.inc({ file_type: fileType }, chunk.length));
+                const stream = this.downloadScheduler.throttle(response.data);
+                return { stream, offset: response.status === 206 ? offset : 0 };
             } catch (error) {
                 lastError = error;
-                console.error(`  Error on attempt ${attempt}:`, error.message);
+                logger.error(`Error on attempt ${attempt}`, { error: error.message });
                 
                 if (attempt === 3) {
                     throw lastError;
@@ -1539,47 +1721,48 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
             }
         }
         
-        if (!stream) {
-            throw lastError || new Error('Failed to download after 3 attempts');
-        }
-        
-        // Determine file extension and MIME type
-        let extension, mimeType;
-        switch (fileType) {
-            case 'MP4':
-                extension = '.mp4';
-                mimeType = 'video/mp4';
-                break;
-            case 'M4A':
-                extension = '.m4a';
-                mimeType = 'audio/mp4';
-                break;
-            case 'TRANSCRIPT':
-            case 'VTT':
-                extension = '.vtt';
-                mimeType = 'text/vtt';
-                break;
-            case 'CHAT':
-                extension = '.txt';
-                mimeType = 'text/plain';
-                break;
-            case 'TIMELINE':
-                extension = '.json';
-                mimeType = 'application/json';
-                break;
-            default:
-                console.log(`Skipping unknown file type: ${fileType}`);
-                return null;
-        }
-        
-        const tempFileName = `${fileType}${extension}`;
-        
-        // Upload to temp folder
-        console.log(`  📤 Uploading ${tempFileName} to temp folder...`);
-        const upload = await this.uploadToDrive(stream, tempFileName, folderId, mimeType);
+        throw lastError || new Error('Failed to download after 3 attempts');
+    }
+    
+    // Each attempt resumes from the last byte the backend confirmed, re-opening the
+    // Zoom download at that offset rather than starting from scratch
+    async uploadResumable(fileName, folderId, mimeType, totalBytes, { openStream, onProgress }) {
+        const totalMB = (totalBytes / 1048576).toFixed(1);
+        logger.info(`📤 Uploading ${fileName} (${totalMB} MB) to temp folder in resumable chunks...`);
+        
+        let lastLoggedPercent = -1;
+        const handleProgress = (progress) => {
+            const percent = Math.floor((progress.bytesUploaded / totalBytes) * 10) * 10;
+            if (percent > lastLoggedPercent) {
+                lastLoggedPercent = percent;
+                logger.info(`⬆️  ${fileName}: ${percent}% uploaded`, { bytesUploaded: progress.bytesUploaded, totalBytes });
+            }
+            if (onProgress) onProgress(progress);
+        };
         
-        console.log(`  ✓ ${tempFileName} uploaded to temp folder`);
-        return upload;
+        const endTimer = driveOperationDuration.startTimer({ operation: 'upload' });
+        try {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const upload = await this.storage.uploadFileResumable({
+                        fileName,
+                        folderId,
+                        mimeType,
+                        totalBytes,
+                        openStream,
+                        onProgress: handleProgress
+                    });
+                    logger.info(`✓ ${fileName} uploaded to temp folder`);
+                    return upload;
+                } catch (error) {
+                    if (attempt >= 3) throw error;
+                    logger.warn(`Upload of ${fileName} interrupted, resuming`, { attempt, error: error.message });
+                    await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
+                }
+            }
+        } finally {
+            endTimer();
+        }
     }
     
     // Helper function to convert stream to string for error messages
@@ -1625,36 +1808,9 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
             baseName = `${baseName}_${cleanMeetingId}`;
         }
         
-        // Add file type suffix and extension
-        let suffix, extension;
-        switch (fileType) {
-            case 'MP4':
-                suffix = '_Video';
-                extension = '.mp4';
-                break;
-            case 'M4A':
-                suffix = '_Audio';
-                extension = '.m4a';
-                break;
-            case 'TRANSCRIPT':
-            case 'VTT':
-                suffix = '_Transcript';
-                extension = '.vtt';
-                break;
-            case 'CHAT':
-                suffix = '_Chat';
-                extension = '.txt';
-                break;
-            case 'TIMELINE':
-                suffix = '_Timeline';
-                extension = '.json';
-                break;
-            default:
-                suffix = '';
-                extension = '';
-        }
-        
-        return `${baseName}${suffix}${extension}`;
+        // Add file type suffix and extension (see file-types.js)
+        const fileSpec = typeof fileType === 'string' ? { fileType } : fileType;
+        return `${baseName}${this.fileTypes.fileNameSuffix(fileSpec, fileSpec.variant)}`;
     }
     // Enhanced file name generation with V100 logic
     generateStandardizedFileNameEnhanced(fileType, coach, student, weekNumber, date, meetingId, hasGamePlan, isSiraj, isIvylevel) {
@@ -1666,7 +1822,7 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
         let baseName;
         if (isSiraj) {
             // Extract context from folder name for MISC recordings
-            const context = this.extractContextFromSirajFolder(cleanStudent);
+            const context = extractContextFromSirajFolder(cleanStudent);
             if (context) {
                 baseName = `MISC_Siraj_${context}_${cleanStudent}`;
             } else {
@@ -1694,130 +1850,68 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
         // Add date
         baseName = `${baseName}_${date}`;
         
-        // Add file type suffix and extension
-        let suffix, extension;
-        switch (fileType) {
-            case 'MP4':
-                suffix = '_Video';
-                extension = '.mp4';
-                break;
-            case 'M4A':
-                suffix = '_Audio';
-                extension = '.m4a';
-                break;
-            case 'TRANSCRIPT':
-            case 'VTT':
-                suffix = '_Transcript';
-                extension = '.vtt';
-                break;
-            case 'CHAT':
-                suffix = '_Chat';
-                extension = '.txt';
-                break;
-            case 'TIMELINE':
-                suffix = '_Timeline';
-                extension = '.json';
-                break;
-            default:
-                suffix = '';
-                extension = '';
-        }
-        
-        return `${baseName}${suffix}${extension}`;
+        // Add file type suffix and extension (see file-types.js)
+        const fileSpec = typeof fileType === 'string' ? { fileType } : fileType;
+        return `${baseName}${this.fileTypes.fileNameSuffix(fileSpec, fileSpec.variant)}`;
     }
 
-    identifyStudent(recording) {
-        const topic = (recording.topic || '').toLowerCase();
-        
-        // Check topic against all known students
-        for (const [email, info] of this.studentMappings) {
-            const nameParts = info.name.toLowerCase().split(' ');
-            const emailPrefix = email.split('@')[0].toLowerCase();
-            
-            // Check if topic contains student name or email prefix
-            if (nameParts.some(part => part.length > 2 && topic.includes(part)) || 
-                topic.includes(emailPrefix)) {
-                return email;
-            }
-        }
-
-        // Check host email if it's a student
-        if (recording.host_email) {
-            const hostEmail = recording.host_email.toLowerCase();
-            if (this.studentMappings.has(hostEmail)) {
-                return hostEmail;
-            }
-        }
-
-        return null;
+    // Mappings students ranked by how well the topic, host email and the names in the
+    // timeline, transcript and chat (metadata.people) match them; see student-matcher.js
+    matchStudent(recording, people = {}, exclude = []) {
+        return this.studentMatcher.match({
+            topic: recording.topic,
+            hostEmail: recording.host_email,
+            ...people
+        }, { exclude });
     }
 
+
     calculateWeekNumber(studentEmail, meetingDate) {
         const studentInfo = this.studentMappings.get(studentEmail);
         if (!studentInfo || !studentInfo.startDate) return 1;
 
-        const start = new Date(studentInfo.startDate);
-        const meeting = new Date(meetingDate);
-        const diffDays = Math.ceil((meeting - start) / (1000 * 60 * 60 * 24));
-        
-        return Math.max(1, Math.min(Math.ceil(diffDays / 7), 52));
+        return weeksSinceStart(studentInfo.startDate, meetingDate) ?? 1;
     }
 
     async getOrCreateFolder(parentId, folderName) {
         const cacheKey = `${parentId}/${folderName}`;
         
-        console.log('DEBUG getOrCreateFolder called with:', {
+        logger.debug('getOrCreateFolder called', {
             folderName,
-            parentId,  // <-- Changed from parentFolderId to parentId
-            expectedParent: process.env.DRIVE_ROOT_FOLDER_ID
+            parentId,
+            expectedParent: this.rootFolderId
         });
         
         // If parentId is the mysterious one
-        if (parentId === '1wAaOiXWwqQdoc2xawbgG1N44u7Hl9Rgp') {  // <-- Changed to parentId
-            console.log('WARNING: Using orphaned folder ID!');
-            console.trace('Stack trace to find caller:');
+        if (parentId === '1wAaOiXWwqQdoc2xawbgG1N44u7Hl9Rgp') {
+            logger.warn('Using orphaned folder ID!', { folderName, parentId, stack: new Error().stack });
         }
     
         if (this.folderCache.has(cacheKey)) {
             return this.folderCache.get(cacheKey);
         }
     
-        const query = `name='${folderName.replace(/'/g, "\\'")}' and '${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`;
-        
         try {
-            const response = await this.drive.files.list({
-                q: query,
-                fields: 'files(id)',
-                pageSize: 1
-            });
-
-            if (response.data.files && response.data.files.length > 0) {
-                const folderId = response.data.files[0].id;
+            const folderId = await this.storage.findFolder(parentId, folderName);
+            if (folderId) {
                 this.folderCache.set(cacheKey, folderId);
                 return folderId;
             }
         } catch (error) {
             // ADD THE QUICK FIX HERE:
             if (error.message && error.message.includes('File not found') && parentId === '1wAaOiXWwqQdoc2xawbgG1N44u7Hl9Rgp') {
-                console.log('Folder not found, using root folder instead');
+                logger.info('Folder not found, using root folder instead');
                 // Recursively call with the correct parent folder
-                return this.getOrCreateFolder(process.env.DRIVE_ROOT_FOLDER_ID, folderName);
+                return this.getOrCreateFolder(this.rootFolderId, folderName);
             }
-            console.error(`Error checking folder: ${error.message}`);
+            logger.error(`Error checking folder: ${error.message}`);
         }
 
         // Create folder
-        const folder = await this.drive.files.create({
-            resource: {
-                name: folderName,
-                mimeType: 'application/vnd.google-apps.folder',
-                parents: [parentId]
-            },
-            fields: 'id'
-        });
+        const folderId = await this.storage.createFolder(parentId, folderName);
 
-        this.folderCache.set(cacheKey, folder.data.id);
-        return folder.data.id;
+        this.folderCache.set(cacheKey, folderId);
+        return folderId;
     }
 
     async createFolderStructure(studentEmail, coachName, program, weekNumber) {
@@ -1865,40 +1959,115 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
     }
 
     async uploadToDrive(stream, fileName, folderId, mimeType) {
-        const response = await this.drive.files.create({
-            resource: {
-                name: fileName,
-                parents: [folderId]
-            },
-            media: {
-                mimeType: mimeType,
-                body: stream
-            },
-            fields: 'id, webViewLink, name'
-        });
+        const endTimer = driveOperationDuration.startTimer({ operation: 'upload' });
+        return this.storage.uploadFile(stream, fileName, folderId, mimeType).finally(endTimer);
+    }
 
-        return response.data;
+    async moveFile(fileId, fromFolderId, toFolderId) {
+        return this.storage.moveFile(fileId, fromFolderId, toFolderId);
     }
 
-    async copyFile(fileId, targetFolderId, fileName) {
+    // Move one filed copy; path-based backends give it a new id. A shortcut there points at its
+    // target's old path, so once the target has moved (movedTargetId differs from targetFileId)
+    // a new shortcut is made in toFolderId and the old one deleted
+    async moveCopy(fileId, fromFolderId, toFolderId, { name, targetFileId, movedTargetId } = {}) {
+        if (movedTargetId && movedTargetId !== targetFileId) {
+            const shortcut = await this.createShortcut(movedTargetId, toFolderId, name);
+            await this.storage.deleteFile(fileId);
+            return { id: shortcut.id };
+        }
+        const result = await this.moveFile(fileId, fromFolderId, toFolderId);
+        return { id: result.id || fileId };
+    }
+
+    async createShortcut(targetFileId, folderId, fileName) {
+        const endTimer = driveOperationDuration.startTimer({ operation: 'shortcut' });
         try {
-            const response = await this.drive.files.copy({
-                fileId: fileId,
-                resource: {
-                    name: fileName,
-                    parents: [targetFolderId]
-                },
-                fields: 'id, webViewLink'
+            return await this.storage.createShortcut(targetFileId, folderId, fileName);
+        } finally {
+            endTimer();
+        }
+    }
+
+    // Put one temp file into By Student, By Program and By Coach. By Student always
+    // gets the real file; the other two get copies or, in shortcut mode, shortcuts to it.
+    // filed holds copies made by an earlier attempt ({ byStudent: { id, webViewLink }, ... }),
+    // and onFiled(view, copy) hears about each new one, so a retry never files anything twice.
+    async fileIntoViews(sourceFileId, folders, fileName, { filed = {}, onFiled = () => {} } = {}) {
+        const sourceInfo = await this.storage.getFileInfo(sourceFileId);
+        const fileView = async (view, makeCopy) => {
+            if (filed[view]) return filed[view];
+            const copy = await makeCopy();
+            onFiled(view, copy);
+            return copy;
+        };
+        
+        const primaryCopy = await fileView('byStudent',
+            () => this.copyFileVerified(sourceFileId, sourceInfo, folders.byStudent, fileName));
+        
+        const useShortcuts = this.filingMode === 'shortcut' && !!this.storage.createShortcut;
+        const fileSecondary = view => fileView(view, () => useShortcuts
+            ? this.createShortcut(primaryCopy.id, folders[view], fileName)
+            : this.copyFileVerified(sourceFileId, sourceInfo, folders[view], fileName));
+        
+        // Let both finish so a failure in one view doesn't lose track of the other
+        const settled = await Promise.allSettled([fileSecondary('byProgram'), fileSecondary('byCoach')]);
+        const failed = settled.find(outcome => outcome.status === 'rejected');
+        if (failed) throw failed.reason;
+        const [programCopy, coachCopy] = settled.map(outcome => outcome.value);
+        
+        const secondary = useShortcuts ? { shortcut: true } : {};
+        return {
+            primaryCopy,
+            copies: [
+                { folderId: folders.byStudent, fileId: primaryCopy.id },
+                { folderId: folders.byProgram, fileId: programCopy.id, ...secondary },
+                { folderId: folders.byCoach, fileId: coachCopy.id, ...secondary }
+            ]
+        };
+    }
+
+    // Copy, then check the copy's size and checksum against the source; a bad copy is
+    // deleted and made again
+    async copyFileVerified(sourceFileId, sourceInfo, targetFolderId, fileName) {
+        for (let attempt = 1; ; attempt++) {
+            const copy = await this.copyFile(sourceFileId, targetFolderId, fileName);
+            const integrity = compareStoredFile({
+                received: { bytes: sourceInfo.size, md5: sourceInfo.md5Checksum },
+                stored: await this.storage.getFileInfo(copy.id)
+            });
+            if (integrity.verified) return copy;
+            
+            integrityFailures.inc({ stage: 'copy' });
+            await this.storage.deleteFile(copy.id, { permanent: true }).catch(error => {
+                logger.warn(`Could not delete mismatched copy of ${fileName}`, { error: error.message });
             });
-            return response.data;
+            if (attempt >= INTEGRITY_ATTEMPTS) {
+                throw new IntegrityError(`Copy of ${fileName} does not match its source: ${integrity.problems.join('; ')}`, integrity.problems);
+            }
+            logger.warn(`⚠️  Copy of ${fileName} failed its integrity check, copying again`, { attempt, problems: integrity.problems });
+        }
+    }
+
+    async copyFile(fileId, targetFolderId, fileName) {
+        const endTimer = driveOperationDuration.startTimer({ operation: 'copy' });
+        try {
+            return await this.storage.copyFile(fileId, targetFolderId, fileName);
         } catch (error) {
-            console.error(`Error copying file: ${error.message}`);
+            logger.error(`Error copying file: ${error.message}`);
             throw error;
+        } finally {
+            endTimer();
         }
     }
 
     // Enhanced tracking spreadsheet update
     async updateTrackingSpreadsheetEnhanced(sessionData) {
+        if (!this.sheets) {
+            logger.info('⏭️  No mappings sheet configured, skipping tracking spreadsheet');
+            return;
+        }
+        
         try {
             const values = [[
                 sessionData.meetingId,
@@ -1923,102 +2092,256 @@ async analyzeTranscriptEnhanced(transcriptFileId) {
                 sessionData.sources.coach || '',
                 sessionData.sources.student || '',
                 sessionData.sources.week || '',
-                sessionData.participantCount || 0
+                sessionData.participantCount || 0,
+                sessionData.zoomStatus || '',
+                sessionData.integrity || '',
+                sessionData.processingStatus || '',
+                describeTrace(sessionData.trace)
             ]];
 
             await this.sheets.spreadsheets.values.append({
                 spreadsheetId: this.mappingsSheetId,
-                range: 'Sessions!A:V',
+                range: 'Sessions!A:Z',
                 valueInputOption: 'USER_ENTERED',
                 resource: { values }
             });
             
-            console.log('✓ Enhanced tracking spreadsheet updated');
+            logger.info('✓ Enhanced tracking spreadsheet updated');
+            return true;
         } catch (error) {
-            console.error('Error updating spreadsheet:', error.message);
+            logger.error('Error updating spreadsheet', { error: error.message });
+            sheetsErrors.inc({ operation: 'append_session' });
+            return false;
         }
     }
 
-    // Fallback to original method for backward compatibility
-    async updateTrackingSpreadsheet(sessionData) {
-        // If called with old format, convert to enhanced format
-        if (!sessionData.confidence) {
-            sessionData.confidence = { coach: 1, student: 1, week: 1 };
-            sessionData.sources = { coach: 'legacy', student: 'legacy', week: 'legacy' };
-            sessionData.participantCount = 0;
+    // Find the (last) row in a sheet whose column A holds the meeting ID
+    async findSheetRow(sheetName, meetingId) {
+        const response = await this.sheets.spreadsheets.values.get({
+            spreadsheetId: this.mappingsSheetId,
+            range: `${sheetName}!A:A`
+        });
+        
+        const rows = response.data.values || [];
+        for (let i = rows.length - 1; i >= 0; i--) {
+            if (rows[i][0] !== undefined && String(rows[i][0]) === String(meetingId)) {
+                return i + 1;
+            }
         }
-        return this.updateTrackingSpreadsheetEnhanced(sessionData);
+        return null;
     }
-    // Helper method to check if a name is a company/organization name
-    isCompanyName(name) {
-        if (!name) return false;
-        
-        const companyIndicators = [
-            'ivy mentor', 'ivymentor', 'ivy mentors', 'ivymentors',
-            'company', 'corporation', 'corp', 'inc', 'llc', 'ltd',
-            'organization', 'org', 'institute', 'academy',
-            'services', 'consulting', 'partners', 'group'
-        ];
-        
-        const nameLower = name.toLowerCase();
-        
-        // Check if the name contains any company indicators
-        for (const indicator of companyIndicators) {
-            if (nameLower.includes(indicator)) {
-                return true;
+
+    // Update selected columns of an existing Sessions row
+    async updateSessionRow(meetingId, updates) {
+        if (!this.sheets) return false;
+        
+        try {
+            const row = await this.findSheetRow('Sessions', meetingId);
+            if (!row) {
+                logger.warn(`⚠️  No Sessions row found for meeting ${meetingId}`);
+                return false;
+            }
+            
+            const data = [];
+            if (updates.coach !== undefined || updates.student !== undefined) {
+                data.push({ range: `Sessions!C${row}:D${row}`, values: [[updates.coach, updates.student]] });
+            }
+            if (updates.files) {
+                data.push({
+                    range: `Sessions!I${row}:L${row}`,
+                    values: [[
+                        updates.files.mp4 || '',
+                        updates.files.m4a || '',
+                        updates.files.transcript || updates.files.vtt || '',
+                        updates.files.chat || ''
+                    ]]
+                });
+            }
+            if (updates.transcript !== undefined) {
+                data.push({ range: `Sessions!K${row}`, values: [[updates.transcript]] });
+            }
+            if (updates.confidence) {
+                data.push({
+                    range: `Sessions!P${row}:R${row}`,
+                    values: [[
+                        updates.confidence.coach.toFixed(2),
+                        updates.confidence.student.toFixed(2),
+                        updates.confidence.week.toFixed(2)
+                    ]]
+                });
+            }
+            if (updates.sources) {
+                data.push({
+                    range: `Sessions!S${row}:U${row}`,
+                    values: [[updates.sources.coach || '', updates.sources.student || '', updates.sources.week || '']]
+                });
+            }
+            if (updates.zoomStatus !== undefined) {
+                data.push({ range: `Sessions!W${row}`, values: [[updates.zoomStatus]] });
+            }
+            if (updates.integrity !== undefined) {
+                data.push({ range: `Sessions!X${row}`, values: [[updates.integrity]] });
+            }
+            if (updates.processingStatus !== undefined) {
+                data.push({ range: `Sessions!Y${row}`, values: [[updates.processingStatus]] });
             }
+            if (updates.trace !== undefined) {
+                data.push({ range: `Sessions!Z${row}`, values: [[describeTrace(updates.trace)]] });
+            }
+            
+            if (data.length === 0) return true;
+            
+            await this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId: this.mappingsSheetId,
+                resource: { valueInputOption: 'USER_ENTERED', data }
+            });
+            
+            logger.info(`✓ Sessions row ${row} updated`);
+            return true;
+        } catch (error) {
+            logger.error('Error updating Sessions row', { error: error.message });
+            sheetsErrors.inc({ operation: 'update_session' });
+            return false;
         }
+    }
+
+    // Mark the Manual_Review entry for a meeting as resolved
+    async resolveManualReview(meetingId, status = 'Resolved') {
+        if (!this.sheets) return false;
         
-        // Additional check: if it's exactly "Ivy Mentor" or similar
-        if (nameLower === 'ivy mentor' || nameLower === 'ivy mentors') {
+        try {
+            const row = await this.findSheetRow('Manual_Review', meetingId);
+            if (!row) return false;
+            
+            await this.sheets.spreadsheets.values.update({
+                spreadsheetId: this.mappingsSheetId,
+                range: `Manual_Review!I${row}`,
+                valueInputOption: 'USER_ENTERED',
+                resource: { values: [[status]] }
+            });
+            
+            logger.info(`✓ Manual_Review row ${row} marked "${status}"`);
             return true;
+        } catch (error) {
+            logger.error('Error resolving manual review', { error: error.message });
+            sheetsErrors.inc({ operation: 'resolve_review' });
+            return false;
         }
+    }
+
+    // Manual_Review rows that are still open, keyed by meeting ID and temp folder path.
+    // Returns null when the sheet can't be read, so callers can fall back to the ledger.
+    async getOpenManualReviews() {
+        if (!this.sheets) return null;
         
-        return false;
+        try {
+            const response = await this.sheets.spreadsheets.values.get({
+                spreadsheetId: this.mappingsSheetId,
+                range: 'Manual_Review!A2:J'
+            });
+            
+            const open = { meetingIds: new Set(), tempFolderPaths: new Set() };
+            for (const row of response.data.values || []) {
+                const status = String(row[8] || '').trim();
+                if (/^(resolved|done|closed)/i.test(status)) continue;
+                if (row[0]) open.meetingIds.add(String(row[0]));
+                if (row[9]) open.tempFolderPaths.add(String(row[9]));
+            }
+            return open;
+        } catch (error) {
+            // A missing tab just means nothing was ever flagged
+            if (error.message && error.message.includes('Unable to parse range')) {
+                return { meetingIds: new Set(), tempFolderPaths: new Set() };
+            }
+            logger.error('Error reading manual review queue', { error: error.message });
+            sheetsErrors.inc({ operation: 'read_review' });
+            return null;
+        }
     }
 
-        // Extract context from Siraj folder names
-    extractContextFromSirajFolder(folderName) {
-        // Remove common patterns and clean up
-        let cleaned = folderName
-            .replace(/siraj/gi, '')
-            .replace(/\d{10,}/, '') // Remove long numbers (meeting IDs)
-            .replace(/_+/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        
-        // Look for context keywords
-        const contextPatterns = [
-            /checkpoint/i,
-            /review/i,
-            /planning/i,
-            /strategy/i,
-            /meeting/i,
-            /discussion/i,
-            /presentation/i
-        ];
-        
-        for (const pattern of contextPatterns) {
-            const match = cleaned.match(pattern);
-            if (match) {
-                // Also try to extract any associated name
-                const names = cleaned.match(/(?:&|and|with)\s+([A-Za-z]+)/i);
-                if (names && names[1]) {
-                    return `${match[0]}_${names[1]}`;
+    // Remove a recording's TEMP_ZOOM_RECORDINGS folder and note it in the ledger
+    async removeTempFolder(recordingKey, { permanent = false, reason = null } = {}) {
+        await this.initialize();
+        
+        const entry = this.ledger.get(recordingKey);
+        const filing = entry && entry.filing;
+        if (!filing || !filing.tempFolderId || filing.tempRemoved) return null;
+        
+        await this.storage.deleteFolder(filing.tempFolderId, { permanent });
+        
+        // The folder is gone, so a late transcript must not be handed the cached id
+        for (const [cacheKey, folderId] of this.folderCache) {
+            if (folderId === filing.tempFolderId) this.folderCache.delete(cacheKey);
+        }
+        
+        const tempRemoved = {
+            at: new Date().toISOString(),
+            mode: permanent ? 'delete' : 'trash',
+            reason
+        };
+        this.ledger.update(recordingKey, {
+            filing: { ...filing, tempRemoved },
+            ...(entry.processing ? {
+                processing: {
+                    ...entry.processing,
+                    stage: 'cleaned',
+                    stages: { ...entry.processing.stages, cleaned: tempRemoved.at }
                 }
-                return match[0];
+            } : {})
+        });
+        tempFoldersRemoved.inc({ mode: tempRemoved.mode });
+        
+        logger.info(`🧹 Removed temp folder ${filing.tempFolderPath} (${tempRemoved.mode}${reason ? `, ${reason}` : ''})`);
+        return tempRemoved;
+    }
+
+    // Trash or delete a recording in Zoom cloud storage once it has been archived, and
+    // note it on the ledger entry and the Sessions row. Eligibility is the caller's call.
+    async removeZoomRecording(recordingKey, { mode = 'trash', reason = null } = {}) {
+        await this.initialize();
+        
+        const entry = this.ledger.get(recordingKey);
+        if (!entry || !entry.filing) return null;
+        
+        let outcome = mode === 'delete' ? 'deleted' : 'trashed';
+        try {
+            await this.zoomApi.deleteMeetingRecordings(recordingKey, mode);
+        } catch (error) {
+            // Already gone in Zoom (someone removed it by hand): nothing left to free up
+            if (!(error instanceof ZoomApiError && error.status === 404)) {
+                zoomCloudCleanups.inc({ mode, outcome: 'error' });
+                throw error;
             }
+            outcome = 'already_gone';
         }
         
-        // If no specific context found but there's a name
-        const nameMatch = cleaned.match(/([A-Za-z]+)/);
-        if (nameMatch && nameMatch[1].length > 2) {
-            return nameMatch[1];
-        }
+        const zoomCleanup = {
+            ...entry.zoomCleanup,
+            at: new Date().toISOString(),
+            mode,
+            outcome,
+            reason
+        };
+        this.ledger.update(recordingKey, { zoomCleanup });
+        zoomCloudCleanups.inc({ mode, outcome });
         
-        return null;
+        const label = outcome === 'already_gone' ? 'Already removed from Zoom' : ZOOM_CLEANUP_LABELS[mode];
+        const marked = await this.updateSessionRow(entry.filing.meetingId, { zoomStatus: `${label} (${zoomCleanup.at})` });
+        
+        logger.info(`☁️  Zoom cloud recording ${outcome.replace('_', ' ')}: ${entry.filing.topic || recordingKey}`);
+        return { ...zoomCleanup, sessionRow: marked ? 'marked' : 'row_not_found' };
     }
 
+    // Fallback to original method for backward compatibility
+    async updateTrackingSpreadsheet(sessionData) {
+        // If called with old format, convert to enhanced format
+        if (!sessionData.confidence) {
+            sessionData.confidence = { coach: 1, student: 1, week: 1 };
+            sessionData.sources = { coach: 'legacy', student: 'legacy', week: 'legacy' };
+            sessionData.participantCount = 0;
+        }
+        return this.updateTrackingSpreadsheetEnhanced(sessionData);
+    }
 }
 
 export default RecordingProcessor;
@@ -2027,13 +2350,17 @@ export default RecordingProcessor;
 if (import.meta.url === `file://${process.argv[1]}`) {
     const processor = new RecordingProcessor();
     
-    // Example: node recording-processor.js process-webhook '{"object": {...}}'
-    if (process.argv[2] === 'process-webhook' && process.argv[3]) {
-        const payload = JSON.parse(process.argv[3]);
-        // Extract download token if provided as 4th argument
-        const downloadToken = process.argv[4] || null;
+    // Example: node recording-processor.js process-webhook '{"object": {...}}' [download_token] [--reprocess]
+    const flags = process.argv.slice(2).filter(arg => arg.startsWith('--'));
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    
+    if (args[0] === 'process-webhook' && args[1]) {
+        const payload = JSON.parse(args[1]);
+        // Extract download token if provided as 3rd argument
+        const downloadToken = args[2] || null;
+        const reprocess = flags.includes('--reprocess');
         
-        processor.processWebhookPayload(payload, downloadToken)
+        processor.processWebhookPayload(payload, downloadToken, { reprocess })
             .then(result => {
                 console.log('Result:', result);
                 process.exit(0);
@@ -2043,6 +2370,6 @@ if (import.meta.url === `file://${process.argv[1]}`) {
                 process.exit(1);
             });
     } else {
-        console.log('Usage: node recording-processor.js process-webhook \'{"object": {...}}\' [download_token]');
+        console.log('Usage: node recording-processor.js process-webhook \'{"object": {...}}\' [download_token] [--reprocess]');
     }
 }
\ No newline at end of file
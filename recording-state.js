@@ -0,0 +1,120 @@
+// recording-state.js
+// Persisted processing state for one recording, kept on its ledger entry so a
+// retried job picks up where the last attempt stopped instead of starting over.
+//
+// A recording moves through these stages in order:
+//
+//   downloaded  every completed Zoom file is in the temp folder
+//   extracted   coach / student / week identified (and Manual_Review flagged if needed)
+//   filed       every downloaded file is in By Student / By Program / By Coach
+//   tracked     the Sessions row is written
+//   cleaned     the temp folder was removed by the retention sweeper (temp-sweeper.js)
+//
+// Downloads and filing are tracked per file, so a retry only redoes the files
+// that failed. A stage is marked done only when all of its files succeeded.
+
+export const STAGES = ['downloaded', 'extracted', 'filed', 'tracked', 'cleaned'];
+
+// Thrown when some of a recording's work failed. result is the partial outcome,
+// so callers can record exactly what did and didn't make it.
+export class IncompleteRecordingError extends Error {
+    constructor(message, result) {
+        super(message);
+        this.name = 'IncompleteRecordingError';
+        this.result = result;
+    }
+}
+
+function freshState() {
+    return {
+        startedAt: new Date().toISOString(),
+        attempts: 0,
+        stage: null,
+        stages: {},
+        files: {}
+    };
+}
+
+class RecordingState {
+    // Without a recordingKey (no uuid in the payload) the state only lives in memory
+    constructor(ledger, recordingKey) {
+        this.ledger = ledger;
+        this.recordingKey = recordingKey;
+        this.data = null;
+        this.resumed = false;
+    }
+
+    // Zoom gives every recording file an id; fall back to its type and position
+    static fileKey(file, index) {
+        return file.id || `${file.file_type}_${file.recording_type || 'file'}_${index}`;
+    }
+
+    // reset starts over (a finished recording being reprocessed); otherwise resume
+    load({ reset = false } = {}) {
+        const entry = this.recordingKey ? this.ledger.get(this.recordingKey) : null;
+        const previous = entry && entry.processing;
+
+        this.resumed = !reset && !!previous;
+        this.data = this.resumed ? previous : freshState();
+        this.data.attempts++;
+        this.save();
+        return this;
+    }
+
+    save() {
+        if (this.recordingKey) {
+            this.ledger.update(this.recordingKey, { processing: this.data });
+        }
+    }
+
+    isDone(stage) {
+        return !!this.data.stages[stage];
+    }
+
+    completeStage(stage) {
+        this.data.stages[stage] = new Date().toISOString();
+        this.data.stage = stage;
+        this.save();
+    }
+
+    set(changes) {
+        Object.assign(this.data, changes);
+        this.save();
+    }
+
+    // Per-file record, created on first sight of the file
+    file(key, defaults = {}) {
+        if (!this.data.files[key]) {
+            this.data.files[key] = {
+                download: 'pending',
+                upload: 'pending',
+                error: null,
+                tempFile: null,
+                filed: null,
+                integrity: null,
+                ...defaults
+            };
+        }
+        return this.data.files[key];
+    }
+
+    updateFile(key, changes) {
+        Object.assign(this.data.files[key], changes);
+        this.save();
+    }
+
+    files() {
+        return Object.values(this.data.files);
+    }
+
+    // Files sitting in the temp folder, in the shape the extraction and filing code expects
+    tempFiles() {
+        return this.files().filter(file => file.tempFile).map(file => file.tempFile);
+    }
+
+    completedStages() {
+        return STAGES.filter(stage => this.isDone(stage));
+    }
+}
+
+export default RecordingState;
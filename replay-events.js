@@ -0,0 +1,119 @@
+// replay-events.js
+// Replays archived webhook events (see event-archive.js) through the recording processor.
+// A recording the server's ledger shows as queued or processing, or that has a job still
+// pending or running in JOB_QUEUE_DIR, is skipped, so a replay never runs alongside the
+// server's own job for it. Only verified deliveries are archived, so only those can be
+// replayed; rejected ones are logged to rejected.jsonl without a body.
+//
+// Usage:
+//   node replay-events.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--event recording.completed]
+//                         [--meeting <meeting id>] [--reprocess] [--dry-run]
+
+import dotenv from 'dotenv';
+import RecordingProcessor from './recording-processor.js';
+import EventArchive from './event-archive.js';
+import RecordingLedger from './recording-ledger.js';
+import JobQueue from './job-queue.js';
+import { IncompleteRecordingError } from './recording-state.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const [name, inlineValue] = arg.slice(2).split('=');
+        if (['reprocess', 'dry-run', 'help'].includes(name)) {
+            options[name] = true;
+        } else {
+            options[name] = inlineValue !== undefined ? inlineValue : argv[++i];
+        }
+    }
+    return options;
+}
+
+// Read the ledger and the job files fresh for every event: the server keeps writing
+// to both while we replay. A partial run waiting out its backoff is only in the queue.
+function serverStatus(recordingKey, jobQueue) {
+    if (!recordingKey) return null;
+
+    const entry = new RecordingLedger().get(recordingKey);
+    if (entry && ['queued', 'processing'].includes(entry.status)) return entry.status;
+    return RecordingLedger.hasOpenJob(jobQueue.readJobs(), recordingKey) ? 'waiting in the job queue' : null;
+}
+
+async function replayEvents() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log('Usage: node replay-events.js [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--event <type>] [--meeting <id>] [--reprocess] [--dry-run]');
+        return;
+    }
+
+    const archive = new EventArchive();
+    const entries = archive.read({
+        from: options.from,
+        to: options.to,
+        event: options.event,
+        meetingId: options.meeting
+    }).filter(entry => entry.event && entry.event !== 'endpoint.url_validation');
+
+    console.log(`🔁 Found ${entries.length} archived events to replay${options['dry-run'] ? ' (dry run)' : ''}\n`);
+
+    if (options['dry-run']) {
+        for (const entry of entries) {
+            console.log(`   ${entry.receivedAt}  ${entry.event}  meeting=${entry.meetingId}  topic=${entry.body.payload?.object?.topic || ''}`);
+        }
+        return;
+    }
+
+    const processor = new RecordingProcessor();
+    const jobQueue = new JobQueue();
+    const summary = { succeeded: 0, skipped: 0, partial: 0, failed: 0 };
+
+    for (const entry of entries) {
+        console.log(`\n▶️  Replaying ${entry.event} for meeting ${entry.meetingId} (archived ${entry.receivedAt})`);
+
+        const status = serverStatus(RecordingLedger.keyFor(entry.body.payload?.object || {}), jobQueue);
+        if (status) {
+            summary.skipped++;
+            console.log(`   ⏭️  Skipped: the server has this recording ${status}`);
+            continue;
+        }
+
+        try {
+            const downloadToken = archive.getDownloadToken(entry.id);
+            const result = await processor.processEvent(entry.event, entry.body.payload, downloadToken, {
+                reprocess: !!options.reprocess,
+                // Old download tokens have expired; the processor fetches fresh URLs from Zoom
+                eventTs: entry.body.event_ts || Date.parse(entry.receivedAt)
+            });
+
+            if (result && result.skipped) {
+                summary.skipped++;
+                console.log(`   ⏭️  Skipped: ${result.reason}`);
+            } else {
+                summary.succeeded++;
+            }
+        } catch (error) {
+            if (error instanceof IncompleteRecordingError) {
+                summary.partial++;
+                console.error(`   ⚠️  ${error.message} (replay again to resume)`);
+            } else {
+                summary.failed++;
+                console.error(`   ❌ Replay failed: ${error.message}`);
+            }
+        }
+    }
+
+    console.log(`\n📊 Replay complete: ${summary.succeeded} succeeded, ${summary.skipped} skipped, ${summary.partial} partial, ${summary.failed} failed`);
+}
+
+replayEvents()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Error:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,236 @@
+// s3-storage.js
+// S3-compatible storage backend (AWS S3, or MinIO via S3_ENDPOINT + S3_FORCE_PATH_STYLE=true).
+//
+//   S3_BUCKET              bucket name (required)
+//   S3_PREFIX              key prefix used as the archive root (default: bucket root)
+//   S3_REGION              default us-east-1
+//   S3_ENDPOINT            custom endpoint, e.g. http://localhost:9000 for MinIO
+//   S3_FORCE_PATH_STYLE    true for MinIO and most other S3 stand-ins
+//   S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY  (otherwise the default AWS credential chain)
+//
+// S3 has no real folders: ids are object keys, and a folder is a key prefix
+// with a zero-byte "<prefix>/" marker object so empty folders still show up.
+
+import {
+    S3Client,
+    CopyObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    PutObjectCommand
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import path from 'path';
+
+// Keys are built from Zoom topics and emails, so keep each name to a single key segment
+function safeName(name) {
+    const cleaned = String(name).replace(/[\/\\\0]/g, '_');
+    return cleaned === '.' || cleaned === '..' || cleaned === '' ? '_' : cleaned;
+}
+
+class S3Storage {
+    constructor(options = {}) {
+        this.name = 's3';
+        this.bucket = options.bucket || process.env.S3_BUCKET;
+        this.rootFolderId = (options.prefix ?? process.env.S3_PREFIX ?? '').replace(/^\/+|\/+$/g, '');
+
+        const credentials = process.env.S3_ACCESS_KEY_ID
+            ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            }
+            : undefined;
+
+        this.client = options.client || new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            credentials
+        });
+    }
+
+    childId(parentId, name) {
+        return parentId ? `${parentId}/${safeName(name)}` : safeName(name);
+    }
+
+    describe(key) {
+        return { id: key, name: path.posix.basename(key), webViewLink: `s3://${this.bucket}/${key}` };
+    }
+
+    copySource(key) {
+        return `${this.bucket}/${encodeURIComponent(key).replace(/%2F/g, '/')}`;
+    }
+
+    async init() {
+        if (!this.bucket) {
+            throw new Error('S3_BUCKET is not set');
+        }
+        if (this.rootFolderId) {
+            await this.putFolderMarker(this.rootFolderId);
+        }
+    }
+
+    async putFolderMarker(key) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: `${key}/`,
+            Body: ''
+        }));
+    }
+
+    async findFolder(parentId, folderName) {
+        const key = this.childId(parentId, folderName);
+        const response = await this.client.send(new ListObjectsV2Command({
+            Bucket: this.bucket,
+            Prefix: `${key}/`,
+            MaxKeys: 1
+        }));
+        return response.KeyCount > 0 ? key : null;
+    }
+
+    async createFolder(parentId, folderName) {
+        const key = this.childId(parentId, folderName);
+        await this.putFolderMarker(key);
+        return key;
+    }
+
+    async uploadFile(stream, fileName, folderId, mimeType) {
+        const key = this.childId(folderId, fileName);
+        // Multipart upload, so streams of unknown length are fine
+        const upload = new Upload({
+            client: this.client,
+            params: {
+                Bucket: this.bucket,
+                Key: key,
+                Body: stream,
+                ContentType: mimeType
+            }
+        });
+        await upload.done();
+        return this.describe(key);
+    }
+
+    async copyFile(fileId, targetFolderId, fileName) {
+        const key = this.childId(targetFolderId, fileName);
+        await this.client.send(new CopyObjectCommand({
+            Bucket: this.bucket,
+            CopySource: this.copySource(fileId),
+            Key: key
+        }));
+        return this.describe(key);
+    }
+
+    async moveFile(fileId, fromFolderId, toFolderId) {
+        const key = this.childId(toFolderId, path.posix.basename(fileId));
+        await this.client.send(new CopyObjectCommand({
+            Bucket: this.bucket,
+            CopySource: this.copySource(fileId),
+            Key: key
+        }));
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: fileId
+        }));
+        return { id: key };
+    }
+
+    async deleteFile(fileId) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: fileId
+        }));
+    }
+
+    // Every object under the prefix, including the folder marker
+    async deleteFolder(folderId) {
+        if (!folderId || folderId === this.rootFolderId) {
+            throw new Error('Refusing to delete the archive root');
+        }
+        let continuationToken;
+        do {
+            const response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: `${folderId}/`,
+                ContinuationToken: continuationToken
+            }));
+            const objects = (response.Contents || []).map(object => ({ Key: object.Key }));
+            if (objects.length > 0) {
+                // A list page holds at most 1000 keys, the DeleteObjects limit
+                await this.client.send(new DeleteObjectsCommand({
+                    Bucket: this.bucket,
+                    Delete: { Objects: objects, Quiet: true }
+                }));
+            }
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+    }
+
+    // Immediate children of a folder prefix; sub-prefixes come back as folders
+    async listFolder(folderId) {
+        const prefix = folderId ? `${folderId}/` : '';
+        const entries = [];
+        let continuationToken;
+        do {
+            const response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: prefix,
+                Delimiter: '/',
+                ContinuationToken: continuationToken
+            }));
+            for (const common of response.CommonPrefixes || []) {
+                const key = common.Prefix.slice(0, -1);
+                entries.push({ id: key, name: path.posix.basename(key), isFolder: true, isShortcut: false, size: 0, md5Checksum: null, createdTime: null });
+            }
+            for (const object of response.Contents || []) {
+                if (object.Key === prefix) continue;
+                entries.push({
+                    id: object.Key,
+                    name: path.posix.basename(object.Key),
+                    isFolder: false,
+                    isShortcut: false,
+                    size: object.Size || 0,
+                    md5Checksum: null,
+                    createdTime: object.LastModified ? new Date(object.LastModified).toISOString() : null
+                });
+            }
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+        return entries;
+    }
+
+    // The ETag is the MD5 only for single-part uploads; multipart ETags end in -<parts>,
+    // so those files have no MD5 here and integrity checks report them as size only
+    async getFileInfo(fileId) {
+        const response = await this.client.send(new HeadObjectCommand({
+            Bucket: this.bucket,
+            Key: fileId
+        }));
+        const etag = (response.ETag || '').replace(/"/g, '');
+        return {
+            id: fileId,
+            name: path.posix.basename(fileId),
+            size: response.ContentLength ?? null,
+            md5Checksum: etag && !etag.includes('-') ? etag : null
+        };
+    }
+
+    async readFile(fileId) {
+        const response = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: fileId
+        }));
+        return response.Body.transformToString('utf8');
+    }
+
+    async checkWritable() {
+        // Round-trip a probe object rather than trusting bucket ACLs
+        const key = this.childId(this.rootFolderId, '.readiness-probe');
+        await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: key, Body: '' }));
+        await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+        return { bucket: this.bucket, prefix: this.rootFolderId, writable: true };
+    }
+}
+
+export default S3Storage;
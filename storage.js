@@ -0,0 +1,45 @@
+// storage.js
+// Picks the archive storage backend from STORAGE_BACKEND (drive | local | s3, default drive).
+//
+// Every backend exposes the same folder/file interface, so the By Program /
+// By Coach / By Student layout is built the same way everywhere:
+//
+//   rootFolderId                                  id of the archive root
+//   init()                                        connect / create the root
+//   findFolder(parentId, name)                    -> folder id or null
+//   createFolder(parentId, name)                  -> folder id
+//   uploadFile(stream, name, folderId, mimeType)  -> { id, name, webViewLink }
+//   copyFile(fileId, folderId, name)              -> { id, webViewLink }
+//   moveFile(fileId, fromFolderId, toFolderId)    -> { id }  (id may change)
+//   deleteFile(fileId, { permanent })             Drive trashes unless permanent
+//   deleteFolder(folderId, { permanent })         folder and everything in it, same trash rule
+//   listFolder(folderId)                          -> [{ id, name, isFolder, isShortcut, size, md5Checksum }]
+//   getFileInfo(fileId)                           -> { id, name, size, md5Checksum } (md5 null if unknown)
+//   readFile(fileId)                              -> file contents as a string
+//   checkWritable()                               -> details, throws if not writable
+//
+// Optional (check before calling):
+//   createShortcut(targetFileId, folderId, name)  -> { id, webViewLink }  (drive, local)
+
+import DriveStorage from './drive-storage.js';
+import LocalStorage from './local-storage.js';
+import S3Storage from './s3-storage.js';
+
+export const STORAGE_BACKENDS = ['drive', 'local', 's3'];
+
+export function getStorageBackend() {
+    return (process.env.STORAGE_BACKEND || 'drive').toLowerCase();
+}
+
+export function createStorage(backend = getStorageBackend(), options = {}) {
+    switch (backend) {
+        case 'drive':
+            return new DriveStorage(options);
+        case 'local':
+            return new LocalStorage(options);
+        case 's3':
+            return new S3Storage(options);
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`);
+    }
+}
@@ -0,0 +1,189 @@
+// student-matcher.js
+// Which student in the Mappings sheet a recording is with, from every name Zoom
+// gives us: the topic, the host email, timeline usernames, transcript speaker
+// labels and chat senders.
+//
+// Names are compared word by word after folding case and accents (Muñoz = munoz)
+// and splitting hyphenated surnames, so "Mani-munoz" in a folder name still finds
+// Mani-Muñoz. A word that starts another ("Alex" for Alexander) or is within a
+// typo of it (Jaro-Winkler) counts for a little less than an exact one, and an
+// initial for half. A first name carries more weight than a surname, and sources
+// we trust more (Zoom's own participant list) more than free text (chat).
+//
+// match() ranks every student and returns the best one with a confidence on the
+// same 0-1 scale as the rest of metadata extraction, lowered when the runner-up
+// is close, plus the runner-up itself for the Manual_Review sheet.
+
+const SOURCE_WEIGHTS = {
+    hostEmail: 1.0,
+    timeline: 0.95,
+    topic: 0.9,
+    transcript: 0.85,
+    chat: 0.8
+};
+
+const FIRST_NAME_WEIGHT = 0.6;
+const SINGLE_NAME_WEIGHT = 0.8; // A mapping with only a first name can't be confirmed by a surname
+const PREFIX_SCORE = 0.9;
+const INITIAL_SCORE = 0.5; // "Alex J."
+const TYPO_THRESHOLD = 0.85;
+const MIN_TOKEN_LENGTH = 3;
+const MIN_SCORE = 0.4;
+const CONFIRM_SCORE = 0.75; // first name plus at least an initial of the surname
+const CORROBORATION_BONUS = 0.05; // per extra source that agrees, at most two
+const AMBIGUITY_MARGIN = 0.2;
+const MAX_CONFIDENCE = 0.95;
+
+// Words meeting topics are made of that aren't anyone's name
+const STOPWORDS = new Set([
+    'week', 'wk', 'session', 'meeting', 'zoom', 'game', 'plan', 'gameplan', 'prep',
+    'coach', 'coaching', 'student', 'with', 'and', 'the', 'for', 'essay', 'review',
+    'call', 'checkpoint', 'speaker', 'everyone', 'recording'
+]);
+
+// Lower-case, accents folded, split on anything that isn't a letter or digit
+export function nameTokens(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+const compact = text => nameTokens(text).join('');
+
+export function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatched = new Array(a.length).fill(false);
+    const bMatched = new Array(b.length).fill(false);
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+            if (!bMatched[j] && a[i] === b[j]) {
+                aMatched[i] = bMatched[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!aMatched[i]) continue;
+        while (!bMatched[j]) j++;
+        if (a[i] !== b[j]) transpositions++;
+        j++;
+    }
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// How well one word of a student's name is matched by one word of a source
+function tokenScore(nameToken, textToken) {
+    if (nameToken === textToken) return 1;
+    if (textToken.length === 1) return nameToken.startsWith(textToken) ? INITIAL_SCORE : 0;
+    if (textToken.length < MIN_TOKEN_LENGTH || nameToken.length < MIN_TOKEN_LENGTH) return 0;
+    if (nameToken.startsWith(textToken) || textToken.startsWith(nameToken)) return PREFIX_SCORE;
+    const similarity = jaroWinkler(nameToken, textToken);
+    return similarity >= TYPO_THRESHOLD ? similarity * PREFIX_SCORE : 0;
+}
+
+function nameScore(studentTokens, textTokens) {
+    if (studentTokens.length === 0 || textTokens.length === 0) return 0;
+    const best = token => Math.max(0, ...textTokens.map(textToken => tokenScore(token, textToken)));
+
+    const [first, ...rest] = studentTokens;
+    if (rest.length === 0) return best(first) * SINGLE_NAME_WEIGHT;
+    const surname = rest.reduce((sum, token) => sum + best(token), 0) / rest.length;
+    return FIRST_NAME_WEIGHT * best(first) + (1 - FIRST_NAME_WEIGHT) * surname;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+class StudentMatcher {
+    // mappings: the processor's studentMappings (email -> { name, ... }), read on every match
+    constructor(mappings) {
+        this.mappings = mappings;
+    }
+
+    // sources: { topic, hostEmail, timeline: [names], transcript: [labels], chat: [senders] }
+    // exclude: names that aren't the student (the coach), left out of every source
+    match(sources, { exclude = [] } = {}) {
+        const excluded = new Set(exclude.filter(Boolean).flatMap(nameTokens));
+        const texts = {};
+        for (const source of ['topic', 'timeline', 'transcript', 'chat']) {
+            const values = [].concat(sources[source] || []).filter(Boolean);
+            texts[source] = values.map(value => nameTokens(value).filter(token => !excluded.has(token) && !STOPWORDS.has(token)));
+        }
+        const hostEmail = String(sources.hostEmail || '').toLowerCase().trim();
+        const topicCompact = compact(sources.topic);
+
+        const candidates = [];
+        for (const [email, info] of this.mappings) {
+            const studentTokens = nameTokens(info.name);
+            const emailPrefix = compact(email.split('@')[0]);
+            const scores = {};
+
+            if (hostEmail && hostEmail === email.toLowerCase()) {
+                scores.hostEmail = SOURCE_WEIGHTS.hostEmail;
+            }
+            for (const [source, names] of Object.entries(texts)) {
+                let score = Math.max(0, ...names.map(tokens => nameScore(studentTokens, tokens)));
+                // The whole email prefix written in the topic
+                if (source === 'topic' && emailPrefix.length >= 5 && topicCompact.includes(emailPrefix)) {
+                    score = 1;
+                }
+                if (score >= MIN_SCORE) {
+                    scores[source] = round(score * SOURCE_WEIGHTS[source]);
+                }
+            }
+
+            const values = Object.values(scores);
+            if (values.length === 0) continue;
+            const bonus = Math.min(values.length - 1, 2) * CORROBORATION_BONUS;
+            candidates.push({
+                email,
+                name: info.name,
+                score: round(Math.min(1, Math.max(...values) + bonus)),
+                sources: scores
+            });
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+        const [best = null, runnerUp = null] = candidates;
+        if (!best) {
+            return { best: null, runnerUp: null, candidates };
+        }
+
+        // A close runner-up means the names don't really tell the two apart
+        const margin = best.score - (runnerUp ? runnerUp.score : 0);
+        const ambiguity = margin >= AMBIGUITY_MARGIN ? 1 : 0.75 + 0.25 * (margin / AMBIGUITY_MARGIN);
+        return {
+            best: { ...best, confidence: round(Math.min(MAX_CONFIDENCE, best.score * ambiguity)) },
+            runnerUp,
+            candidates
+        };
+    }
+
+    // Whether a candidate matched on more than a shared surname or a lone first name
+    isStrong(candidate) {
+        return !!candidate && candidate.score >= CONFIRM_SCORE;
+    }
+
+    // Whether a name found some other way (e.g. a timeline username) is clearly this candidate
+    confirms(name, candidate) {
+        if (!name || !candidate) return false;
+        const { best } = this.match({ timeline: [name] });
+        return this.isStrong(best) && best.email === candidate.email;
+    }
+}
+
+export default StudentMatcher;
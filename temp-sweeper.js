@@ -0,0 +1,242 @@
+// temp-sweeper.js
+// Retention for TEMP_ZOOM_RECORDINGS. Once a recording has been filed, its temp
+// folder is only a second copy of everything, so the sweeper removes it according
+// to TEMP_RETENTION_POLICY:
+//
+//   keep        never remove anything (default, the old behaviour)
+//   delete      delete permanently once every file and copy passed its integrity check
+//   trash       same, but to the Drive trash (other backends have no trash, so it's a delete)
+//   keep_days   trash once the recording was filed more than TEMP_RETENTION_DAYS (default 7) ago
+//
+// Whatever the policy, a temp folder stays while its recording has an open
+// Manual_Review row, since that is where reviewers look. Runs every
+// TEMP_SWEEP_INTERVAL_MS (default 1 hour) and right after each recording is filed.
+
+import logger from './logger.js';
+import { tempFoldersRemoved } from './metrics.js';
+
+export const TEMP_RETENTION_POLICIES = ['keep', 'delete', 'trash', 'keep_days'];
+
+const DEFAULT_DAYS = 7;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TempSweeper {
+    constructor({ recordingProcessor, policy, days, intervalMs }) {
+        this.recordingProcessor = recordingProcessor;
+        this.policy = (policy || process.env.TEMP_RETENTION_POLICY || 'keep').toLowerCase();
+        this.days = Number(days ?? process.env.TEMP_RETENTION_DAYS ?? DEFAULT_DAYS);
+        this.intervalMs = Number(intervalMs || process.env.TEMP_SWEEP_INTERVAL_MS || DEFAULT_INTERVAL_MS);
+
+        if (!TEMP_RETENTION_POLICIES.includes(this.policy)) {
+            throw new Error(`Unknown TEMP_RETENTION_POLICY "${this.policy}" (expected one of: ${TEMP_RETENTION_POLICIES.join(', ')})`);
+        }
+
+        this.timer = null;
+        this.inFlight = null;
+    }
+
+    get enabled() {
+        return this.policy !== 'keep';
+    }
+
+    start() {
+        if (!this.enabled || this.timer) return;
+        this.timer = setInterval(() => {
+            this.sweep().catch(error => logger.error('Temp folder sweep failed', { error: error.message }));
+        }, this.intervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // One pass over every filed recording (and, for keep_days, unknown temp folders).
+    // Concurrent callers share the pass that is already running.
+    async sweep() {
+        if (!this.enabled) return null;
+        if (!this.inFlight) {
+            this.inFlight = this.runSweep().finally(() => {
+                this.inFlight = null;
+            });
+        }
+        return this.inFlight;
+    }
+
+    // Apply the policy to a single recording, e.g. as soon as it has been filed
+    async sweepRecording(recordingKey) {
+        if (!this.enabled || !recordingKey) return null;
+
+        // Let a running full pass finish first so the two never race on the same folder
+        if (this.inFlight) await this.inFlight.catch(() => {});
+
+        try {
+            const entry = this.recordingProcessor.ledger.get(recordingKey);
+            if (!entry || !entry.filing || !entry.filing.tempFolderId || entry.filing.tempRemoved) return null;
+
+            const openReviews = await this.recordingProcessor.getOpenManualReviews();
+            const decision = this.evaluate(entry, openReviews);
+            if (!decision.remove) return { removed: false, reason: decision.reason };
+
+            await this.removeRecordingTemp(entry, decision.reason);
+            return { removed: true, reason: decision.reason };
+        } catch (error) {
+            // Retention is housekeeping; never fail the job that triggered it
+            logger.error('Temp folder cleanup failed', { uuid: recordingKey, error: error.message });
+            return { removed: false, reason: `error: ${error.message}` };
+        }
+    }
+
+    async runSweep() {
+        const processor = this.recordingProcessor;
+        await processor.initialize();
+
+        const report = { policy: this.policy, checked: 0, removed: [], kept: {}, failed: [] };
+        const openReviews = await processor.getOpenManualReviews();
+        // Folders a recording or an upload still owns are never "unknown", even before filing
+        const knownFolderIds = new Set((processor.storage.sessions?.list() || []).map(session => session.folderId));
+
+        for (const entry of processor.ledger.list()) {
+            if (entry.processing?.tempFolderId) knownFolderIds.add(entry.processing.tempFolderId);
+
+            const filing = entry.filing;
+            if (!filing || !filing.tempFolderId) continue;
+            knownFolderIds.add(filing.tempFolderId);
+            if (filing.tempRemoved) continue;
+
+            report.checked++;
+            const decision = this.evaluate(entry, openReviews);
+            if (!decision.remove) {
+                report.kept[decision.reason] = (report.kept[decision.reason] || 0) + 1;
+                continue;
+            }
+
+            try {
+                await this.removeRecordingTemp(entry, decision.reason);
+                report.removed.push({ uuid: entry.uuid, tempFolderPath: filing.tempFolderPath, reason: decision.reason });
+            } catch (error) {
+                logger.error(`Error removing temp folder ${filing.tempFolderPath}`, { uuid: entry.uuid, error: error.message });
+                report.failed.push({ uuid: entry.uuid, tempFolderPath: filing.tempFolderPath, error: error.message });
+            }
+        }
+
+        if (this.policy === 'keep_days') {
+            await this.sweepUnknownFolders(knownFolderIds, openReviews, report);
+        }
+
+        const keptSummary = Object.entries(report.kept).map(([reason, count]) => `${count} ${reason}`).join(', ');
+        logger.info(`🧹 Temp sweep (${this.policy}): removed ${report.removed.length} temp folders (${report.checked} filed recordings checked)` +
+            `${keptSummary ? `, kept ${keptSummary}` : ''}${report.failed.length ? `, ${report.failed.length} failed` : ''}`, {
+            removed: report.removed.map(removed => removed.tempFolderPath)
+        });
+        return report;
+    }
+
+    // { remove, reason } for one ledger entry
+    evaluate(entry, openReviews, now = Date.now()) {
+        const filing = entry.filing;
+
+        if (entry.status !== 'completed') {
+            return { remove: false, reason: 'not_completed' };
+        }
+
+        // Without the sheet, trust the ledger's own idea of whether review is pending
+        const underReview = openReviews
+            ? openReviews.meetingIds.has(String(filing.meetingId)) || openReviews.tempFolderPaths.has(filing.tempFolderPath)
+            : !!filing.needsReview;
+        if (underReview) {
+            return { remove: false, reason: 'manual_review_open' };
+        }
+
+        if (this.policy === 'keep_days') {
+            const filedAt = Date.parse(entry.completedAt || filing.startTime);
+            if (!filedAt || now - filedAt < this.days * DAY_MS) {
+                return { remove: false, reason: 'within_retention' };
+            }
+            return { remove: true, reason: `older than ${this.days} days` };
+        }
+
+        const integrity = filing.integrity || [];
+        if (integrity.length === 0 || integrity.some(result => !result.verified)) {
+            return { remove: false, reason: 'not_verified' };
+        }
+        return { remove: true, reason: 'all copies verified' };
+    }
+
+    async removeRecordingTemp(entry, reason) {
+        const filing = entry.filing;
+        const removal = await this.recordingProcessor.removeTempFolder(entry.uuid, {
+            permanent: this.policy === 'delete',
+            reason
+        });
+        if (!removal) return null;
+
+        this.recordingProcessor.auditLog.record({
+            event: 'temp_retention',
+            uuid: entry.uuid,
+            meetingId: filing.meetingId || null,
+            topic: filing.topic || null,
+            action: 'remove_temp_folder',
+            outcome: removal.mode === 'delete' ? 'deleted' : 'trashed',
+            policy: this.policy,
+            reason,
+            tempFolderPath: filing.tempFolderPath
+        });
+        return removal;
+    }
+
+    // Temp folders from before the ledger tracked filings. Nothing says whether their copies
+    // were verified, so only their age is considered, from the folder's own creation time.
+    // A recording still being processed (or retried after a partial run) and a resumable
+    // upload that has not finished both count as known, however old their folder is.
+    async sweepUnknownFolders(knownFolderIds, openReviews, report) {
+        const processor = this.recordingProcessor;
+        const storage = processor.storage;
+        const tempRootId = processor.folderCache.get('TEMP_ZOOM_RECORDINGS');
+        if (!tempRootId) return;
+
+        const cutoff = Date.now() - this.days * DAY_MS;
+
+        for (const dateFolder of await storage.listFolder(tempRootId)) {
+            if (!dateFolder.isFolder) continue;
+
+            for (const folder of await storage.listFolder(dateFolder.id)) {
+                if (!folder.isFolder || knownFolderIds.has(folder.id)) continue;
+
+                const tempFolderPath = `TEMP_ZOOM_RECORDINGS/${dateFolder.name}/${folder.name}`;
+                const createdAt = Date.parse(folder.createdTime);
+                if (!createdAt || createdAt > cutoff || (openReviews && openReviews.tempFolderPaths.has(tempFolderPath))) {
+                    continue;
+                }
+                if (!openReviews && processor.sheets) {
+                    // Can't tell whether a reviewer still needs it
+                    continue;
+                }
+
+                try {
+                    await storage.deleteFolder(folder.id, { permanent: false });
+                    tempFoldersRemoved.inc({ mode: 'trash' });
+                    processor.auditLog.record({
+                        event: 'temp_retention',
+                        uuid: null,
+                        action: 'remove_temp_folder',
+                        outcome: 'trashed',
+                        policy: this.policy,
+                        reason: `untracked, older than ${this.days} days`,
+                        tempFolderPath
+                    });
+                    report.removed.push({ uuid: null, tempFolderPath, reason: 'untracked' });
+                } catch (error) {
+                    logger.error(`Error removing temp folder ${tempFolderPath}`, { error: error.message });
+                    report.failed.push({ uuid: null, tempFolderPath, error: error.message });
+                }
+            }
+        }
+    }
+}
+
+export default TempSweeper;
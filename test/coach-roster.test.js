@@ -0,0 +1,81 @@
+// test/coach-roster.test.js
+// The coach roster read from the Coaches tab: names, aliases and emails, the
+// dates a coach is active, and rows that claim the same name or email.
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import CoachRoster, { DEFAULT_COACH_NAMES } from '../coach-roster.js';
+
+const ROWS = [
+    ['Jenny', 'Jen, Jenn', 'Jenny Lee', 'jenny@ivymentors.co', 'ivymentors.co', '', '', 'Premium'],
+    ['Noor', '', 'Noor H', 'Noor@Example.com', '', '2024-01-01', '2024-06-30', ''],
+    ['', 'no name, skipped'],
+    // Jen is already Jenny's alias, and the address is Noor's
+    ['Jennifer', 'Jen', '', 'noor@example.com', '', '', '', '']
+];
+
+const roster = CoachRoster.fromRows(ROWS);
+
+test('rows become coaches with their comma-separated cells split and emails lower-cased', () => {
+    assert.equal(roster.source, 'sheet');
+    assert.equal(roster.size, 3);
+    const [jenny, noor] = roster.coaches;
+    assert.deepEqual(jenny.aliases, ['Jen', 'Jenn']);
+    assert.deepEqual(jenny.programs, ['Premium']);
+    assert.deepEqual(noor.emails, ['noor@example.com']);
+    assert.equal(noor.activeFrom, '2024-01-01');
+});
+
+test('a coach is found by name, alias, Zoom name, first word or email', () => {
+    for (const name of ['Jenny', 'jen', 'Jenny Lee', 'jenny_lee', 'jenny.lee']) {
+        assert.equal(roster.findByName(name)?.name, 'Jenny', name);
+    }
+    assert.equal(roster.findByEmail(' JENNY@ivymentors.co ')?.name, 'Jenny');
+    assert.equal(roster.findByName('Alex'), null);
+    assert.equal(roster.isCoachEmail('anyone@IVYMENTORS.CO'), true);
+    assert.equal(roster.isCoachEmail('noor@example.com'), true);
+    assert.equal(roster.isCoachEmail('student@example.com'), false);
+});
+
+test('a coach only matches between Active From and Active To, inclusive', () => {
+    assert.equal(roster.findByName('Noor', '2024-01-01T09:00:00Z')?.name, 'Noor');
+    assert.equal(roster.findByName('Noor', '2024-06-30')?.name, 'Noor');
+    assert.equal(roster.findByName('Noor', '2023-12-31T23:00:00Z'), null);
+    assert.equal(roster.findByEmail('noor@example.com', '2024-07-01'), null);
+    // No date, or one that cannot be read, does not rule anyone out
+    assert.equal(roster.findByName('Noor')?.name, 'Noor');
+    assert.equal(roster.findByName('Noor', 'not a date')?.name, 'Noor');
+    assert.equal(roster.findByName('Jenny', '2030-01-01')?.name, 'Jenny');
+});
+
+test('a name or email two rows claim stays with the first row and is reported', () => {
+    assert.deepEqual(roster.duplicates, [
+        { key: 'jen', coaches: ['Jenny', 'Jennifer'] },
+        { key: 'noor@example.com', coaches: ['Noor', 'Jennifer'] }
+    ]);
+    assert.equal(roster.findByName('Jen').name, 'Jenny');
+    assert.equal(roster.findByName('Jennifer').name, 'Jennifer');
+});
+
+test('the built-in roster, roster files and entries without a name', () => {
+    const defaults = CoachRoster.defaults();
+    assert.equal(defaults.size, DEFAULT_COACH_NAMES.length);
+    assert.equal(defaults.findByName('marissa').name, 'Marissa');
+    assert.deepEqual(defaults.duplicates, []);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-'));
+    try {
+        const filePath = path.join(dir, 'coaches.json');
+        fs.writeFileSync(filePath, JSON.stringify([{ name: 'Siraj', aliases: ['Sir'] }]));
+        assert.equal(CoachRoster.fromFile(filePath).findByName('sir').name, 'Siraj');
+
+        fs.writeFileSync(filePath, JSON.stringify({ name: 'Siraj' }));
+        assert.throws(() => CoachRoster.fromFile(filePath), /must contain a JSON array/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    assert.throws(() => new CoachRoster([{ aliases: 'x' }]), /name is required/);
+});
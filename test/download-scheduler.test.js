@@ -0,0 +1,98 @@
+// test/download-scheduler.test.js
+// Which file downloads first, and how many run at once within a recording and overall.
+
+import assert from 'node:assert/strict';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { test } from 'node:test';
+import DownloadScheduler, { downloadOrder } from '../download-scheduler.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// A task per file that records when it started and how many were running with it
+function tracked() {
+    const started = [];
+    let running = 0;
+    const state = { started, maxRunning: 0 };
+    state.task = async file => {
+        started.push(file.id);
+        state.maxRunning = Math.max(state.maxRunning, ++running);
+        await tick();
+        running--;
+        return file.id;
+    };
+    return state;
+}
+
+const FILES = [
+    { id: 'video', file_type: 'MP4', file_size: 900 },
+    { id: 'audio', file_type: 'M4A', file_size: 300 },
+    { id: 'unknown-size', file_type: 'SUMMARY' },
+    { id: 'chat', file_type: 'CHAT', file_size: 20 },
+    { id: 'timeline', file_type: 'TIMELINE', file_size: 50 },
+    { id: 'transcript', file_type: 'TRANSCRIPT', file_size: 40 }
+];
+
+test('metadata files come first, then the rest smallest first, unknown sizes last', () => {
+    assert.deepEqual([...FILES].sort(downloadOrder).map(file => file.id),
+        ['chat', 'transcript', 'timeline', 'audio', 'video', 'unknown-size']);
+});
+
+test('a recording starts its files in download order, a few at a time, and keeps the given order in its results', async () => {
+    const scheduler = new DownloadScheduler({ concurrency: 4, perRecording: 2, maxBytesPerSecond: 0 });
+    const state = tracked();
+
+    const results = await Promise.all(scheduler.scheduleRecording(FILES, state.task));
+
+    assert.deepEqual(state.started, ['chat', 'transcript', 'timeline', 'audio', 'video', 'unknown-size']);
+    assert.equal(state.maxRunning, 2);
+    assert.deepEqual(results, FILES.map(file => file.id));
+});
+
+test('the global limit is shared by every recording', async () => {
+    const scheduler = new DownloadScheduler({ concurrency: 3, perRecording: 2, maxBytesPerSecond: 0 });
+    const state = tracked();
+    const recording = name => FILES.map(file => ({ ...file, id: `${name}/${file.id}` }));
+
+    const first = scheduler.scheduleRecording(recording('a'), state.task);
+    const second = scheduler.scheduleRecording(recording('b'), state.task);
+    const late = scheduler.run(() => state.task({ id: 'late-transcript' }));
+
+    await Promise.all([...first, ...second, late]);
+    assert.equal(state.maxRunning, 3);
+    assert.equal(state.started.length, 13);
+});
+
+test('one failed download does not stop the others', async () => {
+    const scheduler = new DownloadScheduler({ concurrency: 2, perRecording: 2, maxBytesPerSecond: 0 });
+    const outcomes = await Promise.allSettled(scheduler.scheduleRecording(FILES, async file => {
+        if (file.id === 'timeline') throw new Error('download failed');
+        return file.id;
+    }));
+
+    assert.deepEqual(outcomes.map(outcome => outcome.status),
+        ['fulfilled', 'fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+});
+
+test('the bandwidth cap paces streams; without one the stream is untouched', async () => {
+    const unlimited = new DownloadScheduler({ maxBytesPerSecond: 0 });
+    const source = Readable.from([Buffer.alloc(10)]);
+    assert.equal(unlimited.throttle(source), source);
+
+    // 20 KB at 100 KB/s: the first chunk goes at once, the rest wait for their slots
+    const capped = new DownloadScheduler({ maxBytesPerSecond: 100 * 1000 });
+    let received = 0;
+    const startedAt = Date.now();
+    await pipeline(
+        capped.throttle(Readable.from(Array.from({ length: 4 }, () => Buffer.alloc(5000)))),
+        new Writable({
+            write(chunk, encoding, callback) {
+                received += chunk.length;
+                callback();
+            }
+        })
+    );
+
+    assert.equal(received, 20000);
+    assert.ok(Date.now() - startedAt >= 140, `took ${Date.now() - startedAt}ms`);
+});
@@ -0,0 +1,103 @@
+// test/evidence-scorer.test.js
+// How findings from different sources combine into one decision and its trace.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import EvidenceScorer, { describeDecision, describeTrace } from '../evidence-scorer.js';
+
+test('sources that agree add up, and a source counts once per candidate', () => {
+    const scorer = new EvidenceScorer();
+    scorer.add('week', '3', 0.8, 'topic', 'week_in_topic');
+    scorer.add('week', '03', 0.75, 'timeline', 'week_in_username');
+    scorer.add('week', 3, 0.5, 'topic', 'another_topic_rule');
+
+    const decision = scorer.resolve('week');
+    assert.equal(decision.value, '3');
+    // 1 - (1 - 0.8)(1 - 0.75); the weaker topic finding adds nothing
+    assert.equal(decision.confidence, 0.95);
+    assert.equal(decision.source, 'topic+timeline');
+    assert.equal(decision.conflict, null);
+});
+
+test('a first name supports the one full name that contains it', () => {
+    const scorer = new EvidenceScorer();
+    scorer.add('student', 'Alex', 0.7, 'topic', 'student_name_in_topic');
+    scorer.add('student', 'Alex Smith', 0.9, 'timeline', 'other_participant');
+
+    const [candidate, ...others] = scorer.candidates('student');
+    assert.equal(candidate.value, 'Alex Smith');
+    assert.equal(candidate.support, 0.97);
+    assert.deepEqual(others, []);
+});
+
+test('a disagreeing candidate lowers the winner by half its support', () => {
+    const scorer = new EvidenceScorer();
+    scorer.add('student', 'Alex Smith', 0.9, 'timeline', 'other_participant');
+    scorer.add('student', 'Bob', 0.8, 'transcript', 'student_introduction');
+
+    const decision = scorer.resolve('student');
+    assert.equal(decision.value, 'Alex Smith');
+    assert.equal(decision.confidence, 0.54);
+    assert.deepEqual(decision.conflict, { value: 'Bob', support: 0.8 });
+    assert.match(describeDecision(decision), /^Alex Smith 0\.54: .* vs Bob 0\.8 /);
+});
+
+test('a decisive finding settles the field and overrules stronger support', () => {
+    const scorer = new EvidenceScorer();
+    scorer.add('coach', 'Jenny', 0.9, 'timeline', 'staff_participant');
+    scorer.add('coach', 'Jenny', 0.7, 'topic', 'coach_name_in_topic');
+    scorer.decide('coach', 'Siraj', 1.0, 'topic', 'siraj_pattern');
+
+    const decision = scorer.resolve('coach');
+    assert.equal(decision.value, 'Siraj');
+    assert.equal(decision.confidence, 1);
+    assert.equal(decision.decidedBy, 'decisive');
+    assert.match(describeDecision(decision), / overruled Jenny /);
+});
+
+test('empty values and zero weights are not evidence; rejections stay in the trace', () => {
+    const scorer = new EvidenceScorer();
+    assert.equal(scorer.add('student', '', 0.7, 'topic', 'x'), false);
+    assert.equal(scorer.add('student', 'Alex', 0, 'topic', 'x'), false);
+    assert.equal(scorer.add('week', 'soon', 0.8, 'topic', 'x'), false);
+    scorer.reject('student', 'Ivy Mentors', 'timeline', 'other_participant', 'company_name');
+
+    const decision = scorer.resolve('student');
+    assert.equal(decision.value, null);
+    assert.equal(decision.confidence, 0);
+    assert.deepEqual(decision.rejected, [{ value: 'Ivy Mentors', source: 'timeline', rule: 'other_participant', reason: 'company_name' }]);
+});
+
+test('canonicalize() makes different spellings one candidate under the canonical name', () => {
+    const scorer = new EvidenceScorer();
+    scorer.add('student', 'Ana Mani-munoz', 0.9, 'timeline', 'other_participant');
+    scorer.add('student', 'Ana Muñoz', 0.7, 'topic', 'student_name_in_topic');
+    scorer.canonicalize('student', () => 'Ana Mani-Muñoz');
+
+    const candidates = scorer.candidates('student');
+    assert.equal(candidates.length, 1);
+    assert.equal(candidates[0].value, 'Ana Mani-Muñoz');
+});
+
+test('a trace rebuilds the same decisions, and merging it back adds nothing twice', () => {
+    const scorer = new EvidenceScorer();
+    scorer.add('coach', 'Jenny', 0.7, 'topic', 'coach_name_in_topic');
+    scorer.add('student', 'Alex', 0.7, 'topic', 'student_name_in_topic');
+    scorer.add('week', '3', 0.8, 'topic', 'week_in_topic');
+    const trace = scorer.trace();
+
+    const rebuilt = EvidenceScorer.fromTrace(trace);
+    assert.deepEqual(rebuilt.trace(), trace);
+
+    rebuilt.merge(scorer);
+    assert.equal(rebuilt.evidence.student.length, 1);
+
+    // A late transcript adds to what the recording was filed with
+    rebuilt.add('student', 'Alex', 0.85, 'transcript', 'student_introduction');
+    const metadata = rebuilt.apply({});
+    assert.equal(metadata.student, 'Alex');
+    assert.equal(metadata.confidence.student, 0.96);
+    assert.equal(metadata.sources.student, 'transcript+topic');
+    assert.equal(metadata.weekNumber, '3');
+    assert.equal(describeTrace(metadata.trace).split('\n').length, 3);
+});
@@ -0,0 +1,72 @@
+// test/file-types.test.js
+// Names, extensions and MIME types for every kind of Zoom recording file,
+// including several files of the same type and types nobody configured.
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import FileTypeRegistry from '../file-types.js';
+
+const registry = new FileTypeRegistry({ configPath: '' });
+
+test('a recording_type has its own name, and an unlisted one falls back to its file_type', () => {
+    assert.equal(registry.fileNameSuffix({ file_type: 'MP4', recording_type: 'active_speaker' }), '_Video_ActiveSpeaker.mp4');
+    assert.equal(registry.fileNameSuffix({ file_type: 'MP4', recording_type: 'shared_screen_with_speaker_view' }), '_Video.mp4');
+    assert.equal(registry.fileNameSuffix({ file_type: 'MP4', recording_type: 'some_new_layout' }), '_Video.mp4');
+    assert.equal(registry.fileNameSuffix({ file_type: 'CSV', recording_type: 'poll' }), '_Poll.csv');
+    assert.equal(registry.resolve({ file_type: 'm4a' }).mimeType, 'audio/mp4');
+});
+
+test('a file_type nobody configured is still archived under its own name and extension', () => {
+    const entry = registry.resolve({ file_type: 'SLIDE_DECK', file_extension: 'PDF' });
+    assert.equal(entry.unknown, true);
+    assert.equal(entry.suffix, '_SlideDeck');
+    assert.equal(entry.extension, '.pdf');
+    assert.equal(entry.mimeType, 'application/octet-stream');
+    assert.equal(registry.fileNameSuffix({ file_type: 'SUMMARY_NEXT' }), '_SummaryNext.bin');
+});
+
+test('several files of one type get numbered names, temp names and link keys', () => {
+    const video = { file_type: 'MP4', recording_type: 'shared_screen_with_speaker_view' };
+    assert.deepEqual([0, 1, 2].map(variant => registry.fileNameSuffix(video, variant)), ['_Video.mp4', '_Video_2.mp4', '_Video_3.mp4']);
+    assert.equal(registry.tempFileName(video, 1), 'MP4_shared_screen_with_speaker_view_2.mp4');
+    assert.equal(registry.tempFileName({ file_type: 'CHAT' }), 'CHAT.txt');
+
+    // The default layout keeps the plain key existing links use
+    assert.equal(registry.linkKey(video), 'mp4');
+    assert.equal(registry.linkKey(video, 1), 'mp4_2');
+    assert.equal(registry.linkKey({ file_type: 'MP4', recording_type: 'shared_screen_with_speaker_view(CC)' }), 'mp4_shared_screen_with_speaker_view_cc');
+});
+
+test('configured entries add types and replace built-in ones', () => {
+    const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'file-types-')), 'file-types.json');
+    fs.writeFileSync(configPath, JSON.stringify([
+        { fileType: 'MP4', recordingType: 'active_speaker', suffix: '_Speaker', extension: 'MP4' },
+        { fileType: 'SLIDES', suffix: '_Slides', extension: '.pdf', mimeType: 'application/pdf' }
+    ]));
+
+    try {
+        const configured = new FileTypeRegistry({ configPath });
+        assert.deepEqual(configured.resolve({ file_type: 'MP4', recording_type: 'active_speaker' }), {
+            fileType: 'MP4', recordingType: 'active_speaker', suffix: '_Speaker', extension: '.mp4', mimeType: 'video/mp4'
+        });
+        assert.equal(configured.fileNameSuffix({ file_type: 'slides' }), '_Slides.pdf');
+        assert.equal(configured.resolve({ file_type: 'SLIDES' }).mimeType, 'application/pdf');
+    } finally {
+        fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+    }
+});
+
+test('a config that is not a list of complete entries is refused', () => {
+    assert.throws(() => new FileTypeRegistry({ configPath: '', entries: [{ fileType: 'MP4', suffix: '_Video' }] }), /extension are required/);
+
+    const configPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'file-types-')), 'file-types.json');
+    fs.writeFileSync(configPath, JSON.stringify({ fileType: 'MP4' }));
+    try {
+        assert.throws(() => new FileTypeRegistry({ configPath }), /must contain a JSON array/);
+    } finally {
+        fs.rmSync(path.dirname(configPath), { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,79 @@
+// test/integrity.test.js
+// Checking stored files against what Zoom sent: MD5 when the backend has one,
+// the size alone when it does not, and how the results are summarized.
+
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { test } from 'node:test';
+import { IntegrityError, IntegrityStream, compareStoredFile, summarizeIntegrity } from '../integrity.js';
+
+const DATA = Buffer.from('zoom recording bytes '.repeat(100));
+const MD5 = crypto.createHash('md5').update(DATA).digest('hex');
+
+const sink = () => new Writable({ write(chunk, encoding, callback) { callback(); } });
+
+test('the stream hashes and counts what passes through', async () => {
+    const integrity = new IntegrityStream({ expectedBytes: DATA.length });
+    await pipeline(Readable.from([DATA.subarray(0, 500), DATA.subarray(500)]), integrity, sink());
+    assert.deepEqual(integrity.summary(), { bytes: DATA.length, md5: MD5 });
+});
+
+test('a truncated download fails the stream instead of finishing', async () => {
+    const integrity = new IntegrityStream({ expectedBytes: DATA.length + 1 });
+    await assert.rejects(pipeline(Readable.from([DATA]), integrity, sink()), error =>
+        error instanceof IntegrityError && error.problems[0] === `received ${DATA.length} of ${DATA.length + 1} bytes`);
+});
+
+test('a stored file with a matching MD5 is verified by MD5', () => {
+    const result = compareStoredFile({
+        expectedBytes: DATA.length,
+        received: { bytes: DATA.length, md5: MD5 },
+        stored: { size: DATA.length, md5Checksum: MD5 }
+    });
+    assert.deepEqual(result, { verified: true, bytes: DATA.length, md5: MD5, md5Verified: true, problems: [] });
+});
+
+test('without an MD5 on one side, a matching size is verified by size only', () => {
+    // e.g. an S3 multipart upload, whose ETag is not an MD5 of the file
+    const noStoredMd5 = compareStoredFile({ expectedBytes: DATA.length, received: { bytes: DATA.length, md5: MD5 }, stored: { size: DATA.length } });
+    assert.equal(noStoredMd5.verified, true);
+    assert.equal(noStoredMd5.md5Verified, false);
+    assert.equal(noStoredMd5.md5, MD5);
+
+    // e.g. a resumed upload that did not stream the whole file this time
+    const noStreamedMd5 = compareStoredFile({ expectedBytes: DATA.length, received: {}, stored: { size: DATA.length, md5Checksum: MD5 } });
+    assert.equal(noStreamedMd5.verified, true);
+    assert.equal(noStreamedMd5.md5Verified, false);
+});
+
+test('a wrong MD5 or size fails, and names every problem', () => {
+    const result = compareStoredFile({
+        expectedBytes: 2000,
+        received: { bytes: 1999, md5: MD5 },
+        stored: { size: 1998, md5Checksum: 'f'.repeat(32) }
+    });
+    assert.equal(result.verified, false);
+    assert.equal(result.md5Verified, false);
+    assert.deepEqual(result.problems, [
+        'received 1999 of 2000 bytes',
+        'stored size 1998 != expected 2000',
+        `MD5 ${'f'.repeat(32)} != streamed ${MD5}`
+    ]);
+
+    // Without Zoom's file_size the streamed byte count is the reference
+    assert.deepEqual(compareStoredFile({ received: { bytes: 10 }, stored: { size: 11 } }).problems, ['stored size 11 != expected 10']);
+});
+
+test('the summary tells MD5-verified files from size-only ones', () => {
+    const md5 = { fileType: 'MP4', verified: true, md5Verified: true, problems: [] };
+    const sizeOnly = { fileType: 'M4A', verified: true, md5Verified: false, problems: [] };
+    const failed = { fileType: 'CHAT', verified: false, md5Verified: false, problems: ['stored size 1 != expected 2'] };
+
+    assert.equal(summarizeIntegrity([]), '');
+    assert.equal(summarizeIntegrity([md5, md5]), 'Verified 2/2 (MD5)');
+    assert.equal(summarizeIntegrity([sizeOnly]), 'Size only 1/1');
+    assert.equal(summarizeIntegrity([md5, sizeOnly]), 'Verified 1/2 (MD5), size only 1/2');
+    assert.equal(summarizeIntegrity([md5, failed]), 'FAILED: CHAT stored size 1 != expected 2');
+});
@@ -0,0 +1,196 @@
+// test/job-queue.test.js
+// The on-disk job queue: retries with exponential backoff, jobs that survive a restart,
+// and progress reports that are not written to disk on every tick.
+
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+import JobQueue from '../job-queue.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+let dirCount = 0;
+const queueDir = () => path.join(workDir, `queue-${++dirCount}`);
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('a failing job is retried after backoffMs, then twice that, then fails for good', async () => {
+    const queue = new JobQueue({ dir: queueDir(), backoffMs: 40, maxAttempts: 3 });
+    await queue.init();
+
+    const attempts = [];
+    queue.registerHandler('flaky', async () => {
+        attempts.push(Date.now());
+        throw new Error(`attempt ${attempts.length} failed`);
+    });
+
+    const delays = [];
+    queue.on('retrying', job => delays.push(job.runAt - Date.parse(job.updatedAt)));
+    const job = queue.enqueue('flaky', {});
+    queue.start();
+    await once(queue, 'failed');
+    queue.stop();
+
+    // runAt is set a moment before updatedAt, and timers are only that precise
+    const about = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 5, `${actual}ms is not about ${expected}ms`);
+    assert.equal(attempts.length, 3);
+    assert.equal(delays.length, 2);
+    about(delays[0], 40);
+    about(delays[1], 80);
+    assert.ok(attempts[1] - attempts[0] >= 35);
+    assert.ok(attempts[2] - attempts[1] >= 75);
+
+    // What is on disk is what the queue reports
+    const stored = JSON.parse(fs.readFileSync(path.join(queue.dir, `${job.id}.json`), 'utf8'));
+    assert.equal(stored.status, 'failed');
+    assert.equal(stored.attempts, 3);
+    assert.deepEqual({ message: stored.lastError.message, attempt: stored.lastError.attempt }, { message: 'attempt 3 failed', attempt: 3 });
+});
+
+test('a job that succeeds on a retry completes with its result', async () => {
+    const queue = new JobQueue({ dir: queueDir(), backoffMs: 10, maxAttempts: 3 });
+    await queue.init();
+
+    let calls = 0;
+    queue.registerHandler('once-flaky', async job => {
+        if (++calls === 1) throw new Error('network blip');
+        return { files: job.data.files };
+    });
+
+    const job = queue.enqueue('once-flaky', { files: 4 });
+    queue.start();
+    await once(queue, 'completed');
+    queue.stop();
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.attempts, 2);
+    assert.deepEqual(job.result, { files: 4 });
+    assert.equal(job.lastError, null);
+});
+
+test('a job running when the process died runs again after a restart', async () => {
+    const dir = queueDir();
+    const before = new JobQueue({ dir });
+    await before.init();
+    before.registerHandler('recording.completed', () => new Promise(() => {}));
+
+    const job = before.enqueue('recording.completed', { payload: { object: { uuid: 'rec-1' } } });
+    const delayed = before.enqueue('recording.completed', { payload: { object: { uuid: 'rec-2' } } }, { runAt: Date.now() + 60 * 60 * 1000 });
+    // Emitted as soon as start() hands the job to its handler
+    const started = once(before, 'started');
+    before.start();
+    await started;
+    before.stop();
+    // The process is gone; only the files are left
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, `${job.id}.json`), 'utf8')).status, 'running');
+
+    const restarted = new JobQueue({ dir });
+    await restarted.init();
+    assert.equal(restarted.get(job.id).status, 'pending');
+    // A backed-off job keeps its time
+    assert.equal(restarted.get(delayed.id).runAt, delayed.runAt);
+
+    const ran = [];
+    restarted.registerHandler('recording.completed', async resumed => {
+        ran.push(resumed.data.payload.object.uuid);
+    });
+    restarted.start();
+    await once(restarted, 'completed');
+    restarted.stop();
+
+    assert.deepEqual(ran, ['rec-1']);
+    assert.equal(restarted.get(job.id).attempts, 2);
+    assert.equal(restarted.get(delayed.id).status, 'pending');
+});
+
+test('a checkpoint at shutdown does not count the interrupted attempt', async () => {
+    const dir = queueDir();
+    const queue = new JobQueue({ dir });
+    await queue.init();
+
+    let finish;
+    queue.registerHandler('slow', () => new Promise(resolve => {
+        finish = resolve;
+    }));
+    const job = queue.enqueue('slow', {});
+    const started = once(queue, 'started');
+    queue.start();
+    await started;
+
+    queue.stop();
+    assert.deepEqual(queue.checkpoint().map(interrupted => interrupted.id), [job.id]);
+    finish('too late');
+    assert.equal(await queue.drain(1000), true);
+
+    const restarted = new JobQueue({ dir });
+    await restarted.init();
+    const stored = restarted.get(job.id);
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.attempts, 0);
+    assert.ok(stored.interruptedAt);
+});
+
+test('only finished jobs can be retried by hand', async () => {
+    const queue = new JobQueue({ dir: queueDir() });
+    await queue.init();
+    const job = queue.enqueue('manual', { uuid: 'rec-1' });
+
+    assert.throws(() => queue.retry(job.id), /is pending and cannot be retried/);
+
+    queue.update(job, { status: 'failed', attempts: 3, finishedAt: new Date().toISOString() });
+    queue.retry(job.id, { reprocess: true });
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 0);
+    assert.deepEqual(job.data, { uuid: 'rec-1', reprocess: true });
+    assert.equal(queue.retry('missing'), null);
+});
+
+test('progress is written when the stage changes or the file is stale, and the last one when the job finishes', async () => {
+    const queue = new JobQueue({ dir: queueDir(), progressPersistMs: 60 * 1000 });
+    await queue.init();
+
+    const stored = job => JSON.parse(fs.readFileSync(path.join(queue.dir, `${job.id}.json`), 'utf8'));
+    let writes = 0;
+    const persist = queue.persist.bind(queue);
+    queue.persist = job => {
+        writes++;
+        persist(job);
+    };
+
+    queue.registerHandler('upload', async job => {
+        const progress = { stage: 'downloading', bytesUploaded: 0 };
+        for (let chunk = 1; chunk <= 50; chunk++) {
+            progress.bytesUploaded = chunk * 1024;
+            queue.updateProgress(job, { ...progress });
+        }
+        // The admin API reads the job in memory, so it is never behind
+        assert.equal(job.progress.bytesUploaded, 50 * 1024);
+        assert.equal(stored(job).progress.bytesUploaded, 1024);
+
+        queue.updateProgress(job, { ...progress, stage: 'filing' });
+        assert.equal(stored(job).progress.stage, 'filing');
+
+        // Once the file is older than progressPersistMs the next tick is written
+        queue.progressPersisted.get(job.id).at -= 60 * 1000;
+        queue.updateProgress(job, { stage: 'filing', bytesUploaded: 60 * 1024 });
+        assert.equal(stored(job).progress.bytesUploaded, 60 * 1024);
+
+        queue.updateProgress(job, { stage: 'filing', bytesUploaded: 70 * 1024 });
+        return 'done';
+    });
+
+    const job = queue.enqueue('upload', {});
+    writes = 0;
+    const completed = once(queue, 'completed');
+    queue.start();
+    await completed;
+    queue.stop();
+
+    // running, three progress writes, completed
+    assert.equal(writes, 5);
+    assert.equal(stored(job).status, 'completed');
+    assert.equal(stored(job).progress.bytesUploaded, 70 * 1024);
+    assert.equal(queue.progressPersisted.size, 0);
+});
@@ -0,0 +1,181 @@
+// test/metadata-extraction.test.js
+// The pure extraction functions shared by the processor and the local analyzer.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import StudentMatcher from '../student-matcher.js';
+import {
+    addMappingsEvidence,
+    capitalizeWord,
+    extractCoachFromEmails,
+    extractCoachFromTopic,
+    extractMetadata,
+    extractNameFromEmail,
+    extractSirajStudent,
+    extractStudentFromTopic,
+    extractWeekNumber,
+    hasGamePlanIndicator,
+    isSirajRecording,
+    parseChat,
+    parseTimeline,
+    parseTranscript,
+    weeksSinceStart
+} from '../metadata-extraction.js';
+
+const TIMELINE = {
+    timeline: [{
+        ts: '00:00:01',
+        users: [
+            { username: 'Jenny Lee', email_address: 'jenny@ivymentors.co', zoom_userid: 'u1' },
+            { username: 'Alex Smith', email_address: 'alex@gmail.com', zoom_userid: 'u2' },
+            { username: '14155550100', email_address: '', zoom_userid: 'u3' }
+        ]
+    }]
+};
+
+const IVYLEVEL_TIMELINE = {
+    timeline: [{
+        users: [
+            { username: 'Ivy Team', email_address: 'contact@ivymentors.co' },
+            { username: 'Alex', email_address: 'alex@gmail.com' }
+        ]
+    }]
+};
+
+test('week numbers come from the usual ways of writing them', () => {
+    assert.equal(extractWeekNumber('Jenny & Alex Week 3'), '3');
+    assert.equal(extractWeekNumber('Jenny_Alex_wk12'), '12');
+    assert.equal(extractWeekNumber('2nd session with Alex'), '2');
+    assert.equal(extractWeekNumber('Essay review'), null);
+});
+
+test('names are capitalized per hyphenated part and read from emails', () => {
+    assert.equal(capitalizeWord('mani-munoz'), 'Mani-Munoz');
+    assert.equal(extractNameFromEmail('jenny.smith@ivymentors.co'), 'Jenny Smith');
+    assert.equal(extractNameFromEmail('unknown@student.com'), null);
+});
+
+test('Siraj recordings are told apart from students named Siraj', () => {
+    assert.equal(isSirajRecording('Siraj & Alex checkpoint'), true);
+    assert.equal(isSirajRecording('Jenny_sameeha_siraj_week_2'), false);
+    assert.equal(extractSirajStudent('Siraj & alex checkpoint'), 'Alex');
+});
+
+test('coach and student come from Coach_First_Last topics and staff emails', () => {
+    const topic = 'Jenny_Alex_Smith_81234567890';
+    assert.equal(extractCoachFromTopic(topic, null), 'Jenny');
+    assert.equal(extractStudentFromTopic(topic, 'Jenny'), 'Alex Smith');
+    assert.equal(extractCoachFromEmails('noor@ivymentors.co'), 'Noor');
+    assert.equal(extractCoachFromEmails('someone@gmail.com'), null);
+    assert.equal(hasGamePlanIndicator('Alex game plan'), true);
+});
+
+test('the timeline separates the coach from the other participants and skips dial-ins', () => {
+    const parsed = parseTimeline(JSON.stringify(TIMELINE));
+    assert.equal(parsed.coach, 'Jenny');
+    assert.equal(parsed.student, 'Alex Smith');
+    assert.deepEqual(parsed.participants.map(participant => participant.username), ['Jenny Lee', 'Alex Smith']);
+    assert.equal(parsed.isIvylevel, false);
+
+    assert.equal(parseTimeline('not json').coach, null);
+});
+
+test('only the shared contact account on the staff side makes an Ivylevel session', () => {
+    const parsed = parseTimeline(IVYLEVEL_TIMELINE);
+    assert.equal(parsed.isIvylevel, true);
+    assert.equal(parsed.coach, 'Ivylevel');
+});
+
+test('transcript speakers and chat senders get the role their words suggest', () => {
+    const transcript = parseTranscript([
+        'WEBVTT',
+        '',
+        '1',
+        '00:00:01.000 --> 00:00:04.000',
+        'Jenny: Hi, I am Jenny, your coach',
+        '',
+        '2',
+        '00:12:05.000 --> 00:12:09.000',
+        'Alex: I need help with my essay'
+    ].join('\n'));
+    assert.deepEqual(transcript.speakers.map(speaker => [speaker.label, speaker.identifiedRole]), [['Jenny', 'coach'], ['Alex', 'student']]);
+    assert.equal(transcript.totalDuration, '00:12:05.000');
+    assert.equal(transcript.hasMultipleSpeakers, true);
+
+    const chat = parseChat('10:00:05\t From Alex to Everyone: I have a question\n10:01:00\t From Jenny to Everyone: homework for next week\n');
+    assert.equal(chat.totalMessages, 2);
+    assert.deepEqual(chat.participants.map(participant => [participant.name, participant.isLikelyCoach, participant.isLikelyStudent]), [
+        ['Alex', false, true],
+        ['Jenny', true, false]
+    ]);
+});
+
+test('extractMetadata combines agreeing sources into one confident answer', () => {
+    const metadata = extractMetadata({
+        topic: 'Jenny & Alex Week 3',
+        hostEmail: 'jenny@ivymentors.co',
+        timeline: TIMELINE
+    });
+    assert.equal(metadata.coach, 'Jenny');
+    assert.equal(metadata.student, 'Alex Smith');
+    assert.equal(metadata.weekNumber, '3');
+    // Topic, host and timeline all name Jenny, so she beats any one of them alone
+    assert.ok(metadata.confidence.coach > 0.9);
+    assert.deepEqual(metadata.sources.coach.split('+').sort(), ['host', 'timeline', 'topic']);
+    assert.deepEqual(metadata.people.timeline, ['Alex Smith']);
+    assert.equal(metadata.trace.coach.decidedBy, 'combined');
+});
+
+test('Siraj and Ivylevel findings settle the coach by themselves', () => {
+    const siraj = extractMetadata({ topic: 'Siraj & Alex review' });
+    assert.equal(siraj.isSiraj, true);
+    assert.equal(siraj.coach, 'Siraj');
+    assert.equal(siraj.student, 'Alex');
+    assert.equal(siraj.trace.coach.decidedBy, 'decisive');
+
+    const ivylevel = extractMetadata({ topic: 'Jenny session', timeline: IVYLEVEL_TIMELINE });
+    assert.equal(ivylevel.isIvylevel, true);
+    assert.equal(ivylevel.coach, 'Ivylevel');
+    assert.equal(ivylevel.trace.coach.decidedBy, 'decisive');
+});
+
+test('the matched Mappings row adds its student, assigned coach and week', () => {
+    const mappings = new Map([
+        ['alex.smith@example.com', { name: 'Alex Smith', coach: 'Jenny', startDate: '2024-01-01' }],
+        ['bob@example.com', { name: 'Bob Brown', coach: 'Noor', startDate: '2024-01-01' }]
+    ]);
+    const matcher = new StudentMatcher(mappings);
+    const startTime = '2024-01-20T15:00:00Z';
+
+    const metadata = extractMetadata({ topic: 'Coaching with Alex', startTime, timeline: TIMELINE });
+    const { best } = matcher.match({ topic: 'Coaching with Alex', ...metadata.people }, { exclude: [metadata.coach] });
+    addMappingsEvidence(metadata, best, { matcher, mappings, date: startTime });
+
+    assert.equal(metadata.student, 'Alex Smith');
+    assert.match(metadata.sources.student, /mappings/);
+    assert.equal(metadata.coach, 'Jenny');
+    assert.match(metadata.sources.coach, /mappings/);
+    assert.equal(String(metadata.weekNumber), '3');
+    assert.equal(metadata.sources.week, 'mappings');
+    assert.equal(metadata.trace.week.candidates[0].evidence[0].rule, 'weeks_since_start');
+});
+
+test('Mappings add nothing to Siraj recordings or without a match', () => {
+    const mappings = new Map([['alex@example.com', { name: 'Alex Smith', coach: 'Noor', startDate: '2024-01-01' }]]);
+    const matcher = new StudentMatcher(mappings);
+
+    const siraj = extractMetadata({ topic: 'Siraj & Alex review' });
+    addMappingsEvidence(siraj, { email: 'alex@example.com', name: 'Alex Smith', confidence: 0.9 }, { matcher, mappings });
+    assert.equal(siraj.coach, 'Siraj');
+    assert.equal(siraj.student, 'Alex');
+
+    const unmatched = extractMetadata({ topic: 'Jenny & Bob Week 2' });
+    assert.equal(addMappingsEvidence(unmatched, null, { matcher, mappings }).weekNumber, '2');
+});
+
+test('weeksSinceStart counts whole weeks from the start date, from 1 up to 52', () => {
+    assert.equal(weeksSinceStart('2024-01-01', '2024-01-20'), 3);
+    assert.equal(weeksSinceStart('2024-01-01', '2023-12-01'), 1);
+    assert.equal(weeksSinceStart('2020-01-01', '2024-01-01'), 52);
+    assert.equal(weeksSinceStart('soon', '2024-01-01'), null);
+});
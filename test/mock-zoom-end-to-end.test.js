@@ -0,0 +1,157 @@
+// test/mock-zoom-end-to-end.test.js
+// The whole recording flow against the mock Zoom server (mock-zoom-server.js)
+// with the local storage backend: a webhook with only a UUID is filled in from
+// the API, downloaded, verified, filed and recorded in the ledger, then
+// quarantined and restored, also with a transcript arriving in between.
+// Everything is written under a temp directory.
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoom-e2e-'));
+// Keep the repo's .env (Google credentials, sheet ids) out of the run
+process.chdir(workDir);
+
+const server = http.createServer();
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+Object.assign(process.env, {
+    STORAGE_BACKEND: 'local',
+    FILING_MODE: 'shortcut',
+    LOCAL_STORAGE_ROOT: path.join(workDir, 'archive'),
+    RECORDING_LEDGER_PATH: path.join(workDir, 'recordings.json'),
+    AUDIT_LOG_PATH: path.join(workDir, 'audit.jsonl'),
+    UPLOAD_SESSION_DIR: path.join(workDir, 'uploads'),
+    MAPPINGS_SHEET_ID: '',
+    ZOOM_API_BASE_URL: `${baseUrl}/v2`,
+    ZOOM_OAUTH_TOKEN_URL: `${baseUrl}/oauth/token`,
+    ZOOM_ACCOUNT_ID: 'mock-account',
+    ZOOM_CLIENT_ID: 'mock-client',
+    ZOOM_CLIENT_SECRET: 'mock-secret',
+    LOG_LEVEL: 'error'
+});
+
+const { createMockZoomServer, SAMPLE_RECORDINGS } = await import('../mock-zoom-server.js');
+const { default: RecordingProcessor } = await import('../recording-processor.js');
+
+const mock = createMockZoomServer({ baseUrl });
+server.on('request', mock.app);
+
+const [recording] = SAMPLE_RECORDINGS;
+const archivePath = id => path.join(process.env.LOCAL_STORAGE_ROOT, id);
+let processor;
+
+before(async () => {
+    processor = new RecordingProcessor();
+    await processor.initialize();
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('a webhook with only a UUID is fetched from the API, filed and recorded', async () => {
+    const result = await processor.processWebhookPayload({ object: { uuid: recording.uuid } }, null);
+    assert.equal(result.success, true);
+
+    const entry = processor.ledger.get(recording.uuid);
+    assert.equal(entry.status, 'completed');
+    assert.equal(entry.filing.naming.coach, 'Jenny');
+    assert.equal(entry.filing.naming.weekNumber, '3');
+
+    // The details came from the API, and every file was downloaded
+    assert.ok(mock.requests.some(request => request.method === 'GET' && request.path.startsWith('/v2/meetings/')));
+    const downloaded = new Set(mock.requests.filter(request => request.path.startsWith('/rec/download/')).map(request => request.path));
+    assert.equal(downloaded.size, recording.recording_files.length);
+
+    assert.ok(entry.filing.integrity.length > 0);
+    assert.ok(entry.filing.integrity.every(result => result.verified));
+});
+
+test('every filed copy exists, and By Program and By Coach link to By Student', () => {
+    const { filedCopies } = processor.ledger.get(recording.uuid).filing;
+    assert.ok(filedCopies.length > 0);
+
+    for (const filed of filedCopies) {
+        assert.equal(filed.copies.length, 3);
+        const [primary, ...shortcuts] = filed.copies;
+        assert.equal(fs.lstatSync(archivePath(primary.fileId)).isSymbolicLink(), false);
+        for (const shortcut of shortcuts) {
+            assert.equal(shortcut.shortcut, true);
+            assert.equal(fs.realpathSync(archivePath(shortcut.fileId)), fs.realpathSync(archivePath(primary.fileId)));
+        }
+    }
+});
+
+test('quarantine and restore keep the ledger and the shortcuts pointing at the files', async () => {
+    const filing = processor.ledger.get(recording.uuid).filing;
+
+    const quarantined = await processor.handleRecordingLifecycleEvent('recording.deleted', { object: { uuid: recording.uuid } });
+    assert.match(quarantined.outcomes.quarantine, /^moved_\d+$/);
+
+    const inQuarantine = processor.ledger.get(recording.uuid).filing;
+    for (const { copies } of inQuarantine.filedCopies) {
+        const [primary, ...shortcuts] = copies;
+        assert.ok(primary.fileId.startsWith('Quarantine/'));
+        for (const shortcut of shortcuts) {
+            assert.equal(fs.realpathSync(archivePath(shortcut.fileId)), fs.realpathSync(archivePath(primary.fileId)));
+        }
+    }
+
+    const restored = await processor.handleRecordingLifecycleEvent('recording.recovered', { object: { uuid: recording.uuid } });
+    assert.match(restored.outcomes.restore, /^restored_\d+$/);
+
+    const restoredFiling = processor.ledger.get(recording.uuid).filing;
+    assert.deepEqual(restoredFiling.filedCopies, filing.filedCopies);
+    for (const { copies } of restoredFiling.filedCopies) {
+        for (const copy of copies) {
+            assert.ok(fs.existsSync(archivePath(copy.fileId)), `${copy.fileId} resolves after restore`);
+        }
+    }
+});
+
+test('a transcript that arrives while the recording is quarantined stays in quarantine until restored', async () => {
+    const audioOnly = SAMPLE_RECORDINGS[1];
+    await processor.processWebhookPayload({ object: { uuid: audioOnly.uuid } }, null);
+    await processor.handleRecordingLifecycleEvent('recording.deleted', { object: { uuid: audioOnly.uuid } });
+
+    // Zoom finishes the transcript later
+    mock.recordings.find(r => r.uuid === audioOnly.uuid).recording_files.push({
+        id: 'mock-late-vtt', file_type: 'TRANSCRIPT', file_extension: 'VTT', recording_type: 'audio_transcript', status: 'completed',
+        content: 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nJenny: Hi Alex, ready for your essay?\n'
+    });
+    const attached = await processor.processTranscriptCompleted({ object: { uuid: audioOnly.uuid } }, null);
+    assert.equal(attached.quarantined, true);
+
+    const filing = processor.ledger.get(audioOnly.uuid).filing;
+    const transcript = filing.filedCopies.find(filed => filed.type === 'TRANSCRIPT');
+    for (const copy of transcript.copies) {
+        assert.ok(copy.fileId.startsWith('Quarantine/'), `${copy.fileId} is in quarantine`);
+        assert.ok(Object.values(filing.folders).includes(copy.folderId), 'its home folder is kept for restore');
+        assert.ok(filing.quarantine.some(item => item.fileId === copy.fileId && item.fromFolderId === copy.folderId));
+    }
+    for (const folderId of Object.values(filing.folders)) {
+        assert.deepEqual(fs.readdirSync(archivePath(folderId)), [], 'nothing is left in the normal folders');
+    }
+
+    await processor.handleRecordingLifecycleEvent('recording.recovered', { object: { uuid: audioOnly.uuid } });
+    const restored = processor.ledger.get(audioOnly.uuid).filing;
+    const [primary, ...shortcuts] = restored.filedCopies.find(filed => filed.type === 'TRANSCRIPT').copies;
+    assert.equal(path.dirname(primary.fileId), primary.folderId);
+    assert.match(fs.readFileSync(archivePath(primary.fileId), 'utf8'), /ready for your essay/);
+    for (const shortcut of shortcuts) {
+        assert.equal(fs.realpathSync(archivePath(shortcut.fileId)), fs.realpathSync(archivePath(primary.fileId)));
+    }
+});
+
+test('a repeat of the same recording is skipped as already completed', async () => {
+    const decision = processor.ledger.registerEvent(recording.uuid, 'redelivery');
+    assert.equal(decision.accept, false);
+    assert.equal(decision.reason, 'already_completed');
+});
@@ -0,0 +1,116 @@
+// test/recording-ledger.test.js
+// Duplicate-delivery decisions, and the ledger and job files shared by the
+// server and the command-line tools.
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import JobQueue from '../job-queue.js';
+import RecordingLedger from '../recording-ledger.js';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+let fileCount = 0;
+const ledgerPath = () => path.join(workDir, `recordings-${++fileCount}.json`);
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('repeats of an event, a finished recording or one in progress are not queued again', () => {
+    const ledger = new RecordingLedger({ filePath: ledgerPath() });
+
+    assert.equal(ledger.registerEvent('rec-1', 100).reason, 'new');
+    assert.equal(ledger.registerEvent('rec-1', 100).reason, 'duplicate_event');
+    assert.equal(ledger.registerEvent('rec-1', 101).reason, 'in_progress');
+
+    ledger.markCompleted('rec-1', { success: true });
+    assert.equal(ledger.registerEvent('rec-1', 102).reason, 'already_completed');
+    assert.equal(ledger.registerEvent('rec-1', 102, {}, { reprocess: true }).reason, 'reprocess');
+});
+
+test('a partial run with its retry still in the queue counts as in progress', () => {
+    const ledger = new RecordingLedger({ filePath: ledgerPath() });
+    ledger.registerEvent('rec-2', 200);
+    ledger.markPartial('rec-2', new Error('2 of 5 files failed'), {});
+
+    const waiting = ledger.registerEvent('rec-2', 201, {}, { jobPending: true });
+    assert.equal(waiting.accept, false);
+    assert.equal(waiting.reason, 'in_progress');
+
+    const retried = ledger.registerEvent('rec-2', 202, {}, { jobPending: false });
+    assert.equal(retried.accept, true);
+    assert.equal(retried.reason, 'retry_after_failure');
+});
+
+test('releaseEvent lets Zoom redeliver an event that could not be queued', () => {
+    const ledger = new RecordingLedger({ filePath: ledgerPath() });
+    ledger.registerEvent('rec-3', 300);
+    ledger.releaseEvent('rec-3', 300, new Error('disk full'));
+
+    assert.equal(ledger.get('rec-3').status, 'failed');
+    assert.equal(ledger.registerEvent('rec-3', 300).accept, true);
+});
+
+test('an update from another instance keeps the entries it did not touch', () => {
+    const filePath = ledgerPath();
+    const server = new RecordingLedger({ filePath });
+    const tool = new RecordingLedger({ filePath });
+
+    server.update('rec-a', { status: 'processing' });
+    // The tool read the file before the server wrote its filing
+    assert.equal(tool.get('rec-a').status, 'processing');
+    server.update('rec-a', { status: 'completed', filing: { meetingId: 1 } });
+    tool.update('rec-b', { status: 'completed', zoomCleanup: { outcome: 'trashed' } });
+
+    const fresh = new RecordingLedger({ filePath });
+    assert.deepEqual(fresh.get('rec-a').filing, { meetingId: 1 });
+    assert.equal(fresh.get('rec-b').zoomCleanup.outcome, 'trashed');
+    // Reads see what the other instance wrote
+    assert.equal(tool.get('rec-a').status, 'completed');
+    assert.equal(server.get('rec-b').status, 'completed');
+});
+
+test('separate processes writing at once lose no entries', async () => {
+    const filePath = ledgerPath();
+    const ledgerModule = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'recording-ledger.js');
+    const script = `
+        const { default: RecordingLedger } = await import(${JSON.stringify(ledgerModule)});
+        const ledger = new RecordingLedger({ filePath: ${JSON.stringify(filePath)} });
+        for (let i = 0; i < 40; i++) ledger.update(process.argv[1] + '-' + i, { status: 'queued' });
+    `;
+    const run = name => promisify(execFile)(process.execPath, ['--input-type=module', '-e', script, name]);
+    await Promise.all([run('first'), run('second')]);
+
+    const entries = new RecordingLedger({ filePath }).list();
+    assert.equal(entries.length, 80);
+    assert.equal(fs.existsSync(`${filePath}.lock`), false);
+});
+
+test('a lock left behind by a dead process is broken', () => {
+    const filePath = ledgerPath();
+    fs.writeFileSync(`${filePath}.lock`, '999999');
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(`${filePath}.lock`, old, old);
+
+    const ledger = new RecordingLedger({ filePath });
+    ledger.update('rec-c', { status: 'queued' });
+    assert.equal(ledger.get('rec-c').status, 'queued');
+});
+
+test('another process sees the open recording jobs in the queue directory', async () => {
+    const dir = path.join(workDir, 'jobs');
+    const server = new JobQueue({ dir });
+    await server.init();
+    server.enqueue('recording.completed', { payload: { object: { uuid: 'rec-d' } } }, { runAt: Date.now() + 60000 });
+    server.enqueue('recording.completed', { payload: { object: { uuid: 'rec-e' } } });
+    server.update(server.list().find(job => job.data.payload.object.uuid === 'rec-e'), { status: 'completed' });
+
+    const jobs = new JobQueue({ dir }).readJobs();
+    assert.equal(RecordingLedger.hasOpenJob(jobs, 'rec-d'), true);
+    assert.equal(RecordingLedger.hasOpenJob(jobs, 'rec-e'), false);
+    assert.equal(RecordingLedger.hasOpenJob(jobs, 'rec-f'), false);
+    assert.deepEqual(new JobQueue({ dir: path.join(workDir, 'missing') }).readJobs(), []);
+});
@@ -0,0 +1,227 @@
+// test/s3-storage.test.js
+// The S3 backend against a small in-memory S3 endpoint: upload, check the stored
+// object the way the integrity check does, list, copy, move and delete. The
+// endpoint speaks just enough of the S3 REST API for the real client.
+
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import { after, beforeEach, test } from 'node:test';
+import { S3Client } from '@aws-sdk/client-s3';
+import S3Storage from '../s3-storage.js';
+import { compareStoredFile } from '../integrity.js';
+
+const BUCKET = 'archive';
+const md5 = data => crypto.createHash('md5').update(data).digest();
+
+// key -> { body, etag, lastModified }
+const objects = new Map();
+const uploads = new Map();
+
+const xml = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+};
+const escape = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function store(key, body, etag = md5(body).toString('hex')) {
+    objects.set(key, { body, etag: `"${etag}"`, lastModified: new Date() });
+    return objects.get(key);
+}
+
+function listObjects(query) {
+    const prefix = query.get('prefix') || '';
+    const delimiter = query.get('delimiter');
+    const contents = [];
+    const prefixes = new Set();
+    for (const [key, object] of [...objects].sort(([a], [b]) => a.localeCompare(b))) {
+        if (!key.startsWith(prefix)) continue;
+        const rest = key.slice(prefix.length);
+        if (delimiter && rest.includes(delimiter)) {
+            prefixes.add(prefix + rest.slice(0, rest.indexOf(delimiter) + 1));
+        } else {
+            contents.push(`<Contents><Key>${escape(key)}</Key><Size>${object.body.length}</Size>` +
+                `<ETag>${escape(object.etag)}</ETag><LastModified>${object.lastModified.toISOString()}</LastModified></Contents>`);
+        }
+    }
+    const commonPrefixes = [...prefixes].map(common => `<CommonPrefixes><Prefix>${escape(common)}</Prefix></CommonPrefixes>`);
+    return `<ListBucketResult><Name>${BUCKET}</Name><Prefix>${escape(prefix)}</Prefix><IsTruncated>false</IsTruncated>` +
+        `<KeyCount>${contents.length + commonPrefixes.length}</KeyCount>${contents.join('')}${commonPrefixes.join('')}</ListBucketResult>`;
+}
+
+function handle(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+    const [bucket, ...keyParts] = url.pathname.slice(1).split('/');
+    const key = keyParts.map(decodeURIComponent).join('/');
+    const query = url.searchParams;
+    assert.equal(bucket, BUCKET);
+
+    if (req.method === 'GET' && !key) return xml(res, 200, listObjects(query));
+
+    if (req.method === 'POST' && query.has('delete')) {
+        for (const [, deleted] of body.toString().matchAll(/<Key>(.*?)<\/Key>/g)) {
+            objects.delete(deleted.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+        }
+        return xml(res, 200, '<DeleteResult></DeleteResult>');
+    }
+    if (req.method === 'POST' && query.has('uploads')) {
+        const uploadId = crypto.randomUUID();
+        uploads.set(uploadId, []);
+        return xml(res, 200, `<InitiateMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${escape(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+    }
+    if (req.method === 'PUT' && query.has('partNumber')) {
+        uploads.get(query.get('uploadId'))[Number(query.get('partNumber')) - 1] = body;
+        res.writeHead(200, { ETag: `"${md5(body).toString('hex')}"` });
+        return res.end();
+    }
+    if (req.method === 'POST' && query.has('uploadId')) {
+        // S3's multipart ETag: the MD5 of the parts' MD5s, then the part count
+        const parts = uploads.get(query.get('uploadId'));
+        const etag = `${md5(Buffer.concat(parts.map(md5))).toString('hex')}-${parts.length}`;
+        store(key, Buffer.concat(parts), etag);
+        return xml(res, 200, `<CompleteMultipartUploadResult><Bucket>${BUCKET}</Bucket><Key>${escape(key)}</Key><ETag>"${etag}"</ETag></CompleteMultipartUploadResult>`);
+    }
+
+    if (req.method === 'PUT' && req.headers['x-amz-copy-source']) {
+        const [, ...sourceParts] = decodeURIComponent(req.headers['x-amz-copy-source']).replace(/^\//, '').split('/');
+        const source = objects.get(sourceParts.join('/'));
+        if (!source) return xml(res, 404, '<Error><Code>NoSuchKey</Code></Error>');
+        const copy = store(key, source.body);
+        return xml(res, 200, `<CopyObjectResult><ETag>${escape(copy.etag)}</ETag><LastModified>${copy.lastModified.toISOString()}</LastModified></CopyObjectResult>`);
+    }
+    if (req.method === 'PUT') {
+        const object = store(key, body);
+        res.writeHead(200, { ETag: object.etag });
+        return res.end();
+    }
+    if (req.method === 'DELETE') {
+        objects.delete(key);
+        res.writeHead(204);
+        return res.end();
+    }
+
+    const object = objects.get(key);
+    if (!object) {
+        if (req.method === 'HEAD') {
+            res.writeHead(404);
+            return res.end();
+        }
+        return xml(res, 404, '<Error><Code>NoSuchKey</Code></Error>');
+    }
+    res.writeHead(200, {
+        'Content-Length': object.body.length,
+        'Content-Type': 'application/octet-stream',
+        ETag: object.etag,
+        'Last-Modified': object.lastModified.toUTCString()
+    });
+    res.end(req.method === 'HEAD' ? undefined : object.body);
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        try {
+            handle(req, res, Buffer.concat(chunks));
+        } catch (error) {
+            xml(res, 500, `<Error><Code>InternalError</Code><Message>${escape(error.message)}</Message></Error>`);
+        }
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+const client = new S3Client({
+    region: 'us-east-1',
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    forcePathStyle: true,
+    credentials: { accessKeyId: 'test', secretAccessKey: 'test' }
+});
+const storage = new S3Storage({ bucket: BUCKET, prefix: '/zoom-archive/', client });
+
+beforeEach(() => {
+    objects.clear();
+    uploads.clear();
+});
+
+after(() => {
+    client.destroy();
+    server.close();
+});
+
+test('an uploaded file is stored under its folder and verifies by MD5', async () => {
+    await storage.init();
+    const folder = await storage.createFolder(storage.rootFolderId, 'Coaches');
+    assert.equal(folder, 'zoom-archive/Coaches');
+    assert.equal(await storage.findFolder(storage.rootFolderId, 'Coaches'), folder);
+    assert.equal(await storage.findFolder(storage.rootFolderId, 'Students'), null);
+
+    const data = Buffer.from('WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nHello\n');
+    const uploaded = await storage.uploadFile(Readable.from([data]), 'Week 3/Transcript.vtt', folder, 'text/vtt');
+    // A slash in a name cannot make a new folder
+    assert.deepEqual(uploaded, {
+        id: 'zoom-archive/Coaches/Week 3_Transcript.vtt',
+        name: 'Week 3_Transcript.vtt',
+        webViewLink: 's3://archive/zoom-archive/Coaches/Week 3_Transcript.vtt'
+    });
+
+    const stored = await storage.getFileInfo(uploaded.id);
+    assert.deepEqual(stored, { id: uploaded.id, name: uploaded.name, size: data.length, md5Checksum: md5(data).toString('hex') });
+    const check = compareStoredFile({ expectedBytes: data.length, received: { bytes: data.length, md5: md5(data).toString('hex') }, stored });
+    assert.equal(check.verified, true);
+    assert.equal(check.md5Verified, true);
+    assert.equal(await storage.readFile(uploaded.id), data.toString());
+});
+
+test('a multipart upload has no MD5, so it only verifies by size', async () => {
+    // Over the 5 MiB part size, so it goes up in two parts
+    const data = crypto.randomBytes(6 * 1024 * 1024);
+    const uploaded = await storage.uploadFile(Readable.from([data]), 'Video.mp4', 'zoom-archive/Coaches', 'video/mp4');
+
+    const stored = await storage.getFileInfo(uploaded.id);
+    assert.equal(stored.size, data.length);
+    assert.equal(stored.md5Checksum, null);
+    assert.ok(objects.get(uploaded.id).etag.endsWith('-2"'));
+
+    const check = compareStoredFile({ expectedBytes: data.length, received: { bytes: data.length, md5: md5(data).toString('hex') }, stored });
+    assert.equal(check.verified, true);
+    assert.equal(check.md5Verified, false);
+});
+
+test('folders list their files and sub-folders; copies, moves and deletes', async () => {
+    const folder = await storage.createFolder('zoom-archive', 'Temp');
+    const day = await storage.createFolder(folder, '2024-03-20');
+    const file = await storage.uploadFile(Readable.from([Buffer.from('chat')]), 'Chat.txt', day, 'text/plain');
+
+    const listing = await storage.listFolder(folder);
+    assert.deepEqual(listing.map(entry => [entry.name, entry.isFolder]), [['2024-03-20', true]]);
+    const [chat] = await storage.listFolder(day);
+    assert.equal(chat.id, file.id);
+    assert.equal(chat.size, 4);
+    assert.ok(chat.createdTime);
+
+    const copy = await storage.copyFile(file.id, 'zoom-archive', 'Chat copy.txt');
+    assert.equal(await storage.readFile(copy.id), 'chat');
+
+    const moved = await storage.moveFile(copy.id, 'zoom-archive', folder);
+    assert.equal(moved.id, 'zoom-archive/Temp/Chat copy.txt');
+    assert.equal(objects.has(copy.id), false);
+
+    await storage.deleteFile(moved.id);
+    assert.equal(objects.has(moved.id), false);
+    await assert.rejects(storage.getFileInfo(moved.id));
+});
+
+test('deleting a folder removes everything under it, but never the root', async () => {
+    const folder = await storage.createFolder('zoom-archive', 'Temp');
+    await storage.uploadFile(Readable.from([Buffer.from('a')]), 'a.txt', folder, 'text/plain');
+    await storage.uploadFile(Readable.from([Buffer.from('b')]), 'b.txt', `${folder}/nested`, 'text/plain');
+    const keep = await storage.uploadFile(Readable.from([Buffer.from('c')]), 'c.txt', 'zoom-archive/Temporary', 'text/plain');
+
+    await storage.deleteFolder(folder);
+    assert.deepEqual([...objects.keys()], [keep.id]);
+
+    await assert.rejects(storage.deleteFolder('zoom-archive'), /Refusing to delete the archive root/);
+    assert.deepEqual(await storage.checkWritable(), { bucket: BUCKET, prefix: 'zoom-archive', writable: true });
+    assert.deepEqual([...objects.keys()], [keep.id]);
+});
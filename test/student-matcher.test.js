@@ -0,0 +1,65 @@
+// test/student-matcher.test.js
+// Fuzzy, ranked matching of recording names against the Mappings sheet.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import StudentMatcher, { jaroWinkler, nameTokens } from '../student-matcher.js';
+
+const MAPPINGS = new Map([
+    ['alex.smith@example.com', { name: 'Alex Smith' }],
+    ['alex.jones@example.com', { name: 'Alex Jones' }],
+    ['ana.mm@example.com', { name: 'Ana Mani-Muñoz' }],
+    ['bob@example.com', { name: 'Bob Brown' }]
+]);
+
+const matcher = new StudentMatcher(MAPPINGS);
+
+test('names are folded to lower-case words without accents', () => {
+    assert.deepEqual(nameTokens('Mani-Muñoz, A.'), ['mani', 'munoz', 'a']);
+    assert.deepEqual(nameTokens(null), []);
+});
+
+test('Jaro-Winkler scores a transposition close to an exact match', () => {
+    assert.equal(jaroWinkler('alex', 'alex'), 1);
+    assert.ok(jaroWinkler('martha', 'marhta') > 0.95);
+    assert.equal(jaroWinkler('alex', ''), 0);
+});
+
+test('a full name in the topic beats a student who shares only the first name', () => {
+    const { best, runnerUp } = matcher.match({ topic: 'Jenny_Alex_Smith_81234567890' }, { exclude: ['Jenny'] });
+    assert.equal(best.email, 'alex.smith@example.com');
+    assert.equal(runnerUp.email, 'alex.jones@example.com');
+    assert.ok(matcher.isStrong(best));
+});
+
+test('accents, hyphens, prefixes and typos still find the student', () => {
+    assert.equal(matcher.match({ timeline: ['Ana Mani-munoz'] }).best.email, 'ana.mm@example.com');
+    assert.equal(matcher.match({ topic: 'Jenny & Alexander Smith' }, { exclude: ['Jenny'] }).best.email, 'alex.smith@example.com');
+    assert.equal(matcher.match({ topic: 'Jenny & Alex Smtih' }, { exclude: ['Jenny'] }).best.email, 'alex.smith@example.com');
+});
+
+test('the host email is a certain match', () => {
+    const { best } = matcher.match({ hostEmail: 'BOB@example.com' });
+    assert.equal(best.email, 'bob@example.com');
+    assert.equal(best.confidence, 0.95);
+});
+
+test('a lone first name shared by two students is weak and ambiguous', () => {
+    const { best, runnerUp } = matcher.match({ topic: 'Alex week 3' });
+    assert.equal(matcher.isStrong(best), false);
+    assert.equal(best.score, runnerUp.score);
+    // A tie costs the winner a quarter of its score
+    assert.ok(best.confidence < best.score);
+});
+
+test('the excluded coach and topic words never match anyone', () => {
+    const { best, candidates } = matcher.match({ topic: 'Bob coaching session', timeline: ['Bob'] }, { exclude: ['Bob'] });
+    assert.equal(best, null);
+    assert.deepEqual(candidates, []);
+});
+
+test('confirms() only accepts a name that is clearly the candidate', () => {
+    assert.equal(matcher.confirms('Alex Smith', { email: 'alex.smith@example.com' }), true);
+    assert.equal(matcher.confirms('Alex', { email: 'alex.smith@example.com' }), false);
+    assert.equal(matcher.confirms('Alex Jones', { email: 'alex.smith@example.com' }), false);
+});
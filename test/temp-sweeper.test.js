@@ -0,0 +1,100 @@
+// test/temp-sweeper.test.js
+// Which temp folders the retention policies remove, and which they must leave alone.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import TempSweeper from '../temp-sweeper.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-03-20T12:00:00Z');
+
+const noReviews = { meetingIds: new Set(), tempFolderPaths: new Set() };
+
+function filedEntry({ daysAgo = 10, integrity = [{ verified: true }], ...filing } = {}) {
+    return {
+        uuid: 'rec-1',
+        status: 'completed',
+        completedAt: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+        filing: {
+            meetingId: 1,
+            tempFolderId: 'temp-1',
+            tempFolderPath: 'TEMP_ZOOM_RECORDINGS/2024-03-10/Week_3',
+            integrity,
+            ...filing
+        }
+    };
+}
+
+test('delete and trash remove a temp folder only once every copy is verified', () => {
+    const sweeper = new TempSweeper({ recordingProcessor: {}, policy: 'delete' });
+
+    assert.deepEqual(sweeper.evaluate(filedEntry(), noReviews, NOW), { remove: true, reason: 'all copies verified' });
+    assert.equal(sweeper.evaluate(filedEntry({ integrity: [] }), noReviews, NOW).reason, 'not_verified');
+    assert.equal(sweeper.evaluate(filedEntry({ integrity: [{ verified: true }, { verified: false }] }), noReviews, NOW).reason, 'not_verified');
+    assert.equal(sweeper.evaluate({ ...filedEntry(), status: 'partial' }, noReviews, NOW).reason, 'not_completed');
+});
+
+test('keep_days goes by when the recording was filed', () => {
+    const sweeper = new TempSweeper({ recordingProcessor: {}, policy: 'keep_days', days: 7 });
+
+    assert.deepEqual(sweeper.evaluate(filedEntry({ daysAgo: 8, integrity: [] }), noReviews, NOW), { remove: true, reason: 'older than 7 days' });
+    assert.equal(sweeper.evaluate(filedEntry({ daysAgo: 3 }), noReviews, NOW).reason, 'within_retention');
+});
+
+test('an open Manual_Review row keeps the folder, from the sheet or else the ledger', () => {
+    const sweeper = new TempSweeper({ recordingProcessor: {}, policy: 'delete' });
+    const entry = filedEntry();
+
+    const byMeeting = { meetingIds: new Set(['1']), tempFolderPaths: new Set() };
+    const byPath = { meetingIds: new Set(), tempFolderPaths: new Set([entry.filing.tempFolderPath]) };
+    assert.equal(sweeper.evaluate(entry, byMeeting, NOW).reason, 'manual_review_open');
+    assert.equal(sweeper.evaluate(entry, byPath, NOW).reason, 'manual_review_open');
+
+    // The sheet could not be read
+    assert.equal(sweeper.evaluate(filedEntry({ needsReview: true }), null, NOW).reason, 'manual_review_open');
+    assert.equal(sweeper.evaluate(entry, null, NOW).remove, true);
+});
+
+test('an unknown policy is refused', () => {
+    assert.throws(() => new TempSweeper({ recordingProcessor: {}, policy: 'shred' }), /Unknown TEMP_RETENTION_POLICY "shred"/);
+});
+
+test('keep_days leaves the folders of recordings in progress and of unfinished uploads', async () => {
+    const old = new Date(Date.now() - 30 * DAY_MS).toISOString();
+    const folders = {
+        'temp-root': [{ id: 'date-1', name: '2024-02-01', isFolder: true }],
+        'date-1': ['filed', 'processing', 'uploading', 'orphan'].map(id => ({ id, name: id, isFolder: true, createdTime: old }))
+    };
+    const deleted = [];
+
+    const processor = {
+        async initialize() {},
+        async getOpenManualReviews() {
+            return noReviews;
+        },
+        ledger: {
+            list: () => [
+                { uuid: 'rec-filed', status: 'completed', completedAt: new Date().toISOString(), filing: { tempFolderId: 'filed' } },
+                // A partial run waiting for its retry has no filing yet
+                { uuid: 'rec-partial', status: 'partial', processing: { tempFolderId: 'processing' } }
+            ]
+        },
+        folderCache: new Map([['TEMP_ZOOM_RECORDINGS', 'temp-root']]),
+        storage: {
+            sessions: { list: () => [{ key: 'upload-1', folderId: 'uploading' }] },
+            async listFolder(folderId) {
+                return folders[folderId] || [];
+            },
+            async deleteFolder(folderId, options) {
+                deleted.push({ folderId, ...options });
+            }
+        },
+        auditLog: { record() {} }
+    };
+
+    const report = await new TempSweeper({ recordingProcessor: processor, policy: 'keep_days', days: 7 }).sweep();
+
+    assert.deepEqual(deleted, [{ folderId: 'orphan', permanent: false }]);
+    assert.deepEqual(report.removed, [{ uuid: null, tempFolderPath: 'TEMP_ZOOM_RECORDINGS/2024-02-01/orphan', reason: 'untracked' }]);
+    assert.deepEqual(report.kept, { within_retention: 1 });
+});
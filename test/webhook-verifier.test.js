@@ -0,0 +1,62 @@
+// test/webhook-verifier.test.js
+// Zoom webhook signatures: a delivery is accepted only when it is signed with our
+// secret over the exact raw body and its timestamp is recent.
+
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { test } from 'node:test';
+import WebhookVerifier from '../webhook-verifier.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2024-03-20T12:00:00Z');
+const NOW_SECONDS = Math.floor(NOW / 1000);
+const BODY = JSON.stringify({ event: 'recording.completed', event_ts: NOW, payload: { object: { uuid: 'rec-1' } } });
+
+// Signed the way Zoom documents it, independently of computeSignature()
+function signedHeaders(timestamp = NOW_SECONDS, body = BODY, secret = SECRET) {
+    const hash = crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex');
+    return { 'x-zm-signature': `v0=${hash}`, 'x-zm-request-timestamp': String(timestamp) };
+}
+
+const verifier = new WebhookVerifier({ secretToken: SECRET, maxAgeSeconds: 300 });
+
+test('a delivery signed with the secret over the raw body is valid', () => {
+    assert.deepEqual(verifier.verify(signedHeaders(), BODY, NOW), { valid: true });
+});
+
+test('a signature from another secret, or over another body, is a mismatch', () => {
+    assert.equal(verifier.verify(signedHeaders(NOW_SECONDS, BODY, 'other-secret'), BODY, NOW).reason, 'signature_mismatch');
+    // Re-serializing the parsed body changes the bytes Zoom signed
+    const reformatted = JSON.stringify(JSON.parse(BODY), null, 2);
+    assert.equal(verifier.verify(signedHeaders(), reformatted, NOW).reason, 'signature_mismatch');
+    // Different length and same length with a changed digit
+    assert.equal(verifier.verify({ ...signedHeaders(), 'x-zm-signature': 'v0=abc' }, BODY, NOW).reason, 'signature_mismatch');
+    const signature = signedHeaders()['x-zm-signature'];
+    const flipped = signature.slice(0, -1) + (signature.endsWith('0') ? '1' : '0');
+    assert.equal(verifier.verify({ ...signedHeaders(), 'x-zm-signature': flipped }, BODY, NOW).reason, 'signature_mismatch');
+});
+
+test('a timestamp more than the allowed skew away, either way, is expired', () => {
+    assert.equal(verifier.verify(signedHeaders(NOW_SECONDS - 300), BODY, NOW).valid, true);
+    assert.equal(verifier.verify(signedHeaders(NOW_SECONDS + 300), BODY, NOW).valid, true);
+
+    const stale = verifier.verify(signedHeaders(NOW_SECONDS - 301), BODY, NOW);
+    assert.deepEqual(stale, { valid: false, reason: 'timestamp_expired', ageSeconds: 301, maxAgeSeconds: 300 });
+    assert.equal(verifier.verify(signedHeaders(NOW_SECONDS + 301), BODY, NOW).reason, 'timestamp_expired');
+});
+
+test('missing or malformed parts are rejected before any signature check', () => {
+    const headers = signedHeaders();
+    assert.equal(verifier.verify({ ...headers, 'x-zm-signature': undefined }, BODY, NOW).reason, 'signature_missing');
+    assert.equal(verifier.verify({ ...headers, 'x-zm-request-timestamp': undefined }, BODY, NOW).reason, 'timestamp_missing');
+    assert.equal(verifier.verify(headers, undefined, NOW).reason, 'body_missing');
+    assert.equal(verifier.verify({ ...headers, 'x-zm-request-timestamp': 'yesterday' }, BODY, NOW).reason, 'timestamp_invalid');
+});
+
+test('without a secret nothing verifies', () => {
+    delete process.env.SECRET_TOKEN;
+    delete process.env.WEBHOOK_SECRET;
+    const unconfigured = new WebhookVerifier();
+    assert.equal(unconfigured.hasSecret(), false);
+    assert.equal(unconfigured.verify(signedHeaders(), BODY, NOW).reason, 'secret_missing');
+});
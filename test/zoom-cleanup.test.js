@@ -0,0 +1,86 @@
+// test/zoom-cleanup.test.js
+// When an archived recording may be removed from Zoom's cloud storage.
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import ZoomCleanup from '../zoom-cleanup.js';
+import { ZoomApiError } from '../zoom-api.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2024-03-20T12:00:00Z');
+
+const md5Checked = { fileType: 'MP4', stage: 'download', verified: true, md5Verified: true };
+const sizeChecked = { fileType: 'MP4', stage: 'download', verified: true, md5Verified: false };
+
+function archivedEntry({ integrity = [md5Checked], filedHoursAgo = 100, ...changes } = {}) {
+    return {
+        uuid: 'rec-1',
+        status: 'completed',
+        completedAt: new Date(NOW - filedHoursAgo * HOUR_MS).toISOString(),
+        filing: { meetingId: 1, topic: 'Jenny & Alex Week 3', integrity, filedCopies: [] },
+        processing: {
+            stages: { filed: true },
+            files: { 'zoom-mp4': { fileType: 'MP4', upload: 'completed', integrity: integrity[0] } }
+        },
+        ...changes
+    };
+}
+
+function cleanup({ zoomFiles = [{ id: 'zoom-mp4', file_type: 'MP4', status: 'completed' }], ...options } = {}) {
+    const zoomApi = {
+        async getMeetingRecordings() {
+            if (!zoomFiles) throw new ZoomApiError('This recording does not exist.', 404, 3301);
+            return { recording_files: zoomFiles };
+        }
+    };
+    return new ZoomCleanup({ recordingProcessor: { zoomApi }, policy: 'delete', graceHours: 72, dryRun: false, allowSizeOnly: false, ...options });
+}
+
+test('a recording filed, MD5-verified and past the grace period is removed', () => {
+    assert.equal(cleanup().evaluate(archivedEntry(), NOW).remove, true);
+});
+
+test('recordings that are not safely archived yet are kept, with the reason', () => {
+    const reasonFor = (entry, options) => cleanup(options).evaluate(entry, NOW).reason;
+
+    assert.equal(reasonFor(archivedEntry({ status: 'partial' })), 'not_completed');
+    assert.equal(reasonFor(archivedEntry({ filedHoursAgo: 10 })), 'within_grace_period');
+    assert.equal(reasonFor(archivedEntry({ integrity: [] })), 'not_verified');
+    assert.equal(reasonFor(archivedEntry({ integrity: [{ ...md5Checked, verified: false, md5Verified: false }] })), 'not_verified');
+    assert.equal(reasonFor(archivedEntry({ processing: { stages: { filed: false }, files: {} } })), 'not_filed');
+    assert.equal(reasonFor(archivedEntry({ zoomCleanup: { outcome: 'trashed' } })), 'already_removed');
+
+    const quarantined = archivedEntry();
+    quarantined.filing.quarantine = [{ fileId: 'Quarantine/1/a.mp4' }];
+    assert.equal(reasonFor(quarantined), 'quarantined');
+});
+
+test('a size-only check keeps the recording unless that is explicitly allowed', async () => {
+    const entry = archivedEntry({ integrity: [md5Checked, sizeChecked] });
+    assert.deepEqual(cleanup().evaluate(entry, NOW), { remove: false, reason: 'size_only' });
+    assert.equal(cleanup({ allowSizeOnly: true }).evaluate(entry, NOW).remove, true);
+
+    // The per-file state counts the same way when comparing with Zoom's list
+    const sizeOnlyFile = archivedEntry({ integrity: [sizeChecked] });
+    const decision = await cleanup({ allowSizeOnly: false }).check({ ...sizeOnlyFile, filing: { ...sizeOnlyFile.filing, integrity: [md5Checked] } }, NOW);
+    assert.equal(decision.remove, false);
+    assert.match(decision.reason, /^not_archived_in_zoom: MP4/);
+});
+
+test('a file Zoom lists without an archived copy blocks removal', async () => {
+    const decision = await cleanup({
+        zoomFiles: [
+            { id: 'zoom-mp4', file_type: 'MP4', status: 'completed' },
+            { id: 'zoom-vtt', file_type: 'TRANSCRIPT', status: 'processing' }
+        ]
+    }).check(archivedEntry(), NOW);
+
+    assert.equal(decision.remove, false);
+    assert.equal(decision.reason, 'not_archived_in_zoom: TRANSCRIPT (processing)');
+    assert.deepEqual(decision.pending, [{ fileType: 'TRANSCRIPT', id: 'zoom-vtt', status: 'processing' }]);
+});
+
+test('a recording Zoom no longer has is left alone', async () => {
+    const decision = await cleanup({ zoomFiles: null }).check(archivedEntry(), NOW);
+    assert.deepEqual(decision, { remove: false, reason: 'not_in_zoom' });
+});
@@ -0,0 +1,72 @@
+// upload-sessions.js
+// Persisted state of in-progress resumable uploads, one JSON file per upload in
+// UPLOAD_SESSION_DIR. A retry (in-process or after a restart) picks up the session
+// URI and the last byte the server confirmed instead of starting over.
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+const DEFAULT_DIR = './data/uploads';
+
+// Drive keeps resumable sessions for a week; don't trust anything close to that
+const MAX_SESSION_AGE_MS = 6 * 24 * 60 * 60 * 1000;
+
+class UploadSessionStore {
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.UPLOAD_SESSION_DIR || DEFAULT_DIR;
+    }
+
+    // Same target file and size -> same session
+    static keyFor(folderId, fileName, totalBytes) {
+        return crypto.createHash('sha256').update(`${folderId}/${fileName}/${totalBytes}`).digest('hex').slice(0, 32);
+    }
+
+    pathFor(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    get(key) {
+        const filePath = this.pathFor(key);
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            const session = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            if (Date.now() - new Date(session.createdAt).getTime() > MAX_SESSION_AGE_MS) {
+                this.remove(key);
+                return null;
+            }
+            return session;
+        } catch (error) {
+            logger.error(`Error reading upload session ${key}`, { error: error.message });
+            return null;
+        }
+    }
+
+    save(session) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        session.updatedAt = new Date().toISOString();
+
+        // Session URIs can be used to write to the file, so keep them private
+        const filePath = this.pathFor(session.key);
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(session, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+        return session;
+    }
+
+    remove(key) {
+        fs.rmSync(this.pathFor(key), { force: true });
+    }
+
+    list() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => this.get(name.slice(0, -'.json'.length)))
+            .filter(Boolean);
+    }
+}
+
+export default UploadSessionStore;
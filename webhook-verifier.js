@@ -0,0 +1,68 @@
+// webhook-verifier.js
+// Verifies Zoom webhook signatures (x-zm-signature + x-zm-request-timestamp)
+// against the raw request body, and rejects stale timestamps to stop replays.
+
+import crypto from 'crypto';
+
+const DEFAULT_MAX_AGE_SECONDS = 300;
+
+class WebhookVerifier {
+    constructor(options = {}) {
+        this.secretToken = options.secretToken || process.env.SECRET_TOKEN || process.env.WEBHOOK_SECRET;
+        this.maxAgeSeconds = Number(options.maxAgeSeconds || process.env.WEBHOOK_MAX_AGE_SECONDS || DEFAULT_MAX_AGE_SECONDS);
+    }
+
+    hasSecret() {
+        return !!this.secretToken;
+    }
+
+    // Zoom signs "v0:{timestamp}:{raw body}" with HMAC-SHA256 and sends "v0={hex}"
+    computeSignature(timestamp, rawBody) {
+        const message = `v0:${timestamp}:${rawBody}`;
+        const hash = crypto.createHmac('sha256', this.secretToken)
+            .update(message)
+            .digest('hex');
+        return `v0=${hash}`;
+    }
+
+    // Returns { valid: true } or { valid: false, reason, ...details }
+    verify(headers, rawBody, now = Date.now()) {
+        if (!this.secretToken) {
+            return { valid: false, reason: 'secret_missing' };
+        }
+
+        const signature = headers['x-zm-signature'];
+        const timestamp = headers['x-zm-request-timestamp'];
+
+        if (!signature) {
+            return { valid: false, reason: 'signature_missing' };
+        }
+        if (!timestamp) {
+            return { valid: false, reason: 'timestamp_missing' };
+        }
+        if (rawBody === undefined || rawBody === null) {
+            return { valid: false, reason: 'body_missing' };
+        }
+
+        const timestampSeconds = Number(timestamp);
+        if (!Number.isFinite(timestampSeconds)) {
+            return { valid: false, reason: 'timestamp_invalid', timestamp };
+        }
+
+        const ageSeconds = Math.floor(now / 1000) - timestampSeconds;
+        if (Math.abs(ageSeconds) > this.maxAgeSeconds) {
+            return { valid: false, reason: 'timestamp_expired', ageSeconds, maxAgeSeconds: this.maxAgeSeconds };
+        }
+
+        const expected = Buffer.from(this.computeSignature(timestamp, rawBody));
+        const received = Buffer.from(String(signature));
+
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            return { valid: false, reason: 'signature_mismatch' };
+        }
+
+        return { valid: true };
+    }
+}
+
+export default WebhookVerifier;
@@ -0,0 +1,82 @@
+// zoom-api.js
+// Small client for the Zoom REST API recordings endpoints. Used when a webhook
+// payload can't be processed as delivered (no file list, an expired download
+// token, or an old event being reprocessed) and by the cloud cleanup in
+// zoom-cleanup.js.
+//
+//   ZOOM_API_BASE_URL   default https://api.zoom.us/v2 (e.g. http://localhost:4100/v2 for mock-zoom-server.js)
+
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'https://api.zoom.us/v2';
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Zoom wants UUIDs that begin with '/' or contain '//' encoded twice, otherwise once
+export function encodeMeetingUuid(uuid) {
+    const value = String(uuid);
+    const encoded = encodeURIComponent(value);
+    return value.startsWith('/') || value.includes('//') ? encodeURIComponent(encoded) : encoded;
+}
+
+// Download failures that a fresh download_url / token can fix
+export function isStaleDownloadError(message) {
+    return /Authentication failed: 40[13]|HTTP 40[134]\b/.test(message || '');
+}
+
+export class ZoomApiError extends Error {
+    constructor(message, status = null, code = null) {
+        super(message);
+        this.name = 'ZoomApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+class ZoomApi {
+    // getToken: async () => OAuth access token (RecordingProcessor.getZoomToken)
+    constructor({ getToken, baseUrl } = {}) {
+        this.getToken = getToken;
+        this.baseUrl = (baseUrl || process.env.ZOOM_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    }
+
+    async request(method, path, options = {}) {
+        const token = await this.getToken();
+        const response = await axios.request({
+            method,
+            url: `${this.baseUrl}${path}`,
+            headers: { Authorization: `Bearer ${token}` },
+            timeout: REQUEST_TIMEOUT_MS,
+            validateStatus: () => true,
+            ...options
+        });
+
+        if (response.status >= 400) {
+            const body = response.data || {};
+            throw new ZoomApiError(
+                `Zoom API ${method} ${path} failed: ${response.status}${body.message ? ` - ${body.message}` : ''}`,
+                response.status,
+                body.code ?? null
+            );
+        }
+        return response.data;
+    }
+
+    // GET /meetings/{meetingId}/recordings for one meeting instance (by uuid).
+    // The response has the same shape as a recording.completed payload object,
+    // plus a download_access_token for the download_urls.
+    async getMeetingRecordings(meetingUuid) {
+        return this.request('GET', `/meetings/${encodeMeetingUuid(meetingUuid)}/recordings`, {
+            params: { include_fields: 'download_access_token' }
+        });
+    }
+
+    // DELETE /meetings/{meetingId}/recordings: action 'trash' moves every file of the
+    // meeting instance to Zoom's trash (recoverable for 30 days), 'delete' removes them
+    async deleteMeetingRecordings(meetingUuid, action = 'trash') {
+        return this.request('DELETE', `/meetings/${encodeMeetingUuid(meetingUuid)}/recordings`, {
+            params: { action }
+        });
+    }
+}
+
+export default ZoomApi;
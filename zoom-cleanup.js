@@ -0,0 +1,304 @@
+// zoom-cleanup.js
+// Frees Zoom cloud storage once a recording is safely archived. Opt-in, per
+// ZOOM_CLEANUP_POLICY:
+//
+//   off      leave recordings in Zoom (default)
+//   trash    move them to the Zoom trash, where they can be recovered for 30 days
+//   delete   delete them permanently
+//
+//   ZOOM_CLEANUP_GRACE_HOURS   wait this long after a recording was filed (default 72)
+//   ZOOM_CLEANUP_DRY_RUN       true: log and audit what would be removed, remove nothing
+//   ZOOM_CLEANUP_ALLOW_SIZE_ONLY  true: also remove recordings whose archived files could
+//                              only be checked by size (no stored MD5, e.g. S3 multipart
+//                              uploads); off by default
+//
+// Each filed recording gets a delayed zoom.cleanup job. When it runs, the recording
+// is only removed if every file was filed and every copy passed its integrity
+// check, by MD5 unless size-only checks are allowed, and every file Zoom still lists for it (GET /meetings/{uuid}/recordings)
+// has a verified archived copy: removal deletes the whole meeting recording, so a
+// file skipped while it was still processing would be lost. Each removal is written
+// to the audit log and the Sessions "Zoom status" column. A late
+// transcript_completed is still fine during the grace period.
+//
+// Usage (lists what the policy would remove now; nothing is removed without --execute):
+//   node zoom-cleanup.js [--all] [--execute]
+
+import dotenv from 'dotenv';
+import { pathToFileURL } from 'url';
+import logger from './logger.js';
+import RecordingState from './recording-state.js';
+import { ZoomApiError } from './zoom-api.js';
+
+export const ZOOM_CLEANUP_POLICIES = ['off', 'trash', 'delete'];
+export const ZOOM_CLEANUP_JOB = 'zoom.cleanup';
+
+const DEFAULT_GRACE_HOURS = 72;
+const HOUR_MS = 60 * 60 * 1000;
+
+class ZoomCleanup {
+    constructor({ recordingProcessor, jobQueue = null, policy, graceHours, dryRun, allowSizeOnly }) {
+        this.recordingProcessor = recordingProcessor;
+        this.jobQueue = jobQueue;
+        this.policy = (policy || process.env.ZOOM_CLEANUP_POLICY || 'off').toLowerCase();
+        this.graceHours = Number(graceHours ?? process.env.ZOOM_CLEANUP_GRACE_HOURS ?? DEFAULT_GRACE_HOURS);
+        this.dryRun = dryRun ?? process.env.ZOOM_CLEANUP_DRY_RUN === 'true';
+        this.allowSizeOnly = allowSizeOnly ?? process.env.ZOOM_CLEANUP_ALLOW_SIZE_ONLY === 'true';
+
+        if (!ZOOM_CLEANUP_POLICIES.includes(this.policy)) {
+            throw new Error(`Unknown ZOOM_CLEANUP_POLICY "${this.policy}" (expected one of: ${ZOOM_CLEANUP_POLICIES.join(', ')})`);
+        }
+    }
+
+    get enabled() {
+        return this.policy !== 'off';
+    }
+
+    // Queue the delayed cleanup for a recording that was just filed. At most one
+    // job per recording is pending; filing it again (a reprocess) moves that job back.
+    scheduleRecording(recordingKey) {
+        if (!this.enabled || !recordingKey || !this.jobQueue) return null;
+
+        const ledger = this.recordingProcessor.ledger;
+        const entry = ledger.get(recordingKey);
+        if (!entry || entry.status !== 'completed') return null;
+        if (entry.zoomCleanup && entry.zoomCleanup.outcome && entry.zoomCleanup.outcome !== 'dry_run') return null;
+
+        const runAt = this.dueAt(entry);
+        const pending = entry.zoomCleanup && entry.zoomCleanup.jobId && this.jobQueue.get(entry.zoomCleanup.jobId);
+        let job;
+        if (pending && pending.status === 'pending') {
+            job = pending;
+            this.jobQueue.update(job, { runAt });
+            this.jobQueue.schedule();
+        } else {
+            job = this.jobQueue.enqueue(ZOOM_CLEANUP_JOB, { uuid: recordingKey }, { runAt });
+        }
+        ledger.update(recordingKey, {
+            zoomCleanup: { jobId: job.id, scheduledFor: new Date(runAt).toISOString() }
+        });
+        logger.info(`☁️  Zoom cloud ${this.policy} scheduled for ${new Date(runAt).toISOString()}`, { uuid: recordingKey, jobId: job.id });
+        return job;
+    }
+
+    // The zoom.cleanup job. Eligibility is checked again here, since a lot can
+    // change during the grace period (reprocessing, a failed re-verify, a quarantine).
+    async runJob(recordingKey) {
+        const entry = this.recordingProcessor.ledger.get(recordingKey);
+        if (!entry) {
+            return { uuid: recordingKey, removed: false, reason: 'unknown_recording' };
+        }
+
+        const decision = await this.check(entry);
+        if (!decision.remove) {
+            logger.info(`⏭️  Leaving recording in Zoom: ${decision.reason}`, { uuid: recordingKey });
+            if (decision.pending) {
+                this.recordingProcessor.ledger.update(recordingKey, {
+                    zoomCleanup: { ...entry.zoomCleanup, blocked: { at: new Date().toISOString(), reason: decision.reason, files: decision.pending } }
+                });
+            }
+            this.audit(entry, 'kept', decision.reason, decision.pending ? { pendingFiles: decision.pending } : {});
+            return { uuid: recordingKey, removed: false, reason: decision.reason };
+        }
+
+        return this.removeRecording(entry, decision.reason);
+    }
+
+    async removeRecording(entry, reason) {
+        const processor = this.recordingProcessor;
+
+        if (this.dryRun) {
+            logger.info(`🔍 [dry run] Would ${this.policy} Zoom cloud recording: ${entry.filing.topic || entry.uuid}`, { uuid: entry.uuid });
+            processor.ledger.update(entry.uuid, {
+                zoomCleanup: { ...entry.zoomCleanup, at: new Date().toISOString(), mode: this.policy, outcome: 'dry_run', reason }
+            });
+            this.audit(entry, 'dry_run', reason);
+            return { uuid: entry.uuid, removed: false, dryRun: true, reason };
+        }
+
+        try {
+            const removal = await processor.removeZoomRecording(entry.uuid, { mode: this.policy, reason });
+            this.audit(entry, removal.outcome, reason, { sessionRow: removal.sessionRow });
+            return { uuid: entry.uuid, removed: true, outcome: removal.outcome, reason };
+        } catch (error) {
+            this.audit(entry, `error: ${error.message}`, reason);
+            throw error;
+        }
+    }
+
+    // { remove, reason } for one ledger entry
+    evaluate(entry, now = Date.now()) {
+        const filing = entry.filing;
+        const processing = entry.processing;
+        const removedInZoom = ['recording.trashed', 'recording.deleted'].includes(entry.zoomStatus?.event);
+
+        if (entry.status !== 'completed' || !filing) {
+            return { remove: false, reason: 'not_completed' };
+        }
+        if (removedInZoom || ['trashed', 'deleted', 'already_gone'].includes(entry.zoomCleanup?.outcome)) {
+            return { remove: false, reason: 'already_removed' };
+        }
+        // Archived copies are in quarantine because Zoom reported a deletion; don't add to it
+        if (filing.quarantine && filing.quarantine.length > 0) {
+            return { remove: false, reason: 'quarantined' };
+        }
+        if (processing && !processing.stages.filed) {
+            return { remove: false, reason: 'not_filed' };
+        }
+
+        const integrity = filing.integrity || [];
+        if (integrity.length === 0 || integrity.some(result => !result.verified)) {
+            return { remove: false, reason: 'not_verified' };
+        }
+        // A matching size alone isn't enough to give up Zoom's copy unless asked for
+        if (!this.allowSizeOnly && integrity.some(result => !result.md5Verified)) {
+            return { remove: false, reason: 'size_only' };
+        }
+
+        if (now < this.dueAt(entry)) {
+            return { remove: false, reason: 'within_grace_period' };
+        }
+        return { remove: true, reason: `archived and verified, filed over ${this.graceHours}h ago` };
+    }
+
+    // evaluate() plus Zoom's own file list: { remove, reason, pending? }
+    async check(entry, now = Date.now()) {
+        const decision = this.evaluate(entry, now);
+        if (!decision.remove) return decision;
+
+        let zoomFiles;
+        try {
+            const details = await this.recordingProcessor.zoomApi.getMeetingRecordings(entry.uuid);
+            zoomFiles = details.recording_files || [];
+        } catch (error) {
+            if (error instanceof ZoomApiError && error.status === 404) {
+                return { remove: false, reason: 'not_in_zoom' };
+            }
+            throw error;
+        }
+
+        const pending = unarchivedFiles(entry, zoomFiles, this.allowSizeOnly);
+        if (pending.length > 0) {
+            return {
+                remove: false,
+                reason: `not_archived_in_zoom: ${pending.map(file => `${file.fileType} (${file.status})`).join(', ')}`,
+                pending
+            };
+        }
+        return decision;
+    }
+
+    dueAt(entry) {
+        const filedAt = Date.parse(entry.completedAt || entry.filing?.startTime) || Date.now();
+        return filedAt + this.graceHours * HOUR_MS;
+    }
+
+    // Every ledger entry with its decision, for the dry-run listing
+    async plan(now = Date.now()) {
+        const plan = [];
+        for (const entry of this.recordingProcessor.ledger.list().filter(item => item.filing)) {
+            plan.push({ entry, ...await this.check(entry, now) });
+        }
+        return plan;
+    }
+
+    audit(entry, outcome, reason, extra = {}) {
+        const filing = entry.filing || {};
+        this.recordingProcessor.auditLog.record({
+            event: 'zoom_cleanup',
+            uuid: entry.uuid,
+            meetingId: filing.meetingId || null,
+            topic: filing.topic || entry.topic || null,
+            action: `${this.policy}_zoom_recording`,
+            outcome,
+            policy: this.policy,
+            dryRun: this.dryRun,
+            reason,
+            ...extra
+        });
+    }
+}
+
+// Files Zoom lists for a recording that have no verified archived copy: ones the
+// download stage skipped (still processing), failed, or never saw
+function unarchivedFiles(entry, zoomFiles, allowSizeOnly = false) {
+    const stateFiles = entry.processing?.files || {};
+    const filing = entry.filing || {};
+    const verified = integrity => !!integrity && integrity.verified && (integrity.md5Verified || allowSizeOnly);
+    const verifiedTypes = new Set((filing.integrity || []).filter(verified).map(result => result.fileType));
+    const stateTypes = new Set(Object.values(stateFiles).map(file => file.fileType));
+    // A late transcript is only in the filing, under the Zoom file id it came from
+    // (entries filed before that id was kept: the only file of its type there)
+    const filedLater = file => (filing.filedCopies || []).some(copy => (copy.zoomFileId
+        ? copy.zoomFileId === file.id
+        : copy.type === file.file_type && !stateTypes.has(file.file_type)));
+
+    return zoomFiles
+        .map((file, index) => {
+            const state = stateFiles[RecordingState.fileKey(file, index)];
+            const archived = state
+                ? state.upload === 'completed' && verified(state.integrity)
+                : filedLater(file) && verifiedTypes.has(file.file_type);
+            if (archived) return null;
+            return {
+                fileType: file.file_type,
+                id: file.id || null,
+                status: file.status !== 'completed' ? file.status || 'unknown' : state ? `upload ${state.upload}` : 'not archived'
+            };
+        })
+        .filter(Boolean);
+}
+
+// Run as a script
+async function main(args) {
+    const { default: RecordingProcessor } = await import('./recording-processor.js');
+
+    if (args.includes('--help')) {
+        console.log('Usage: node zoom-cleanup.js [--all] [--execute]');
+        console.log('  Lists the recordings ZOOM_CLEANUP_POLICY would remove from Zoom now.');
+        console.log('  --all      also list recordings that are kept, with the reason');
+        console.log('  --execute  remove them (still honours ZOOM_CLEANUP_DRY_RUN)');
+        return;
+    }
+
+    const recordingProcessor = new RecordingProcessor();
+    const execute = args.includes('--execute');
+    const cleanup = new ZoomCleanup({ recordingProcessor, dryRun: execute ? undefined : true });
+    if (!cleanup.enabled) {
+        console.log('ZOOM_CLEANUP_POLICY is off; set it to trash or delete to see what would be removed.');
+        return;
+    }
+
+    const plan = await cleanup.plan();
+    const due = plan.filter(item => item.remove);
+    console.log(`☁️  ${due.length} of ${plan.length} archived recordings would be ${cleanup.policy === 'delete' ? 'deleted' : 'trashed'} in Zoom (grace ${cleanup.graceHours}h)\n`);
+
+    for (const { entry, remove, reason } of plan) {
+        if (!remove && !args.includes('--all')) continue;
+        const filing = entry.filing;
+        console.log(`${remove ? '🗑️ ' : '  '} ${filing.startTime || ''}  ${filing.topic || ''}  [${entry.uuid}]${remove ? '' : `  kept: ${reason}`}`);
+    }
+
+    if (!execute || due.length === 0) return;
+
+    let failed = 0;
+    for (const { entry, reason } of due) {
+        try {
+            await cleanup.removeRecording(entry, reason);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${entry.uuid}: ${error.message}`);
+        }
+    }
+    console.log(`\n✅ Done: ${due.length - failed} removed${cleanup.dryRun ? ' (dry run)' : ''}, ${failed} failed`);
+    if (failed > 0) process.exitCode = 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    dotenv.config();
+    main(process.argv.slice(2)).catch(error => {
+        console.error('❌ Zoom cleanup failed:', error.message);
+        process.exit(1);
+    });
+}
+
+export default ZoomCleanup;